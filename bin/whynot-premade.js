@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * Command-line precompiler of schema files to serialized DFAs.
+ *
+ * Usage: whynot-premade compile <input> [-o <output>] [--format ast|regex] [--cache <file>] [--lint]
+ *     [--provenance] [--no-checksum]
+ *
+ * The input is an AST in JSON for the .json files and a regular expression otherwise, unless --format is given.
+ * The serialized DFA is written to the output file, or to the standard output along with the statistics going to
+ * the standard error. The compile cache file, if any, is read when present and written back after the compilation.
+ * With --lint, a nondeterministic content model is reported as a warning and an ambiguous one as an invalid input.
+ * The exit code is 1 for an invalid input and 2 for an invalid command line.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: path.join(__dirname, '..', 'src'),
+	nodeRequire: require,
+	packages: [
+		{
+			name: 'whynot-premade-compiler',
+			location: 'compiler'
+		}
+	]
+});
+
+var whynotPremadeCompiler = requirejs('whynot-premade-compiler');
+
+/**
+ * Constant usage text.
+ *
+ * @type {string}
+ */
+var USAGE = [
+	'Usage: whynot-premade compile <input> [options]',
+	'',
+	'Compiles an AST (.json) or a regular expression file to a serialized DFA.',
+	'',
+	'Options:',
+	'  -o, --output <file>  write the serialized DFA to a file instead of the standard output',
+	'  --format <format>    read the input as \'ast\' or \'regex\' regardless of its extension',
+	'  --cache <file>       reuse the subtrees compiled before and save the new ones to a compile cache file',
+	'  --lint               warn about nondeterminism and reject ambiguous content models',
+	'  --provenance         add the provenance of the states to the serialized DFA',
+	'  --no-checksum        leave the checksum out of the serialized DFA',
+	'  -h, --help           print this help'
+].join('\n');
+
+/**
+ * Constant exit code of an invalid input.
+ *
+ * @type {number}
+ */
+var EXIT_INVALID_INPUT = 1;
+
+/**
+ * Constant exit code of an invalid command line.
+ *
+ * @type {number}
+ */
+var EXIT_USAGE = 2;
+
+/**
+ * Constant names of the parsed arguments by the option taking a value.
+ *
+ * @type {Object}
+ */
+var VALUE_OPTIONS = {
+	'-o': 'outputPath',
+	'--output': 'outputPath',
+	'--format': 'format',
+	'--cache': 'cachePath'
+};
+
+/**
+ * Print an error message and exit with a given code.
+ *
+ * @param message
+ * @param exitCode
+ */
+function fail (message, exitCode) {
+
+	process.stderr.write('whynot-premade: ' + message + '\n');
+
+	if (exitCode === EXIT_USAGE) {
+		process.stderr.write('\n' + USAGE + '\n');
+	}
+
+	process.exit(exitCode);
+}
+
+/**
+ * Parse the command-line arguments.
+ *
+ * @param args
+ * @returns {{command: string, inputPath: string, outputPath: (string|null), format: (string|null),
+ *     cachePath: (string|null), lint: boolean, provenance: boolean, checksum: boolean, help: boolean}}
+ */
+function parseArguments (args) {
+
+	var parsedArguments = {
+		command: null,
+		inputPath: null,
+		outputPath: null,
+		format: null,
+		cachePath: null,
+		lint: false,
+		provenance: false,
+		checksum: true,
+		help: false
+	};
+
+	var positionalArguments = [];
+
+	for (var argId = 0; argId < args.length; ++ argId) {
+		var arg = args[argId];
+
+		switch (arg) {
+			case '-h':
+			case '--help':
+				parsedArguments.help = true;
+				break;
+
+			case '-o':
+			case '--output':
+			case '--format':
+			case '--cache':
+				if (argId + 1 >= args.length) {
+					fail('Option ' + arg + ' requires a value', EXIT_USAGE);
+				}
+
+				parsedArguments[VALUE_OPTIONS[arg]] = args[++ argId];
+				break;
+
+			case '--lint':
+				parsedArguments.lint = true;
+				break;
+
+			case '--provenance':
+				parsedArguments.provenance = true;
+				break;
+
+			case '--no-checksum':
+				parsedArguments.checksum = false;
+				break;
+
+			default:
+				if (arg.charAt(0) === '-') {
+					fail('Unknown option ' + arg, EXIT_USAGE);
+				}
+
+				positionalArguments.push(arg);
+		}
+	}
+
+	if (parsedArguments.help) {
+		return parsedArguments;
+	}
+
+	if (positionalArguments[0] !== 'compile') {
+		fail((positionalArguments.length === 0) ? 'Missing command' :
+			'Unknown command ' + positionalArguments[0], EXIT_USAGE);
+	}
+
+	if (positionalArguments.length !== 2) {
+		fail('Command compile requires exactly one input file', EXIT_USAGE);
+	}
+
+	if ((parsedArguments.format !== null) && (parsedArguments.format !== 'ast') &&
+		(parsedArguments.format !== 'regex')) {
+		fail('Unknown format ' + parsedArguments.format, EXIT_USAGE);
+	}
+
+	parsedArguments.command = positionalArguments[0];
+
+	parsedArguments.inputPath = positionalArguments[1];
+
+	return parsedArguments;
+}
+
+/**
+ * Read an AST from the text of an input file, a single trailing line break of a regular expression excluded.
+ *
+ * @param text
+ * @param format
+ * @returns {Array}
+ */
+function readAST (text, format) {
+
+	if (format === 'regex') {
+		return whynotPremadeCompiler.parseRegex(text.replace(/\r?\n$/, ''));
+	}
+
+	try {
+		return JSON.parse(text);
+	} catch (error) {
+		throw new Error('Invalid JSON: ' + error.message);
+	}
+}
+
+/**
+ * Read the compile cache file, starting with an empty cache if there is no file yet.
+ *
+ * @param cachePath
+ * @returns {CompileCache}
+ */
+function readCache (cachePath) {
+
+	if (!fs.existsSync(cachePath)) {
+		return new whynotPremadeCompiler.CompileCache();
+	}
+
+	try {
+		return whynotPremadeCompiler.CompileCache.deserialize(fs.readFileSync(cachePath, 'utf8'));
+	} catch (error) {
+		fail('Can not read the cache ' + cachePath + ': ' + error.message, EXIT_INVALID_INPUT);
+	}
+}
+
+/**
+ * Describe a diagnostic of whynotPremadeCompiler.analyzeAmbiguity.
+ *
+ * @param diagnostic
+ * @returns {string}
+ */
+function describeDiagnostic (diagnostic) {
+	return 'the nodes ' + diagnostic.nodes[0].join(', ') + ' and ' + diagnostic.nodes[1].join(', ') +
+		' both match the character at index ' + diagnostic.position + ' of \'' + diagnostic.witness.join(' ') + '\'';
+}
+
+/**
+ * Count the transitions of a simple DFA.
+ *
+ * @param simpleDFA
+ * @returns {number}
+ */
+function countTransitions (simpleDFA) {
+	return simpleDFA.transitions.reduce(function (count, stateTransitions) {
+		return count + Object.keys(stateTransitions).length;
+	}, 0);
+}
+
+/**
+ * Run the compile command.
+ *
+ * @param parsedArguments
+ */
+function compile (parsedArguments) {
+
+	var format = parsedArguments.format ||
+		((path.extname(parsedArguments.inputPath).toLowerCase() === '.json') ? 'ast' : 'regex');
+
+	var text;
+
+	try {
+		text = fs.readFileSync(parsedArguments.inputPath, 'utf8');
+	} catch (error) {
+		fail('Can not read ' + parsedArguments.inputPath + ': ' + error.message, EXIT_INVALID_INPUT);
+	}
+
+	var cache = (parsedArguments.cachePath === null) ? null : readCache(parsedArguments.cachePath);
+
+	var startTime = process.hrtime();
+
+	var serializedDFA;
+
+	var simpleDFA;
+
+	var report = {};
+
+	var analysis = null;
+
+	try {
+		var ast = readAST(text, format);
+
+		var nfa = whynotPremadeCompiler.compileAST(ast, {
+			cache: cache
+		});
+
+		// The cached subtrees come back as minimal DFAs, which would hide their ambiguity from the analysis
+		if (parsedArguments.lint) {
+			analysis = whynotPremadeCompiler.analyzeAmbiguity(whynotPremadeCompiler.compileAST(ast));
+		}
+
+		simpleDFA = whynotPremadeCompiler.Automaton.toSimpleDFA(nfa, {
+			report: report
+		});
+
+		serializedDFA = whynotPremadeCompiler.serialize(simpleDFA, {
+			provenance: parsedArguments.provenance,
+			checksum: parsedArguments.checksum
+		});
+	} catch (error) {
+		fail(parsedArguments.inputPath + ': ' + error.message, EXIT_INVALID_INPUT);
+	}
+
+	var elapsedTime = process.hrtime(startTime);
+
+	if ((analysis !== null) && analysis.ambiguous) {
+		fail(parsedArguments.inputPath + ': Ambiguous content model, ' + describeDiagnostic(analysis.ambiguity),
+			EXIT_INVALID_INPUT);
+	}
+
+	if ((analysis !== null) && !analysis.deterministic) {
+		process.stderr.write('whynot-premade: warning: ' + parsedArguments.inputPath +
+			': Nondeterministic content model, ' + describeDiagnostic(analysis.nondeterminism) + '\n');
+	}
+
+	if (parsedArguments.outputPath === null) {
+		process.stdout.write(serializedDFA + '\n');
+	} else {
+		try {
+			fs.writeFileSync(parsedArguments.outputPath, serializedDFA + '\n');
+		} catch (error) {
+			fail('Can not write ' + parsedArguments.outputPath + ': ' + error.message, EXIT_INVALID_INPUT);
+		}
+	}
+
+	if (cache !== null) {
+		try {
+			fs.writeFileSync(parsedArguments.cachePath, cache.serialize());
+		} catch (error) {
+			fail('Can not write the cache ' + parsedArguments.cachePath + ': ' + error.message, EXIT_INVALID_INPUT);
+		}
+	}
+
+	// Keep the standard output for the DFA when it is written there
+	var statisticsStream = (parsedArguments.outputPath === null) ? process.stderr : process.stdout;
+
+	statisticsStream.write('Compiled ' + parsedArguments.inputPath + ' in ' +
+		(elapsedTime[0] * 1e3 + elapsedTime[1] / 1e6).toFixed(1) + ' ms: ' +
+		simpleDFA.transitions.length + ' states, ' + countTransitions(simpleDFA) + ' transitions, ' +
+		report.prunedStatesCount + ' states pruned' +
+		((cache === null) ? '' : ', ' + cache.getStats().hits + ' cache hits') +
+		', content hash ' + whynotPremadeCompiler.getContentHash(simpleDFA) + '\n');
+}
+
+var parsedArguments = parseArguments(process.argv.slice(2));
+
+if (parsedArguments.help) {
+	process.stdout.write(USAGE + '\n');
+} else {
+	compile(parsedArguments);
+}
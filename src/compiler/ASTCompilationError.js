@@ -0,0 +1,51 @@
+/**
+ * Describes a failure to compile an Abstract Syntax Tree node.
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		/**
+		 * Describes an error raised while compiling a node of an AST.
+		 *
+		 * @param message
+		 * @param path
+		 * @param node
+		 * @constructor
+		 */
+		function ASTCompilationError (message, path, node) {
+
+			// Define the error name
+			this.name = 'ASTCompilationError';
+
+			// Define the message including the AST path
+			this.message = message + ' at ' + ASTCompilationError.formatPath(path);
+
+			// Define the path of child indices from the AST root to the failed node
+			this.path = path;
+
+			// Define the failed node
+			this.node = node;
+
+			// Define the stack trace
+			this.stack = (new Error(this.message)).stack;
+		}
+
+		ASTCompilationError.prototype = Object.create(Error.prototype);
+
+		ASTCompilationError.prototype.constructor = ASTCompilationError;
+
+		/**
+		 * Format an AST path as a string, e.g. '/2/1' for the first child of the second child of the root.
+		 *
+		 * @param path
+		 * @returns {string}
+		 */
+		ASTCompilationError.formatPath = function (path) {
+			return '/' + path.join('/');
+		};
+
+		return ASTCompilationError;
+	}
+);
@@ -0,0 +1,629 @@
+/**
+ * Compiles Abstract Syntax Trees of the whynot shape to NFAs.
+ */
+define(
+	[
+		'./Automaton',
+		'./ASTCompilationError',
+		'./StateLimitError',
+		'./util/checksum'
+	],
+	function(
+		Automaton,
+		ASTCompilationError,
+		StateLimitError,
+		checksum
+	) {
+		'use strict';
+
+		/**
+		 * Describes a compiler of ASTs to NFAs.
+		 *
+		 * An AST node is an array whose first element is the node kind, e.g. ['seq', ['test', 'a'], ['test', 'b']].
+		 * The 'test', 'predicate', 'empty', 'seq', 'choice', 'repetition', 'optional', 'plus', 'range', 'intersection',
+		 * 'difference' and 'interleave' kinds are supported out of the box.
+		 *
+		 * Every NFA state keeps the AST paths of the nodes it originates from as its provenance, e.g. '/2/1'.
+		 * The states of the children keep their own provenance, the rest get the path of the compiled node.
+		 *
+		 * @constructor
+		 */
+		function ASTCompiler () {
+
+			// Define the node handlers by node kind
+			this.handlers = {};
+
+			// Register the built-in handlers
+			this.registerHandler('test', compileTest);
+			this.registerHandler('predicate', compilePredicate);
+			this.registerHandler('empty', compileEmpty);
+			this.registerHandler('seq', compileSeq);
+			this.registerHandler('choice', compileChoice);
+			this.registerHandler('repetition', compileRepetition);
+			this.registerHandler('optional', compileOptional);
+			this.registerHandler('plus', compilePlus);
+			this.registerHandler('range', compileRange);
+			this.registerHandler('intersection', compileIntersection);
+			this.registerHandler('difference', compileDifference);
+			this.registerHandler('interleave', compileInterleave);
+		}
+
+		/**
+		 * Constant version of the compilation of the cached subtrees, part of their cache keys.
+		 *
+		 * It has to be increased whenever a change of the compiler changes the DFAs of the subtrees, so that the
+		 * entries of the persisted caches compiled by an older version are not reused.
+		 *
+		 * @type {number}
+		 */
+		ASTCompiler.CACHE_VERSION = 1;
+
+		/**
+		 * Register a handler for a node kind, replacing the existing one if any.
+		 *
+		 * A handler is called as handler(node, compileChild, path, options) and must return an Automaton.
+		 * The compileChild(childIndex) callback compiles the node element at a given index.
+		 *
+		 * @param kind
+		 * @param handler
+		 */
+		ASTCompiler.prototype.registerHandler = function (kind, handler) {
+			this.handlers[kind] = handler;
+		};
+
+		/**
+		 * Check whether a handler is registered for a node kind.
+		 *
+		 * @param kind
+		 * @returns {boolean}
+		 */
+		ASTCompiler.prototype.hasHandler = function (kind) {
+			return this.handlers.hasOwnProperty(kind);
+		};
+
+		/**
+		 * Compile a given AST to an NFA.
+		 *
+		 * The options are passed on to every handler. The built-in handlers use the following ones:
+		 * - predicates: predicate functions by predicate name, used by 'intersection' and 'interleave';
+		 * - maxInterleaveStates: the states limit of 'interleave', Automaton.MAX_INTERLEAVE_STATES by default.
+		 * The compilation itself uses the following one:
+		 * - cache: a CompileCache; the subtrees with children found more than once in the AST or in the cache are
+		 *   compiled and minimized once, then cloned. The subtrees involving predicates are never cached.
+		 *   The cache keys start with the compilation context, i.e. CACHE_VERSION along with a fingerprint of the
+		 *   node handlers and of the other options, so a cache can be shared between any compilations.
+		 *
+		 * @param ast
+		 * @param [options]
+		 * @returns {Automaton}
+		 */
+		ASTCompiler.prototype.compile = function (ast, options) {
+
+			options = options || {};
+
+			var sharing = null;
+
+			if (options.cache && (ast instanceof Array)) {
+				sharing = {
+					'context': getCacheContext(this, options),
+					'sources': {},
+					'counts': {}
+				};
+
+				indexSources(ast, [], sharing);
+			}
+
+			return compileNode(this, ast, [], options, sharing);
+		};
+
+		/**
+		 * Compile a node found at a given path.
+		 *
+		 * @param compiler
+		 * @param node
+		 * @param path
+		 * @param options
+		 * @param sharing The cache context and the sources of the subtrees by path along with their counts, or null
+		 *     when not caching.
+		 * @returns {Automaton}
+		 */
+		function compileNode (compiler, node, path, options, sharing) {
+
+			// Every node must be an array starting with its kind
+			if (!(node instanceof Array) || (typeof node[0] !== 'string')) {
+				throw new ASTCompilationError('Malformed AST node', path, node);
+			}
+
+			var kind = node[0];
+
+			if (!compiler.hasHandler(kind)) {
+				throw new ASTCompilationError('Unknown AST node kind \'' + kind + '\'', path, node);
+			}
+
+			/**
+			 * Compile a child of the current node.
+			 *
+			 * @param childIndex
+			 * @returns {Automaton}
+			 */
+			function compileChild (childIndex) {
+				return compileNode(compiler, node[childIndex], path.concat(childIndex), options, sharing);
+			}
+
+			var pathString = ASTCompilationError.formatPath(path);
+
+			var cacheKey = (sharing === null) ? null : getCacheKey(sharing, pathString, options.cache);
+
+			if (cacheKey !== null) {
+				var cachedDFA = options.cache.get(cacheKey);
+
+				if (cachedDFA !== null) {
+					return fromCachedDFA(cachedDFA, pathString);
+				}
+			}
+
+			var nfa = compiler.handlers[kind](node, compileChild, path, options);
+
+			// The states made by the handler itself originate from the current node
+			nfa.fillProvenance(pathString);
+
+			// Predicates can not be cached, since the minimization resolves them to the predicate combinations
+			if ((cacheKey !== null) && !hasPredicateTransitions(nfa)) {
+				cachedDFA = toCachedDFA(nfa, pathString, options);
+
+				options.cache.set(cacheKey, cachedDFA);
+
+				return fromCachedDFA(cachedDFA, pathString);
+			}
+
+			return nfa;
+		}
+
+		/**
+		 * Save the sources of the subtrees with children by path, and count the subtrees by source.
+		 *
+		 * The source of a subtree is its JSON representation.
+		 *
+		 * @param node
+		 * @param path
+		 * @param sharing
+		 * @returns {string} The source of the node.
+		 */
+		function indexSources (node, path, sharing) {
+
+			var parts = [];
+
+			var hasChildren = false;
+
+			for (var elementId = 0; elementId < node.length; ++ elementId) {
+				if (node[elementId] instanceof Array) {
+					hasChildren = true;
+
+					parts.push(indexSources(node[elementId], path.concat(elementId), sharing));
+				} else {
+					parts.push(JSON.stringify(node[elementId]));
+				}
+			}
+
+			var source = '[' + parts.join(',') + ']';
+
+			if (hasChildren) {
+				sharing.sources[ASTCompilationError.formatPath(path)] = source;
+
+				sharing.counts[source] = (sharing.counts[source] || 0) + 1;
+			}
+
+			return source;
+		}
+
+		/**
+		 * Get a stable text representation of a value, i.e. JSON with the object keys sorted and the functions
+		 * replaced by their source code. The cycles and the other non-JSON values are not supported.
+		 *
+		 * @param value
+		 * @returns {string}
+		 */
+		function getFingerprint (value) {
+
+			if (typeof value === 'function') {
+				return JSON.stringify(String(value));
+			}
+
+			if (value instanceof Array) {
+				return '[' + value.map(getFingerprint).join(',') + ']';
+			}
+
+			if ((value !== null) && (typeof value === 'object')) {
+				return '{' + Object.keys(value).sort().map(function (key) {
+					return JSON.stringify(key) + ':' + getFingerprint(value[key]);
+				}).join(',') + '}';
+			}
+
+			return JSON.stringify(value);
+		}
+
+		/**
+		 * Get the compilation context starting the cache keys of a compilation.
+		 *
+		 * The context holds CACHE_VERSION and the hash of the node handlers along with the options, but for the
+		 * cache itself and the report collected by Automaton.toSimpleDFA.
+		 *
+		 * @param compiler
+		 * @param options
+		 * @returns {string}
+		 */
+		function getCacheContext (compiler, options) {
+
+			var contextOptions = {};
+
+			Object.keys(options).forEach(function (key) {
+				if ((key !== 'cache') && (key !== 'report')) {
+					contextOptions[key] = options[key];
+				}
+			});
+
+			return 'v' + ASTCompiler.CACHE_VERSION + ':' + checksum.fnv1a128(getFingerprint({
+				'handlers': compiler.handlers,
+				'options': contextOptions
+			})) + ':';
+		}
+
+		/**
+		 * Get the cache key of the subtree at a given path if it is worth caching, or null otherwise.
+		 *
+		 * The key is the compilation context followed by the source of the subtree.
+		 *
+		 * @param sharing
+		 * @param pathString
+		 * @param cache
+		 * @returns {string|null}
+		 */
+		function getCacheKey (sharing, pathString, cache) {
+
+			if (!sharing.sources.hasOwnProperty(pathString)) {
+				return null;
+			}
+
+			var source = sharing.sources[pathString];
+
+			var cacheKey = sharing.context + source;
+
+			return ((sharing.counts[source] > 1) || cache.has(cacheKey)) ? cacheKey : null;
+		}
+
+		/**
+		 * Check whether an NFA has transitions over predicates.
+		 *
+		 * @param nfa
+		 * @returns {boolean}
+		 */
+		function hasPredicateTransitions (nfa) {
+
+			for (var state = 0; state < nfa.getStatesCount(); ++ state) {
+				var stateTransitions = nfa.getStateTransitions(state);
+
+				for (var transitionId = 0; transitionId < stateTransitions.length; ++ transitionId) {
+					if (Automaton.isPredicate(stateTransitions[transitionId].character)) {
+						return true;
+					}
+				}
+			}
+
+			return false;
+		}
+
+		/**
+		 * Minimize the NFA of the subtree at a given path to a simple DFA with the provenance relative to the path.
+		 *
+		 * @param nfa
+		 * @param pathString
+		 * @param options
+		 * @returns {Object}
+		 */
+		function toCachedDFA (nfa, pathString, options) {
+
+			var simpleDFA = Automaton.toSimpleDFA(nfa, options);
+
+			var prefixLength = (pathString === '/') ? 0 : pathString.length;
+
+			if (simpleDFA.provenance) {
+				simpleDFA.provenance = simpleDFA.provenance.map(function (stateProvenance) {
+					return stateProvenance.map(function (label) {
+						return (label === pathString) ? '' : label.substr(prefixLength);
+					});
+				});
+			}
+
+			return simpleDFA;
+		}
+
+		/**
+		 * Clone a cached simple DFA to an NFA of the subtree at a given path.
+		 *
+		 * @param cachedDFA
+		 * @param pathString
+		 * @returns {Automaton}
+		 */
+		function fromCachedDFA (cachedDFA, pathString) {
+
+			var prefix = (pathString === '/') ? '' : pathString;
+
+			var nfa = Automaton.fromSimpleDFA({
+				'initialState': cachedDFA.initialState,
+				'transitions': cachedDFA.transitions,
+				'finalStates': cachedDFA.finalStates
+			});
+
+			if (cachedDFA.provenance) {
+				for (var state = 0; state < cachedDFA.provenance.length; ++ state) {
+					nfa.setStateProvenance(state, cachedDFA.provenance[state].map(function (label) {
+						return (label === '') ? pathString : prefix + label;
+					}));
+				}
+			}
+
+			return nfa;
+		}
+
+		/**
+		 * Require a node to have at least a given amount of children.
+		 *
+		 * @param node
+		 * @param path
+		 * @param minChildrenCount
+		 */
+		function requireChildren (node, path, minChildrenCount) {
+			if (node.length - 1 < minChildrenCount) {
+				throw new ASTCompilationError('AST node \'' + node[0] + '\' requires at least ' + minChildrenCount +
+					' child node(s)', path, node);
+			}
+		}
+
+		/**
+		 * Compile a 'test' node, e.g. ['test', 'a'].
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compileTest (node, compileChild, path) {
+
+			if (typeof node[1] !== 'string') {
+				throw new ASTCompilationError('AST node \'test\' requires a character string', path, node);
+			}
+
+			return Automaton.char(node[1]);
+		}
+
+		/**
+		 * Compile a 'predicate' node, e.g. ['predicate', 'text'].
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compilePredicate (node, compileChild, path) {
+
+			if (!Automaton.isPredicateName(node[1])) {
+				throw new ASTCompilationError('AST node \'predicate\' requires a predicate name', path, node);
+			}
+
+			return Automaton.predicate(node[1]);
+		}
+
+		/**
+		 * Compile an 'empty' node accepting only the empty string, i.e. ['empty'].
+		 *
+		 * @returns {Automaton}
+		 */
+		function compileEmpty () {
+			return Automaton.epsilon();
+		}
+
+		/**
+		 * Compile a 'seq' node, e.g. ['seq', ['test', 'a'], ['test', 'b']].
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compileSeq (node, compileChild, path) {
+
+			requireChildren(node, path, 1);
+
+			var nfa = compileChild(1);
+
+			// Concat the rest of the children one by one
+			for (var currentNodeID = 2; currentNodeID < node.length; ++ currentNodeID) {
+				nfa = Automaton.concat(nfa, compileChild(currentNodeID));
+			}
+
+			return nfa;
+		}
+
+		/**
+		 * Compile a 'choice' node, e.g. ['choice', ['test', 'a'], ['test', 'b']].
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compileChoice (node, compileChild, path) {
+
+			requireChildren(node, path, 1);
+
+			var choices = [];
+
+			for (var currentNodeID = 1; currentNodeID < node.length; ++ currentNodeID) {
+				choices.push(compileChild(currentNodeID));
+			}
+
+			return Automaton.choice(choices);
+		}
+
+		/**
+		 * Compile a 'repetition' node, e.g. ['repetition', ['test', 'a']].
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compileRepetition (node, compileChild, path) {
+
+			requireChildren(node, path, 1);
+
+			return Automaton.repetition(compileChild(1));
+		}
+
+		/**
+		 * Compile an 'optional' node, e.g. ['optional', ['test', 'a']].
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compileOptional (node, compileChild, path) {
+
+			requireChildren(node, path, 1);
+
+			return Automaton.optional(compileChild(1));
+		}
+
+		/**
+		 * Compile a 'plus' node, e.g. ['plus', ['test', 'a']].
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compilePlus (node, compileChild, path) {
+
+			requireChildren(node, path, 1);
+
+			return Automaton.plus(compileChild(1));
+		}
+
+		/**
+		 * Compile a 'range' node, e.g. ['range', ['test', 'a'], 2, 5]. A null max means no upper bound.
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compileRange (node, compileChild, path) {
+
+			requireChildren(node, path, 1);
+
+			var min = node[2];
+
+			var max = (node[3] === null) ? Infinity : node[3];
+
+			if ((typeof min !== 'number') || (min < 0) || (min % 1 !== 0)) {
+				throw new ASTCompilationError('AST node \'range\' requires a non-negative integer min', path, node);
+			}
+
+			if ((typeof max !== 'number') || (max < min) || ((max !== Infinity) && (max % 1 !== 0))) {
+				throw new ASTCompilationError('AST node \'range\' requires an integer max not less than min or null',
+					path, node);
+			}
+
+			if ((min > Automaton.MAX_REPETITION_BOUND) ||
+				((max !== Infinity) && (max > Automaton.MAX_REPETITION_BOUND))) {
+				throw new ASTCompilationError('AST node \'range\' requires bounds not greater than ' +
+					Automaton.MAX_REPETITION_BOUND, path, node);
+			}
+
+			return Automaton.bounded(compileChild(1), min, max);
+		}
+
+		/**
+		 * Compile an 'intersection' node, e.g. ['intersection', ['plus', ['test', 'a']], ['range', ['test', 'a'], 0, 3]].
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @param options
+		 * @returns {Automaton}
+		 */
+		function compileIntersection (node, compileChild, path, options) {
+
+			requireChildren(node, path, 2);
+
+			var nfa = compileChild(1);
+
+			// Intersect the rest of the children one by one
+			for (var currentNodeID = 2; currentNodeID < node.length; ++ currentNodeID) {
+				nfa = Automaton.intersect(nfa, compileChild(currentNodeID), options.predicates);
+			}
+
+			return nfa;
+		}
+
+		/**
+		 * Compile a 'difference' node, e.g. ['difference', ['plus', ['test', 'a']], ['test', 'a']].
+		 *
+		 * Every child after the first one is subtracted from the first child.
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @returns {Automaton}
+		 */
+		function compileDifference (node, compileChild, path) {
+
+			requireChildren(node, path, 2);
+
+			var nfa = compileChild(1);
+
+			for (var currentNodeID = 2; currentNodeID < node.length; ++ currentNodeID) {
+				nfa = Automaton.difference(nfa, compileChild(currentNodeID));
+			}
+
+			return nfa;
+		}
+
+		/**
+		 * Compile an 'interleave' node, e.g. ['interleave', ['test', 'a'], ['optional', ['test', 'b']]].
+		 *
+		 * The children are accepted in any order, their strings may be shuffled.
+		 *
+		 * @param node
+		 * @param compileChild
+		 * @param path
+		 * @param options
+		 * @returns {Automaton}
+		 */
+		function compileInterleave (node, compileChild, path, options) {
+
+			requireChildren(node, path, 1);
+
+			var members = [];
+
+			for (var currentNodeID = 1; currentNodeID < node.length; ++ currentNodeID) {
+				members.push(compileChild(currentNodeID));
+			}
+
+			try {
+				return Automaton.interleave(members, options.predicates, options.maxInterleaveStates);
+			} catch (error) {
+
+				// Only the states limit is reported at the interleave node, the other errors are not its own
+				if (!(error instanceof StateLimitError)) {
+					throw error;
+				}
+
+				throw new ASTCompilationError(error.message, path, node);
+			}
+		}
+
+		return ASTCompiler;
+	}
+);
@@ -2,8 +2,15 @@
  * Created by danek_000 on 30.8.2015.
  */
 define(
-	['./util/arrayUtils'],
-	function() {
+	[
+		'./StateLimitError',
+		'./util/objectUtils',
+		'./util/arrayUtils'
+	],
+	function(
+		StateLimitError,
+		objectUtils
+	) {
 		'use strict';
 
 		/**
@@ -22,8 +29,17 @@ define(
 			// Save the array for transitions
 			this.transitions = [];
 
+			// Save the outgoing transitions of each state
+			this.stateTransitions = [];
+
 			// Save the final state
 			this.finalStates = [];
+
+			// Save the provenance of each state
+			this.provenance = [];
+
+			// Save whether some states come from a DFA, e.g. a cached one, which merged the paths of its source
+			this.derivedFromDFA = false;
 		}
 
 		/**
@@ -33,6 +49,51 @@ define(
 		 */
 		Automaton.DFA_INITIAL_STATE = 0;
 
+		/**
+		 * Constant naming the Hopcroft partition-refinement minimization method.
+		 *
+		 * @type {string}
+		 */
+		Automaton.MINIMIZATION_HOPCROFT = 'hopcroft';
+
+		/**
+		 * Constant naming the Brzozowski double-reversal minimization method.
+		 *
+		 * @type {string}
+		 */
+		Automaton.MINIMIZATION_BRZOZOWSKI = 'brzozowski';
+
+		/**
+		 * Constant prefix of the characters which denote predicates rather than exact strings.
+		 *
+		 * A predicate character is a conjunction of named predicates or their negations, e.g. '@text' or '@text&!blank'.
+		 * The exact strings starting with the prefix are escaped by doubling it, see Automaton.escapeCharacter.
+		 *
+		 * @type {string}
+		 */
+		Automaton.PREDICATE_PREFIX = '@';
+
+		/**
+		 * Constant limiting the amount of distinct predicates combined into minterms for a single DFA state.
+		 *
+		 * @type {number}
+		 */
+		Automaton.MAX_PREDICATE_ATOMS = 12;
+
+		/**
+		 * Constant limiting the amount of states of an interleave product by default.
+		 *
+		 * @type {number}
+		 */
+		Automaton.MAX_INTERLEAVE_STATES = 10000;
+
+		/**
+		 * Constant limiting the bounds of a bounded repetition, whose automaton grows with its bounds.
+		 *
+		 * @type {number}
+		 */
+		Automaton.MAX_REPETITION_BOUND = 1000;
+
 		/**
 		 * Set amount of states in an automaton.
 		 *
@@ -77,11 +138,30 @@ define(
 		 * @param character
 		 */
 		Automaton.prototype.addTransition = function (stateFrom, stateTo, character) {
-			this.transitions.push({
+			var transition = {
 				'stateFrom': stateFrom,
 				'stateTo': stateTo,
 				'character': character
-			});
+			};
+
+			this.transitions.push(transition);
+
+			// Index the transition by its origin state
+			if (this.stateTransitions[stateFrom] === undefined) {
+				this.stateTransitions[stateFrom] = [];
+			}
+
+			this.stateTransitions[stateFrom].push(transition);
+		};
+
+		/**
+		 * Get the transitions going out of a given state.
+		 *
+		 * @param state
+		 * @returns {Array}
+		 */
+		Automaton.prototype.getStateTransitions = function (state) {
+			return this.stateTransitions[state] || [];
 		};
 
 		/**
@@ -111,20 +191,135 @@ define(
 			return this.finalStates.slice();
 		};
 
+		/**
+		 * Set the provenance of a state, i.e. the labels of the source parts it originates from, e.g. AST paths.
+		 *
+		 * @param state
+		 * @param provenance
+		 */
+		Automaton.prototype.setStateProvenance = function (state, provenance) {
+
+			if (provenance.length === 0) {
+				delete this.provenance[state];
+
+				return;
+			}
+
+			this.provenance[state] = getSortedUnion([provenance]);
+		};
+
+		/**
+		 * Get a copy of the sorted provenance of a state.
+		 *
+		 * @param state
+		 * @returns {Array.<String>}
+		 */
+		Automaton.prototype.getStateProvenance = function (state) {
+			return (this.provenance[state] || []).slice();
+		};
+
+		/**
+		 * Check whether any state of an automaton has a provenance.
+		 *
+		 * @returns {boolean}
+		 */
+		Automaton.prototype.hasProvenance = function () {
+			return this.provenance.some(function (provenance) {
+				return provenance !== undefined;
+			});
+		};
+
+		/**
+		 * Check whether some states of an automaton come from a DFA, so that it lost the paths of its source.
+		 *
+		 * @returns {boolean}
+		 */
+		Automaton.prototype.isDerivedFromDFA = function () {
+			return this.derivedFromDFA;
+		};
+
+		/**
+		 * Set a given provenance label to all the states which still have none.
+		 *
+		 * @param label
+		 */
+		Automaton.prototype.fillProvenance = function (label) {
+			for (var state = 0; state < this.statesCount; ++ state) {
+				if (this.provenance[state] === undefined) {
+					this.provenance[state] = [label];
+				}
+			}
+		};
+
 		/**
 		 * Create a single-transition automaton.
 		 *
+		 * The character is an exact string, even if it starts with Automaton.PREDICATE_PREFIX: it is escaped by
+		 * Automaton.escapeCharacter, while Automaton.predicate creates the transitions over predicates.
+		 *
 		 * @param character
 		 */
 		Automaton.char = function (character) {
-			var result = new Automaton();
+			return createSingleTransition(Automaton.escapeCharacter(character));
+		};
 
-			result.setStatesCount(2);
-			result.setInitialStates([0]);
-			result.setFinalStates([1]);
-			result.addTransition(0, 1, character);
+		/**
+		 * Create a single-transition automaton accepting any input item satisfying a named predicate.
+		 *
+		 * @param name
+		 * @returns {Automaton}
+		 */
+		Automaton.predicate = function (name) {
 
-			return result;
+			if (!Automaton.isPredicateName(name)) {
+				throw new Error('Invalid predicate name: \'' + name + '\'');
+			}
+
+			return createSingleTransition(Automaton.PREDICATE_PREFIX + name);
+		};
+
+		/**
+		 * Check whether a string is a valid predicate name, i.e. a non-empty one free of '&' and '!' which does not
+		 * start with Automaton.PREDICATE_PREFIX.
+		 *
+		 * @param name
+		 * @returns {boolean}
+		 */
+		Automaton.isPredicateName = function (name) {
+			return (typeof name === 'string') && /^[^&!]+$/.test(name) &&
+				(name.charAt(0) !== Automaton.PREDICATE_PREFIX);
+		};
+
+		/**
+		 * Check whether a character denotes a predicate rather than an escaped exact string.
+		 *
+		 * @param character
+		 * @returns {boolean}
+		 */
+		Automaton.isPredicate = function (character) {
+			return (character.charAt(0) === Automaton.PREDICATE_PREFIX) &&
+				(character.charAt(1) !== Automaton.PREDICATE_PREFIX);
+		};
+
+		/**
+		 * Get the transition character of an exact string, doubling the predicate prefix it may start with.
+		 *
+		 * @param string
+		 * @returns {string}
+		 */
+		Automaton.escapeCharacter = function (string) {
+			return (string.charAt(0) === Automaton.PREDICATE_PREFIX) ? Automaton.PREDICATE_PREFIX + string : string;
+		};
+
+		/**
+		 * Get the exact string of a transition character escaped by Automaton.escapeCharacter.
+		 *
+		 * @param character
+		 * @returns {string}
+		 */
+		Automaton.unescapeCharacter = function (character) {
+			return ((character.charAt(0) === Automaton.PREDICATE_PREFIX) &&
+				(character.charAt(1) === Automaton.PREDICATE_PREFIX)) ? character.substr(1) : character;
 		};
 
 		/**
@@ -145,6 +340,11 @@ define(
 			// Set the new initial states for the new NFA
 			result.setInitialStates(leftAutomaton.getInitialStates());
 
+			// Keep the provenance of both sides
+			copyProvenance(leftAutomaton, result, 0);
+
+			copyProvenance(rightAutomaton, result, leftAutomaton.getStatesCount());
+
 			// Declare counter and temporal variable for storing transitions
 			var currentTransitionID, newTransition;
 
@@ -162,11 +362,16 @@ define(
 
 			var leftFinalStates = leftAutomaton.getFinalStates();
 
+			var rightInitialStates = rightAutomaton.getInitialStates();
+
 			// Connect the left NFA with the right one
 			for (var currentLeftFinalStateID = 0; currentLeftFinalStateID < leftFinalStates.length; ++ currentLeftFinalStateID) {
 				var currentLeftFinalState = leftFinalStates[currentLeftFinalStateID];
 
-				result.addTransition(currentLeftFinalState, leftAutomaton.getStatesCount(), "");
+				for (var currentRightInitialStateID = 0; currentRightInitialStateID < rightInitialStates.length; ++ currentRightInitialStateID) {
+					result.addTransition(currentLeftFinalState, rightInitialStates[currentRightInitialStateID] +
+						leftAutomaton.getStatesCount(), "");
+				}
 			}
 
 			var rightTransitionsCount = rightAutomaton.getTransitionsCount();
@@ -232,12 +437,19 @@ define(
 			// Iterate over choices
 			for (currentChoiceID = 0; currentChoiceID < choices.length; ++ currentChoiceID) {
 
-				// Add transition from initial state to every choice
-				result.addTransition(0, adderTrack, "");
-
 				// Save reference to a current choice
 				var currentChoice = choices[currentChoiceID];
 
+				// Keep the provenance of the choice
+				copyProvenance(currentChoice, result, adderTrack);
+
+				var currentChoiceInitialStates = currentChoice.getInitialStates();
+
+				// Add transition from initial state to every choice
+				for (var currentInitialStateID = 0; currentInitialStateID < currentChoiceInitialStates.length; ++ currentInitialStateID) {
+					result.addTransition(0, currentChoiceInitialStates[currentInitialStateID] + adderTrack, "");
+				}
+
 				// Save amount of transitions in the current choice for reference
 				var currentChoiceTransitionsCount = currentChoice.getTransitionsCount();
 
@@ -283,396 +495,2157 @@ define(
 
 			var result = new Automaton();
 
+			var finalState = automaton.getStatesCount() + 1;
+
 			result.setStatesCount(automaton.getStatesCount() + 2);
 
 			result.setInitialStates([0]);
 
-			result.addTransition(0, automaton.getStatesCount() + 1, '');
-			result.addTransition(0, 1, '');
+			// Allow skipping the automaton entirely
+			result.addTransition(0, finalState, '');
 
-			var transitionsCount = automaton.getTransitionsCount();
+			copyTransitions(automaton, result, 1);
 
-			for (var currentTransitionID = 0; currentTransitionID < transitionsCount; ++ currentTransitionID) {
-				var currentTransition = automaton.transitions[currentTransitionID];
+			copyProvenance(automaton, result, 1);
 
-				result.addTransition(currentTransition.stateFrom + 1, currentTransition.stateTo + 1, currentTransition.character);
-			}
+			connectEnds(automaton, result, 1, 0, finalState);
 
-			result.addTransition(automaton.getStatesCount(), 1, '');
-			result.addTransition(automaton.getStatesCount(), automaton.getStatesCount() + 1, '');
+			// Allow repeating the automaton
+			connectRepetition(automaton, result, 1);
 
-			result.setFinalStates([automaton.getStatesCount() + 1]);
+			result.setFinalStates([finalState]);
 
 			return result;
 		};
 
 		/**
-		 * Minimize a given NFA to get a minimal DFA.
+		 * Make an automaton optional, i.e. accepting either its language or the empty string.
 		 *
-		 * @param nfa
+		 * @param automaton
 		 * @returns {Automaton}
 		 */
-		Automaton.minimize = function (nfa) {
-			return Automaton.determinize(
-				Automaton.reverse(
-					Automaton.determinize(
-						Automaton.reverse(
-							Automaton.determinize(nfa)
-						)
-					)
-				)
-			);
-		};
+		Automaton.optional = function (automaton) {
 
-		/**
-		 * Reverse a given automaton.
-		 *
-		 * @param originalAutomaton
-		 * @returns {Automaton}
-		 */
-		Automaton.reverse = function (originalAutomaton) {
+			var result = new Automaton();
 
-			// Create a new NFA for result
-			var reverseAutomaton = new Automaton();
+			var finalState = automaton.getStatesCount() + 1;
 
-			// Set old initial states as new final states
-			reverseAutomaton.setFinalStates(originalAutomaton.getInitialStates());
+			result.setStatesCount(automaton.getStatesCount() + 2);
 
-			// Set old final states as new initial states
-			reverseAutomaton.setInitialStates(originalAutomaton.getFinalStates());
+			result.setInitialStates([0]);
 
-			// Save the amount of transitions for reference
-			var transitionsCount = originalAutomaton.getTransitionsCount();
+			// Allow skipping the automaton entirely
+			result.addTransition(0, finalState, '');
 
-			// Loop over transitions
-			for (var currentTransitonID = 0; currentTransitonID < transitionsCount; ++ currentTransitonID) {
+			copyTransitions(automaton, result, 1);
 
-				// Save current transition for reference
-				var currentTransition = originalAutomaton.transitions[currentTransitonID];
+			copyProvenance(automaton, result, 1);
 
-				// Add a reversed analog of the currently processed transition to the result
-				reverseAutomaton.addTransition(currentTransition.stateTo, currentTransition.stateFrom, currentTransition.character);
-			}
+			connectEnds(automaton, result, 1, 0, finalState);
 
-			// Return the result
-			return reverseAutomaton;
+			result.setFinalStates([finalState]);
+
+			return result;
 		};
 
 		/**
-		 * Determinize an NFA.
+		 * Apply the one-or-more repetition operation to an automaton.
 		 *
-		 * @param originalNFA
+		 * @param automaton
 		 * @returns {Automaton}
 		 */
-		Automaton.determinize = function (originalNFA) {
+		Automaton.plus = function (automaton) {
 
-			// Define a new NFA (which will be a de-facto DFA) for the result
-			var determinizedNFA = new Automaton();
+			var result = new Automaton();
 
-			// Create an array for final states
-			var newFinalStates = [];
+			var finalState = automaton.getStatesCount() + 1;
 
-			// Get initial eclosure
-			var initialEclose = getInitialEclose(originalNFA);
+			result.setStatesCount(automaton.getStatesCount() + 2);
 
-			// Save the new DFA combo states
-			var comboStates = [initialEclose];
+			result.setInitialStates([0]);
 
-			// Save the pointer to currently processed combo state
-			var currentComboStateID = 0;
+			copyTransitions(automaton, result, 1);
 
-			// As long as new combo states appear
-			while (currentComboStateID < comboStates.length) {
+			copyProvenance(automaton, result, 1);
 
-				// Save current combo state for reference
-				var currentComboState = comboStates[currentComboStateID];
+			connectEnds(automaton, result, 1, 0, finalState);
 
-				// If current combo state is final for the original NFA
-				if (isComboStateFinal(originalNFA, currentComboState)) {
+			// Unlike the kleene star, the automaton can not be skipped but can be repeated
+			connectRepetition(automaton, result, 1);
 
-					// Save current state as final state
-					newFinalStates.push(currentComboStateID);
-				}
+			result.setFinalStates([finalState]);
 
-				// Get current combo state transitions
-				var currentComboStateTransitions = getComboStateTransitions(originalNFA, currentComboState);
+			return result;
+		};
 
-				// Save for reference keys of the current combo state transitions object
-				var currentComboStateTransitionsKeys = Object.keys(currentComboStateTransitions);
+		/**
+		 * Repeat an automaton from min to max times.
+		 *
+		 * An infinite max allows any amount of repetitions starting from min.
+		 * The optional occurrences are nested, i.e. x{1,3} is built as x(x(x)?)?, to keep the NFA unambiguous.
+		 *
+		 * @param automaton
+		 * @param min
+		 * @param max
+		 * @returns {Automaton}
+		 */
+		Automaton.bounded = function (automaton, min, max) {
 
-				// Add the newly received transitions to the determinized automaton
+			if ((typeof min !== 'number') || (min < 0) || (min % 1 !== 0)) {
+				throw new Error('Minimal amount of repetitions must be a non-negative integer, got ' + min);
+			}
 
-				// Loop over current combo state transitions
-				for (var cstID = 0; cstID < currentComboStateTransitionsKeys.length; ++ cstID) {
+			if ((typeof max !== 'number') || (max < min) || ((max !== Infinity) && (max % 1 !== 0))) {
+				throw new Error('Maximal amount of repetitions must be an integer not less than ' + min + ', got ' + max);
+			}
 
-					// Save the current combo state transition key for reference
-					var cstKey = currentComboStateTransitionsKeys[cstID];
+			// Save the parts to be concatenated
+			var parts = [];
 
-					// Save the eclosure of a combo state discovered
-					var currentComboStateTransitionTargetEclose = comboEclose(originalNFA, currentComboStateTransitions[cstKey]);
+			// Add the required occurrences
+			for (var occurrenceID = 0; occurrenceID < min; ++ occurrenceID) {
+				parts.push(automaton);
+			}
 
-					// Check if the target state is in the comboStates array or not
+			if (max === Infinity) {
 
-					// Define current combo state ID to the last + 1 element of combo states array by default
-					var currentTargetComboStateID = comboStates.length;
+				// Add an unbounded tail
+				parts.push(Automaton.repetition(automaton));
 
-					// Loop over existing combo states
-					for (var currentlyCheckedComboStateID = 0; currentlyCheckedComboStateID < comboStates.length;
-						 ++ currentlyCheckedComboStateID) {
+			} else if (max > min) {
 
-						// If a new state is already in the combo states array
-						if (comboStates[currentlyCheckedComboStateID].equals(currentComboStateTransitionTargetEclose)) {
+				// Build the nested optional occurrences from the innermost one
+				var optionalTail = Automaton.optional(automaton);
 
-							// Save its ID
-							currentTargetComboStateID = currentlyCheckedComboStateID;
+				for (occurrenceID = min + 1; occurrenceID < max; ++ occurrenceID) {
+					optionalTail = Automaton.optional(Automaton.concat(automaton, optionalTail));
+				}
 
-							// Break
-							break;
-						}
-					}
+				parts.push(optionalTail);
+			}
 
-					// Add the new combo state to the combo states array, if still missing
-					if (currentlyCheckedComboStateID === comboStates.length) {
-						comboStates.push(currentComboStateTransitionTargetEclose);
-					}
+			// Zero repetitions only accept the empty string
+			if (parts.length === 0) {
+				return Automaton.epsilon();
+			}
 
-					// Add transitions for the new combo state to the result
-					determinizedNFA.addTransition(currentComboStateID, currentTargetComboStateID, cstKey);
-				}
+			var result = parts[0];
 
-				// Go to the next combo state
-				++ currentComboStateID;
+			for (var partID = 1; partID < parts.length; ++ partID) {
+				result = Automaton.concat(result, parts[partID]);
 			}
 
-			// Set the initial states
-			determinizedNFA.setInitialStates([Automaton.DFA_INITIAL_STATE]);
+			return result;
+		};
 
-			// Set the final states
-			determinizedNFA.setFinalStates(newFinalStates);
+		/**
+		 * Create an automaton accepting only the empty string.
+		 *
+		 * @returns {Automaton}
+		 */
+		Automaton.epsilon = function () {
+			var result = new Automaton();
 
-			// Set states for result
-			determinizedNFA.setStatesCount(comboStates.length);
+			result.setStatesCount(1);
+			result.setInitialStates([0]);
+			result.setFinalStates([0]);
 
-			// Return the determinized NFA
-			return determinizedNFA;
+			return result;
 		};
 
 		/**
-		 * Convert an automaton to a simple-notion DFA.
-		 * @param automaton
-		 * @returns {{initialState: number, transitions: Array, finalStates: Array.<Number>}}
+		 * Intersect two automata using the product construction.
+		 *
+		 * The product states are pairs of states of the given automata. Epsilon transitions move one side of a pair,
+		 * while the other transitions move both sides along characters matching the same input items.
+		 * Predicate characters are combined into conjunctions, and evaluating predicates against exact characters
+		 * requires their definitions.
+		 *
+		 * @param leftAutomaton
+		 * @param rightAutomaton
+		 * @param [predicates] Predicate functions by predicate name.
+		 * @returns {Automaton}
 		 */
-		Automaton.toSimpleDFA = function (automaton) {
+		Automaton.intersect = function (leftAutomaton, rightAutomaton, predicates) {
 
-			// Minimize the NFA
-			var minimalDFA = Automaton.minimize(automaton);
+			var result = new Automaton();
 
-			// Define a variable for the transitions
-			var transitions = [];
+			result.derivedFromDFA = leftAutomaton.isDerivedFromDFA() || rightAutomaton.isDerivedFromDFA();
 
-			// Save the DFA states for reference
+			// Save the product state IDs by pair keys, leaving the state 0 for the new initial state
+			var pairStateIDs = {};
+
+			var pairs = [];
+
+			/**
+			 * Get the product state ID of a pair of states, adding the pair if still missing.
+			 *
+			 * @param leftState
+			 * @param rightState
+			 * @returns {Number}
+			 */
+			function getPairStateID (leftState, rightState) {
+				var pairKey = leftState + ',' + rightState;
+
+				if (pairStateIDs[pairKey] === undefined) {
+					pairStateIDs[pairKey] = pairs.length + 1;
+
+					pairs.push([leftState, rightState]);
+
+					// A pair originates from both of its states
+					result.setStateProvenance(pairStateIDs[pairKey], getSortedUnion([
+						leftAutomaton.getStateProvenance(leftState),
+						rightAutomaton.getStateProvenance(rightState)
+					]));
+				}
+
+				return pairStateIDs[pairKey];
+			}
+
+			var leftInitialStates = leftAutomaton.getInitialStates();
+
+			var rightInitialStates = rightAutomaton.getInitialStates();
+
+			// Connect the new initial state to all the initial pairs
+			for (var leftInitialStateID = 0; leftInitialStateID < leftInitialStates.length; ++ leftInitialStateID) {
+				for (var rightInitialStateID = 0; rightInitialStateID < rightInitialStates.length; ++ rightInitialStateID) {
+					result.addTransition(0, getPairStateID(leftInitialStates[leftInitialStateID],
+						rightInitialStates[rightInitialStateID]), '');
+				}
+			}
+
+			var leftFinalStatesLookup = createLookup(leftAutomaton.getFinalStates());
+
+			var rightFinalStatesLookup = createLookup(rightAutomaton.getFinalStates());
+
+			var finalPairStateIDs = [];
+
+			// Explore the reachable pairs
+			for (var pairID = 0; pairID < pairs.length; ++ pairID) {
+				var pairStateID = pairID + 1;
+
+				var leftState = pairs[pairID][0];
+
+				var rightState = pairs[pairID][1];
+
+				if (leftFinalStatesLookup[leftState] && rightFinalStatesLookup[rightState]) {
+					finalPairStateIDs.push(pairStateID);
+				}
+
+				var leftTransitions = leftAutomaton.getStateTransitions(leftState);
+
+				var rightTransitions = rightAutomaton.getStateTransitions(rightState);
+
+				var leftTransitionID, rightTransitionID;
+
+				// Move the left side alone along its epsilon transitions
+				for (leftTransitionID = 0; leftTransitionID < leftTransitions.length; ++ leftTransitionID) {
+					if (leftTransitions[leftTransitionID].character === '') {
+						result.addTransition(pairStateID, getPairStateID(leftTransitions[leftTransitionID].stateTo, rightState), '');
+					}
+				}
+
+				// Move the right side alone along its epsilon transitions
+				for (rightTransitionID = 0; rightTransitionID < rightTransitions.length; ++ rightTransitionID) {
+					if (rightTransitions[rightTransitionID].character === '') {
+						result.addTransition(pairStateID, getPairStateID(leftState, rightTransitions[rightTransitionID].stateTo), '');
+					}
+				}
+
+				// Move both sides along the characters they have in common
+				for (leftTransitionID = 0; leftTransitionID < leftTransitions.length; ++ leftTransitionID) {
+					var leftTransition = leftTransitions[leftTransitionID];
+
+					if (leftTransition.character === '') {
+						continue;
+					}
+
+					for (rightTransitionID = 0; rightTransitionID < rightTransitions.length; ++ rightTransitionID) {
+						var rightTransition = rightTransitions[rightTransitionID];
+
+						if (rightTransition.character === '') {
+							continue;
+						}
+
+						var commonCharacter = intersectCharacters(leftTransition.character, rightTransition.character,
+							predicates || {});
+
+						if (commonCharacter !== null) {
+							result.addTransition(pairStateID, getPairStateID(leftTransition.stateTo, rightTransition.stateTo),
+								commonCharacter);
+						}
+					}
+				}
+			}
+
+			// Connect the final pairs to the new final state
+			var finalState = pairs.length + 1;
+
+			for (var finalPairStateID = 0; finalPairStateID < finalPairStateIDs.length; ++ finalPairStateID) {
+				result.addTransition(finalPairStateIDs[finalPairStateID], finalState, '');
+			}
+
+			result.setStatesCount(pairs.length + 2);
+
+			result.setInitialStates([0]);
+
+			result.setFinalStates([finalState]);
+
+			return result;
+		};
+
+		/**
+		 * Interleave automata, i.e. accept the shuffles of strings accepted by each of them, like RelaxNG interleave
+		 * or XML Schema all groups.
+		 *
+		 * The automata are minimized first, then their product is built out of the reachable tuples of their states,
+		 * where every transition moves a single member of a tuple. The product grows exponentially with the amount of
+		 * automata, so building more states than the limit throws a StateLimitError.
+		 *
+		 * @param automata
+		 * @param [predicates] Predicate functions by predicate name, see Automaton.determinize.
+		 * @param [maxStates] The states limit, Automaton.MAX_INTERLEAVE_STATES by default.
+		 * @returns {Automaton}
+		 */
+		Automaton.interleave = function (automata, predicates, maxStates) {
+
+			maxStates = maxStates || Automaton.MAX_INTERLEAVE_STATES;
+
+			// Minimize the members to keep the product small
+			var members = automata.map(function (automaton) {
+				return Automaton.minimize(automaton, Automaton.MINIMIZATION_HOPCROFT, predicates);
+			});
+
+			var result = new Automaton();
+
+			// Save the product state IDs by tuple keys, leaving the state 0 for the new initial state
+			var tupleStateIDs = {};
+
+			var tuples = [];
+
+			/**
+			 * Get the product state ID of a tuple of member states, adding the tuple if still missing.
+			 *
+			 * @param tuple
+			 * @returns {Number}
+			 */
+			function getTupleStateID (tuple) {
+				var tupleKey = tuple.join(',');
+
+				if (tupleStateIDs[tupleKey] === undefined) {
+
+					// Count the new initial and final states in
+					if (tuples.length + 3 > maxStates) {
+						throw new StateLimitError('Interleave exceeds the limit of ' + maxStates + ' states', maxStates);
+					}
+
+					tupleStateIDs[tupleKey] = tuples.length + 1;
+
+					tuples.push(tuple);
+
+					// A tuple originates from all of its member states
+					result.setStateProvenance(tupleStateIDs[tupleKey], getSortedUnion(tuple.map(function (state, memberID) {
+						return members[memberID].getStateProvenance(state);
+					})));
+				}
+
+				return tupleStateIDs[tupleKey];
+			}
+
+			// All the minimized members start in their initial states
+			result.addTransition(0, getTupleStateID(members.map(function () {
+				return Automaton.DFA_INITIAL_STATE;
+			})), '');
+
+			var finalStatesLookups = members.map(function (member) {
+				return createLookup(member.getFinalStates());
+			});
+
+			var finalTupleStateIDs = [];
+
+			// Explore the reachable tuples
+			for (var tupleID = 0; tupleID < tuples.length; ++ tupleID) {
+				var tupleStateID = tupleID + 1;
+
+				var tuple = tuples[tupleID];
+
+				var isFinal = true;
+
+				for (var memberID = 0; memberID < members.length; ++ memberID) {
+					isFinal = isFinal && !!finalStatesLookups[memberID][tuple[memberID]];
+
+					var memberTransitions = members[memberID].getStateTransitions(tuple[memberID]);
+
+					// Move the current member alone
+					for (var transitionID = 0; transitionID < memberTransitions.length; ++ transitionID) {
+						var nextTuple = tuple.slice();
+
+						nextTuple[memberID] = memberTransitions[transitionID].stateTo;
+
+						result.addTransition(tupleStateID, getTupleStateID(nextTuple), memberTransitions[transitionID].character);
+					}
+				}
+
+				if (isFinal) {
+					finalTupleStateIDs.push(tupleStateID);
+				}
+			}
+
+			// Connect the final tuples to the new final state
+			var finalState = tuples.length + 1;
+
+			for (var finalTupleStateID = 0; finalTupleStateID < finalTupleStateIDs.length; ++ finalTupleStateID) {
+				result.addTransition(finalTupleStateIDs[finalTupleStateID], finalState, '');
+			}
+
+			result.setStatesCount(tuples.length + 2);
+
+			result.setInitialStates([0]);
+
+			result.setFinalStates([finalState]);
+
+			return result;
+		};
+
+		/**
+		 * Complement an automaton relative to a given alphabet.
+		 *
+		 * The automaton is determinized and completed with a sink state, then its final and non-final states swap.
+		 * Only the strings over the given alphabet are accepted, so the characters missing from it are dropped.
+		 * The sink state accepts everything in the result, while the states which became dead are removed
+		 * by the minimization, so they never reach the simple DFA.
+		 *
+		 * @param automaton
+		 * @param alphabet
+		 * @returns {Automaton}
+		 */
+		Automaton.complement = function (automaton, alphabet) {
+
+			// Predicates can not be completed without knowing all the possible input items
+			if (alphabet.some(Automaton.isPredicate) || getAlphabet(automaton).some(Automaton.isPredicate)) {
+				throw new Error('Complement does not support predicate characters');
+			}
+
+			var dfa = Automaton.determinize(automaton);
+
+			var result = new Automaton();
+
+			// The sink state gets the first unused state number
+			var sinkState = dfa.getStatesCount();
+
+			var alphabetLookup = createLookup(alphabet);
+
+			var finalStatesLookup = createLookup(dfa.getFinalStates());
+
+			var newFinalStates = [];
+
+			for (var state = 0; state <= sinkState; ++ state) {
+
+				// Save the characters defined for the current state
+				var definedCharacters = Object.create(null);
+
+				var stateTransitions = dfa.getStateTransitions(state);
+
+				for (var transitionID = 0; transitionID < stateTransitions.length; ++ transitionID) {
+					var character = stateTransitions[transitionID].character;
+
+					if (objectUtils.hasOwnProperty(alphabetLookup, character)) {
+						result.addTransition(state, stateTransitions[transitionID].stateTo, character);
+
+						definedCharacters[character] = true;
+					}
+				}
+
+				// Lead the rest of the alphabet to the sink state
+				for (var characterID = 0; characterID < alphabet.length; ++ characterID) {
+					if (!objectUtils.hasOwnProperty(definedCharacters, alphabet[characterID])) {
+						result.addTransition(state, sinkState, alphabet[characterID]);
+					}
+				}
+
+				// Swap the final and non-final states
+				if (!finalStatesLookup[state]) {
+					newFinalStates.push(state);
+				}
+			}
+
+			result.setStatesCount(sinkState + 1);
+
+			// The sink state does not originate from any state
+			copyProvenance(dfa, result, 0);
+
+			result.setInitialStates([Automaton.DFA_INITIAL_STATE]);
+
+			result.setFinalStates(newFinalStates);
+
+			return result;
+		};
+
+		/**
+		 * Get an automaton accepting the strings accepted by the left automaton but not by the right one.
+		 *
+		 * @param leftAutomaton
+		 * @param rightAutomaton
+		 * @returns {Automaton}
+		 */
+		Automaton.difference = function (leftAutomaton, rightAutomaton) {
+
+			// Complement the right automaton relative to the characters of both
+			var alphabet = getAlphabet(leftAutomaton);
+
+			var rightAlphabet = getAlphabet(rightAutomaton);
+
+			for (var characterID = 0; characterID < rightAlphabet.length; ++ characterID) {
+				if (alphabet.indexOf(rightAlphabet[characterID]) === -1) {
+					alphabet.push(rightAlphabet[characterID]);
+				}
+			}
+
+			return Automaton.intersect(leftAutomaton, Automaton.complement(rightAutomaton, alphabet.sort()));
+		};
+
+		/**
+		 * Check whether two automata accept the same language.
+		 *
+		 * Both NFAs and simple DFAs are accepted. Predicate characters are compared as they are.
+		 * On failure, the result holds the shortest sequence of characters accepted by one side only,
+		 * along with the side accepting it.
+		 *
+		 * @param leftAutomaton
+		 * @param rightAutomaton
+		 * @returns {{result: boolean, counterexample: (Array.<String>|null), acceptedBy: (string|null)}}
+		 */
+		Automaton.equivalent = function (leftAutomaton, rightAutomaton) {
+			return findCounterexample(leftAutomaton, rightAutomaton, function (leftFinal, rightFinal) {
+				return leftFinal !== rightFinal;
+			});
+		};
+
+		/**
+		 * Check whether the language of the left automaton includes the language of the right one.
+		 *
+		 * Both NFAs and simple DFAs are accepted. Predicate characters are compared as they are.
+		 * On failure, the result holds the shortest sequence of characters accepted by the right side only.
+		 *
+		 * @param leftAutomaton
+		 * @param rightAutomaton
+		 * @returns {{result: boolean, counterexample: (Array.<String>|null), acceptedBy: (string|null)}}
+		 */
+		Automaton.includes = function (leftAutomaton, rightAutomaton) {
+			return findCounterexample(leftAutomaton, rightAutomaton, function (leftFinal, rightFinal) {
+				return rightFinal && !leftFinal;
+			});
+		};
+
+		/**
+		 * Get the epsilon closure of given states of an NFA, sorted and free of duplicates.
+		 *
+		 * @param nfa
+		 * @param states
+		 * @returns {Array.<Number>}
+		 */
+		Automaton.getEpsilonClosure = function (nfa, states) {
+			return comboEclose(nfa, states);
+		};
+
+		/**
+		 * Create an automaton out of a simple-notion DFA.
+		 *
+		 * @param simpleDFA
+		 * @returns {Automaton}
+		 */
+		Automaton.fromSimpleDFA = function (simpleDFA) {
+
+			var result = new Automaton();
+
+			for (var state = 0; state < simpleDFA.transitions.length; ++ state) {
+				var stateCharacters = Object.keys(simpleDFA.transitions[state]);
+
+				for (var characterID = 0; characterID < stateCharacters.length; ++ characterID) {
+					result.addTransition(state, simpleDFA.transitions[state][stateCharacters[characterID]],
+						stateCharacters[characterID]);
+				}
+			}
+
+			result.setStatesCount(simpleDFA.transitions.length);
+
+			result.setInitialStates([simpleDFA.initialState]);
+
+			result.setFinalStates(simpleDFA.finalStates.slice());
+
+			result.derivedFromDFA = true;
+
+			if (simpleDFA.provenance) {
+				for (state = 0; state < simpleDFA.provenance.length; ++ state) {
+					result.setStateProvenance(state, simpleDFA.provenance[state]);
+				}
+			}
+
+			return result;
+		};
+
+		/**
+		 * Minimize a given NFA to get a minimal DFA.
+		 *
+		 * Uses Hopcroft partition refinement over the determinized NFA unless another method is requested.
+		 * The predicate definitions are passed on to Automaton.determinize.
+		 *
+		 * @param nfa
+		 * @param [method]
+		 * @param [predicates]
+		 * @returns {Automaton}
+		 */
+		Automaton.minimize = function (nfa, method, predicates) {
+
+			// Fall back to the partition refinement by default
+			method = method || Automaton.MINIMIZATION_HOPCROFT;
+
+			if (method === Automaton.MINIMIZATION_HOPCROFT) {
+				return Automaton.minimizeDFA(Automaton.determinize(nfa, predicates));
+			}
+
+			if (method === Automaton.MINIMIZATION_BRZOZOWSKI) {
+
+				// Reversing a DFA loses the priority of exact characters over predicates
+				if (getAlphabet(nfa).some(Automaton.isPredicate)) {
+					throw new Error('Brzozowski minimization does not support predicate characters');
+				}
+
+				return Automaton.determinize(
+					Automaton.reverse(
+						Automaton.determinize(
+							Automaton.reverse(
+								Automaton.determinize(nfa)
+							)
+						)
+					)
+				);
+			}
+
+			throw new Error('Unknown minimization method: ' + method);
+		};
+
+		/**
+		 * Minimize a DFA produced by Automaton.determinize using Hopcroft partition refinement.
+		 *
+		 * The DFA is completed with an implicit sink state before refinement. The block of the sink state
+		 * holds all the dead states, so it is dropped from the result, as are the unreachable blocks.
+		 *
+		 * @param dfa
+		 * @returns {Automaton}
+		 */
+		Automaton.minimizeDFA = function (dfa) {
+
+			// Save the amount of DFA states for reference
+			var statesCount = dfa.getStatesCount();
+
+			// The sink state gets the first unused state number
+			var sinkState = statesCount;
+
+			// Collect the sorted alphabet of the DFA
+			var alphabet = getAlphabet(dfa);
+
+			// Build the complete transition table including the sink state
+			var completeTransitions = getCompleteTransitions(dfa, alphabet, sinkState);
+
+			// Build the inverse transition table for each character
+			var inverseTransitions = getInverseTransitions(completeTransitions, alphabet.length);
+
+			// Split the states into final and non-final ones
+			var finalStatesLookup = createLookup(dfa.getFinalStates());
+
+			var finalBlock = [];
+
+			var nonFinalBlock = [];
+
+			for (var state = 0; state <= sinkState; ++ state) {
+				if (finalStatesLookup[state]) {
+					finalBlock.push(state);
+				} else {
+					nonFinalBlock.push(state);
+				}
+			}
+
+			// Refine the partition until it is stable
+			var blocks = refinePartition([finalBlock, nonFinalBlock], inverseTransitions);
+
+			// Build the minimal DFA out of the stable partition
+			return buildQuotientDFA(dfa, completeTransitions, alphabet, blocks, sinkState);
+		};
+
+		/**
+		 * Remove the states which are unreachable from the initial states or can not reach any final state.
+		 *
+		 * The initial states are always kept, so that an automaton of the empty language keeps its initial states
+		 * without any transitions. The kept states preserve their relative order, provenance included.
+		 *
+		 * @param automaton
+		 * @returns {{automaton: Automaton, prunedStatesCount: number, unreachableStatesCount: number,
+		 *     deadStatesCount: number}}
+		 */
+		Automaton.trim = function (automaton) {
+
+			var statesCount = automaton.getStatesCount();
+
+			var initialStatesLookup = createLookup(automaton.getInitialStates());
+
+			var reachableLookup = getReachableLookup(automaton, automaton.getInitialStates());
+
+			// The states able to reach a final state are reachable from the final states of the reverse automaton
+			var liveLookup = getReachableLookup(Automaton.reverse(automaton), automaton.getFinalStates());
+
+			// Map the kept states to their new numbers, and the pruned ones to -1
+			var stateMap = [];
+
+			var keptStatesCount = 0;
+
+			var unreachableStatesCount = 0;
+
+			var deadStatesCount = 0;
+
+			for (var state = 0; state < statesCount; ++ state) {
+				if (initialStatesLookup[state] || (reachableLookup[state] && liveLookup[state])) {
+					stateMap.push(keptStatesCount ++);
+				} else {
+					stateMap.push(-1);
+
+					if (reachableLookup[state]) {
+						++ deadStatesCount;
+					} else {
+						++ unreachableStatesCount;
+					}
+				}
+			}
+
+			var result = new Automaton();
+
+			result.setStatesCount(keptStatesCount);
+
+			result.setInitialStates(automaton.getInitialStates().map(function (initialState) {
+				return stateMap[initialState];
+			}));
+
+			result.setFinalStates(automaton.getFinalStates().filter(function (finalState) {
+				return stateMap[finalState] !== -1;
+			}).map(function (finalState) {
+				return stateMap[finalState];
+			}));
+
+			var transitionsCount = automaton.getTransitionsCount();
+
+			for (var currentTransitionID = 0; currentTransitionID < transitionsCount; ++ currentTransitionID) {
+				var currentTransition = automaton.transitions[currentTransitionID];
+
+				if ((stateMap[currentTransition.stateFrom] !== -1) && (stateMap[currentTransition.stateTo] !== -1)) {
+					result.addTransition(stateMap[currentTransition.stateFrom], stateMap[currentTransition.stateTo],
+						currentTransition.character);
+				}
+			}
+
+			for (state = 0; state < statesCount; ++ state) {
+				if (stateMap[state] !== -1) {
+					result.setStateProvenance(stateMap[state], automaton.getStateProvenance(state));
+				}
+			}
+
+			return {
+				'automaton': result,
+				'prunedStatesCount': unreachableStatesCount + deadStatesCount,
+				'unreachableStatesCount': unreachableStatesCount,
+				'deadStatesCount': deadStatesCount
+			};
+		};
+
+		/**
+		 * Reverse a given automaton.
+		 *
+		 * @param originalAutomaton
+		 * @returns {Automaton}
+		 */
+		Automaton.reverse = function (originalAutomaton) {
+
+			// Create a new NFA for result
+			var reverseAutomaton = new Automaton();
+
+			// Set old initial states as new final states
+			reverseAutomaton.setFinalStates(originalAutomaton.getInitialStates());
+
+			// Set old final states as new initial states
+			reverseAutomaton.setInitialStates(originalAutomaton.getFinalStates());
+
+			// Keep the amount of states along with their provenance
+			reverseAutomaton.setStatesCount(originalAutomaton.getStatesCount());
+
+			copyProvenance(originalAutomaton, reverseAutomaton, 0);
+
+			// Save the amount of transitions for reference
+			var transitionsCount = originalAutomaton.getTransitionsCount();
+
+			// Loop over transitions
+			for (var currentTransitonID = 0; currentTransitonID < transitionsCount; ++ currentTransitonID) {
+
+				// Save current transition for reference
+				var currentTransition = originalAutomaton.transitions[currentTransitonID];
+
+				// Add a reversed analog of the currently processed transition to the result
+				reverseAutomaton.addTransition(currentTransition.stateTo, currentTransition.stateFrom, currentTransition.character);
+			}
+
+			// Return the result
+			return reverseAutomaton;
+		};
+
+		/**
+		 * Determinize an NFA.
+		 *
+		 * Predicate characters going out of a combo state are split into disjoint minterms, so that any input item
+		 * satisfies at most one of them. An input item equal to an exact character of a DFA state never takes
+		 * the predicate transitions of that state. Therefore, whenever an exact character meets predicates in a combo
+		 * state, the predicates are evaluated against that character, which requires their definitions.
+		 *
+		 * @param originalNFA
+		 * @param [predicates] Predicate functions by predicate name.
+		 * @returns {Automaton}
+		 */
+		Automaton.determinize = function (originalNFA, predicates) {
+
+			// Define a new NFA (which will be a de-facto DFA) for the result
+			var determinizedNFA = new Automaton();
+
+			// Create an array for final states
+			var newFinalStates = [];
+
+			// Index the original final states for a quick lookup
+			var finalStatesLookup = createLookup(originalNFA.getFinalStates());
+
+			// Get initial eclosure
+			var initialEclose = getInitialEclose(originalNFA);
+
+			// Save the new DFA combo states
+			var comboStates = [initialEclose];
+
+			// Save the combo state IDs by their canonical keys
+			var comboStateIDs = {};
+
+			comboStateIDs[getComboStateKey(initialEclose)] = 0;
+
+			// Save the pointer to currently processed combo state
+			var currentComboStateID = 0;
+
+			// As long as new combo states appear
+			while (currentComboStateID < comboStates.length) {
+
+				// Save current combo state for reference
+				var currentComboState = comboStates[currentComboStateID];
+
+				// If current combo state is final for the original NFA
+				if (isComboStateFinal(finalStatesLookup, currentComboState)) {
+
+					// Save current state as final state
+					newFinalStates.push(currentComboStateID);
+				}
+
+				// Get current combo state transitions
+				var currentComboStateTransitions = partitionPredicates(
+					getComboStateTransitions(originalNFA, currentComboState), predicates || {});
+
+				// Save for reference keys of the current combo state transitions object
+				var currentComboStateTransitionsKeys = Object.keys(currentComboStateTransitions);
+
+				// Add the newly received transitions to the determinized automaton
+
+				// Loop over current combo state transitions
+				for (var cstID = 0; cstID < currentComboStateTransitionsKeys.length; ++ cstID) {
+
+					// Save the current combo state transition key for reference
+					var cstKey = currentComboStateTransitionsKeys[cstID];
+
+					// Save the eclosure of a combo state discovered
+					var currentComboStateTransitionTargetEclose = comboEclose(originalNFA, currentComboStateTransitions[cstKey]);
+
+					// Look the target combo state up by its key
+					var targetComboStateKey = getComboStateKey(currentComboStateTransitionTargetEclose);
+
+					var currentTargetComboStateID = comboStateIDs[targetComboStateKey];
+
+					// Add the new combo state to the combo states array, if still missing
+					if (currentTargetComboStateID === undefined) {
+						currentTargetComboStateID = comboStates.length;
+
+						comboStateIDs[targetComboStateKey] = currentTargetComboStateID;
+
+						comboStates.push(currentComboStateTransitionTargetEclose);
+					}
+
+					// Add transitions for the new combo state to the result
+					determinizedNFA.addTransition(currentComboStateID, currentTargetComboStateID, cstKey);
+				}
+
+				// Go to the next combo state
+				++ currentComboStateID;
+			}
+
+			// Set the initial states
+			determinizedNFA.setInitialStates([Automaton.DFA_INITIAL_STATE]);
+
+			// Set the final states
+			determinizedNFA.setFinalStates(newFinalStates);
+
+			// Set states for result
+			determinizedNFA.setStatesCount(comboStates.length);
+
+			// A combo state originates from all of its states
+			for (currentComboStateID = 0; currentComboStateID < comboStates.length; ++ currentComboStateID) {
+				determinizedNFA.setStateProvenance(currentComboStateID,
+					getStatesProvenance(originalNFA, comboStates[currentComboStateID]));
+			}
+
+			// Return the determinized NFA
+			return determinizedNFA;
+		};
+
+		/**
+		 * Convert an automaton to a simple-notion DFA.
+		 *
+		 * Supported options:
+		 * - minimization: one of the Automaton.MINIMIZATION_* constants, Hopcroft by default;
+		 * - predicates: predicate functions by predicate name, see Automaton.determinize;
+		 * - report: an object receiving the prunedStatesCount, unreachableStatesCount and deadStatesCount of the
+		 *   trim pass, see Automaton.trim. The trim pass runs on the given automaton, as the determinization only
+		 *   builds the reachable states and the minimization merges the dead ones into the dropped sink.
+		 *
+		 * @param automaton
+		 * @param [options]
+		 * @returns {{initialState: number, transitions: Array, finalStates: Array.<Number>}}
+		 */
+		Automaton.toSimpleDFA = function (automaton, options) {
+
+			options = options || {};
+
+			var method = options.minimization || Automaton.MINIMIZATION_HOPCROFT;
+
+			// Trim the given automaton, so that the pruned states are not already hidden by the determinization
+			var trimResult = Automaton.trim(automaton);
+
+			// The states of the trimmed automaton all reach a final state, and so do their combinations
+			var dfa = Automaton.determinize(trimResult.automaton, options.predicates);
+
+			// Minimize the DFA, which leaves no dead ends whatever the minimization method
+			var minimalDFA = (method === Automaton.MINIMIZATION_HOPCROFT) ?
+				Automaton.minimizeDFA(dfa) :
+				Automaton.minimize(dfa, method);
+
+			if (options.report) {
+				options.report.prunedStatesCount = trimResult.prunedStatesCount;
+				options.report.unreachableStatesCount = trimResult.unreachableStatesCount;
+				options.report.deadStatesCount = trimResult.deadStatesCount;
+			}
+
+			// Define a variable for the transitions
+			var transitions = [];
+
+			// Save the DFA states for reference
 			var statesCount = minimalDFA.getStatesCount();
 
-			// Loop over states
-			for (var currentStateID = 0; currentStateID < statesCount; ++ currentStateID) {
+			// Loop over states
+			for (var currentStateID = 0; currentStateID < statesCount; ++ currentStateID) {
+
+				// Initialize object for storing current state transitions
+				var currentStateTransitions = Object.create(null);
+
+				// Save the transitions going out of the current state
+				var currentStateOutgoingTransitions = minimalDFA.getStateTransitions(currentStateID);
+
+				// Find all the transitions for current state
+				for (var currentTransitionID = 0; currentTransitionID < currentStateOutgoingTransitions.length; ++ currentTransitionID) {
+
+					// Save current transition for reference
+					var currentTransition = currentStateOutgoingTransitions[currentTransitionID];
+
+					// Save the transition in the right place
+					currentStateTransitions[currentTransition.character] = currentTransition.stateTo;
+				}
+
+				// Add the newly made transitions
+				transitions.push(currentStateTransitions);
+			}
+
+			// Save the final states
+			var finalStates = minimalDFA.getFinalStates();
+
+			// Define the simple minimal notion of a given DFA
+			var simpleDFA = {
+				'initialState': Automaton.DFA_INITIAL_STATE,
+				'transitions': transitions,
+				'finalStates': finalStates
+			};
+
+			// Add the provenance of each state, if tracked
+			if (minimalDFA.hasProvenance()) {
+				simpleDFA.provenance = [];
+
+				for (currentStateID = 0; currentStateID < statesCount; ++ currentStateID) {
+					simpleDFA.provenance.push(minimalDFA.getStateProvenance(currentStateID));
+				}
+			}
+
+			// Number the states canonically, so that equal languages make equal simple DFAs
+			return Automaton.canonicalize(simpleDFA);
+		};
+
+		/**
+		 * Renumber the states of a simple DFA canonically.
+		 *
+		 * The states are numbered in the breadth-first order from the initial state, following the transitions of
+		 * every state in the sorted order of their characters, and the final states are sorted. Two minimal simple
+		 * DFAs accepting the same language thus become equal, their provenance aside. The unreachable states are
+		 * dropped.
+		 *
+		 * @param simpleDFA
+		 * @returns {{initialState: number, transitions: Array, finalStates: Array.<Number>}}
+		 */
+		Automaton.canonicalize = function (simpleDFA) {
+
+			// Save the canonical state of every original state, and the original state of every canonical state
+			var canonicalStates = {};
+
+			var originalStates = [simpleDFA.initialState];
+
+			canonicalStates[simpleDFA.initialState] = 0;
+
+			var transitions = [];
+
+			for (var canonicalState = 0; canonicalState < originalStates.length; ++ canonicalState) {
+				var originalTransitions = simpleDFA.transitions[originalStates[canonicalState]];
+
+				var characters = Object.keys(originalTransitions).sort();
+
+				var stateTransitions = Object.create(null);
+
+				for (var characterID = 0; characterID < characters.length; ++ characterID) {
+					var originalTarget = originalTransitions[characters[characterID]];
+
+					if (!canonicalStates.hasOwnProperty(originalTarget)) {
+						canonicalStates[originalTarget] = originalStates.length;
+
+						originalStates.push(originalTarget);
+					}
+
+					stateTransitions[characters[characterID]] = canonicalStates[originalTarget];
+				}
+
+				transitions.push(stateTransitions);
+			}
+
+			var finalStates = simpleDFA.finalStates.filter(function (finalState) {
+				return canonicalStates.hasOwnProperty(finalState);
+			}).map(function (finalState) {
+				return canonicalStates[finalState];
+			}).sort(function (left, right) {
+				return left - right;
+			});
+
+			var canonicalDFA = {
+				'initialState': Automaton.DFA_INITIAL_STATE,
+				'transitions': transitions,
+				'finalStates': finalStates
+			};
+
+			if (simpleDFA.provenance) {
+				canonicalDFA.provenance = originalStates.map(function (originalState) {
+					return simpleDFA.provenance[originalState];
+				});
+			}
+
+			return canonicalDFA;
+		};
+
+		/**
+		 * Copy all the transitions of an automaton to another one, shifting the states by a given offset.
+		 *
+		 * @param source
+		 * @param target
+		 * @param offset
+		 */
+		function copyTransitions (source, target, offset) {
+
+			var transitionsCount = source.getTransitionsCount();
+
+			for (var currentTransitionID = 0; currentTransitionID < transitionsCount; ++ currentTransitionID) {
+				var currentTransition = source.transitions[currentTransitionID];
+
+				target.addTransition(currentTransition.stateFrom + offset, currentTransition.stateTo + offset,
+					currentTransition.character);
+			}
+		}
+
+		/**
+		 * Create an automaton of a single transition over a given transition character, escaped or predicate.
+		 *
+		 * @param character
+		 * @returns {Automaton}
+		 */
+		function createSingleTransition (character) {
+			var result = new Automaton();
+
+			result.setStatesCount(2);
+			result.setInitialStates([0]);
+			result.setFinalStates([1]);
+			result.addTransition(0, 1, character);
+
+			return result;
+		}
+
+		/**
+		 * Copy the provenance of the states of an automaton to another one, shifting the states by a given offset.
+		 * The target is derived from a DFA as soon as the source is.
+		 *
+		 * @param source
+		 * @param target
+		 * @param offset
+		 */
+		function copyProvenance (source, target, offset) {
+
+			target.derivedFromDFA = target.derivedFromDFA || source.isDerivedFromDFA();
+
+			for (var state = 0; state < source.provenance.length; ++ state) {
+				if (source.provenance[state] !== undefined) {
+					target.provenance[state + offset] = source.provenance[state].slice();
+				}
+			}
+		}
+
+		/**
+		 * Get the sorted union of provenance arrays.
+		 *
+		 * @param provenances
+		 * @returns {Array.<String>}
+		 */
+		function getSortedUnion (provenances) {
+
+			var seen = {};
+
+			var union = [];
+
+			for (var provenanceID = 0; provenanceID < provenances.length; ++ provenanceID) {
+				for (var labelID = 0; labelID < provenances[provenanceID].length; ++ labelID) {
+					var label = provenances[provenanceID][labelID];
+
+					if (!seen.hasOwnProperty(label)) {
+						seen[label] = true;
+
+						union.push(label);
+					}
+				}
+			}
+
+			return union.sort();
+		}
+
+		/**
+		 * Get the provenance of a set of states of an automaton, i.e. the union of their provenance.
+		 *
+		 * @param automaton
+		 * @param states
+		 * @returns {Array.<String>}
+		 */
+		function getStatesProvenance (automaton, states) {
+
+			var provenances = [];
+
+			for (var stateID = 0; stateID < states.length; ++ stateID) {
+				if (automaton.provenance[states[stateID]] !== undefined) {
+					provenances.push(automaton.provenance[states[stateID]]);
+				}
+			}
+
+			return getSortedUnion(provenances);
+		}
+
+		/**
+		 * Connect an entry state to the shifted initial states of an automaton copy,
+		 * and the shifted final states of the copy to an exit state.
+		 *
+		 * @param source
+		 * @param target
+		 * @param offset
+		 * @param entryState
+		 * @param exitState
+		 */
+		function connectEnds (source, target, offset, entryState, exitState) {
+
+			var initialStates = source.getInitialStates();
+
+			for (var initialStateID = 0; initialStateID < initialStates.length; ++ initialStateID) {
+				target.addTransition(entryState, initialStates[initialStateID] + offset, '');
+			}
+
+			var finalStates = source.getFinalStates();
+
+			for (var finalStateID = 0; finalStateID < finalStates.length; ++ finalStateID) {
+				target.addTransition(finalStates[finalStateID] + offset, exitState, '');
+			}
+		}
+
+		/**
+		 * Connect the shifted final states of an automaton copy back to its shifted initial states.
+		 *
+		 * @param source
+		 * @param target
+		 * @param offset
+		 */
+		function connectRepetition (source, target, offset) {
+
+			var initialStates = source.getInitialStates();
+
+			var finalStates = source.getFinalStates();
+
+			for (var finalStateID = 0; finalStateID < finalStates.length; ++ finalStateID) {
+				for (var initialStateID = 0; initialStateID < initialStates.length; ++ initialStateID) {
+					target.addTransition(finalStates[finalStateID] + offset, initialStates[initialStateID] + offset, '');
+				}
+			}
+		}
+
+		/**
+		 * Get a sorted list of the non-epsilon characters used by an automaton.
+		 *
+		 * @param automaton
+		 * @returns {Array.<String>}
+		 */
+		function getAlphabet (automaton) {
+
+			// Save the characters found so far along with their presence flags
+			var alphabet = [];
+
+			var seen = {};
+
+			var transitionsCount = automaton.getTransitionsCount();
+
+			for (var currentTransitionID = 0; currentTransitionID < transitionsCount; ++ currentTransitionID) {
+				var character = automaton.transitions[currentTransitionID].character;
+
+				if ((character !== '') && !objectUtils.hasOwnProperty(seen, character)) {
+					seen[character] = true;
+
+					alphabet.push(character);
+				}
+			}
+
+			// Sort the alphabet to keep the results stable
+			alphabet.sort();
+
+			return alphabet;
+		}
+
+		/**
+		 * Get a complete transition table of a DFA, where the missing transitions lead to the sink state.
+		 *
+		 * @param dfa
+		 * @param alphabet
+		 * @param sinkState
+		 * @returns {Array.<Array.<Number>>}
+		 */
+		function getCompleteTransitions (dfa, alphabet, sinkState) {
+
+			var completeTransitions = [];
+
+			// Index the alphabet for a quick lookup
+			var characterIDs = Object.create(null);
+
+			for (var alphabetID = 0; alphabetID < alphabet.length; ++ alphabetID) {
+				characterIDs[alphabet[alphabetID]] = alphabetID;
+			}
+
+			// Initially, every state including the sink leads to the sink
+			for (var state = 0; state <= sinkState; ++ state) {
+				completeTransitions[state] = [];
+
+				for (var characterID = 0; characterID < alphabet.length; ++ characterID) {
+					completeTransitions[state][characterID] = sinkState;
+				}
+			}
+
+			var transitionsCount = dfa.getTransitionsCount();
+
+			// Fill in the actual transitions
+			for (var currentTransitionID = 0; currentTransitionID < transitionsCount; ++ currentTransitionID) {
+				var currentTransition = dfa.transitions[currentTransitionID];
+
+				var currentCharacterID = characterIDs[currentTransition.character];
+
+				completeTransitions[currentTransition.stateFrom][currentCharacterID] = currentTransition.stateTo;
+			}
+
+			return completeTransitions;
+		}
+
+		/**
+		 * Get the inverse of a complete transition table, grouped by character.
+		 *
+		 * @param completeTransitions
+		 * @param alphabetLength
+		 * @returns {Array.<Array.<Array.<Number>>>}
+		 */
+		function getInverseTransitions (completeTransitions, alphabetLength) {
+
+			var inverseTransitions = [];
+
+			for (var characterID = 0; characterID < alphabetLength; ++ characterID) {
+				inverseTransitions[characterID] = [];
+
+				for (var state = 0; state < completeTransitions.length; ++ state) {
+					inverseTransitions[characterID][state] = [];
+				}
+
+				for (var stateFrom = 0; stateFrom < completeTransitions.length; ++ stateFrom) {
+					inverseTransitions[characterID][completeTransitions[stateFrom][characterID]].push(stateFrom);
+				}
+			}
+
+			return inverseTransitions;
+		}
+
+		/**
+		 * Refine an initial partition of states using Hopcroft's algorithm.
+		 *
+		 * @param initialBlocks
+		 * @param inverseTransitions
+		 * @returns {Array.<Array.<Number>>}
+		 */
+		function refinePartition (initialBlocks, inverseTransitions) {
+
+			// Save the non-empty blocks of the partition
+			var blocks = [];
+
+			// Save the block number for each state
+			var blockOf = [];
+
+			for (var initialBlockID = 0; initialBlockID < initialBlocks.length; ++ initialBlockID) {
+				if (initialBlocks[initialBlockID].length > 0) {
+					addBlock(blocks, blockOf, initialBlocks[initialBlockID]);
+				}
+			}
+
+			// Save the blocks to split the others with, along with their presence flags
+			var splitters = [];
+
+			var isSplitter = [];
+
+			// It is enough to start with the smaller of the two initial blocks
+			if (blocks.length > 1) {
+				var smallerBlockID = (blocks[0].length <= blocks[1].length) ? 0 : 1;
+
+				splitters.push(smallerBlockID);
+
+				isSplitter[smallerBlockID] = true;
+			}
+
+			while (splitters.length > 0) {
+
+				// Take a splitter block and save a copy of its states
+				var splitterID = splitters.pop();
+
+				isSplitter[splitterID] = false;
+
+				var splitter = blocks[splitterID].slice();
+
+				for (var characterID = 0; characterID < inverseTransitions.length; ++ characterID) {
+
+					// Collect the states leading into the splitter by the current character
+					var predecessorFlags = [];
+
+					var touchedBlocks = [];
+
+					var touchedBlockFlags = [];
+
+					for (var splitterStateID = 0; splitterStateID < splitter.length; ++ splitterStateID) {
+						var predecessors = inverseTransitions[characterID][splitter[splitterStateID]];
+
+						for (var predecessorID = 0; predecessorID < predecessors.length; ++ predecessorID) {
+							var predecessor = predecessors[predecessorID];
+
+							if (!predecessorFlags[predecessor]) {
+								predecessorFlags[predecessor] = true;
+
+								if (!touchedBlockFlags[blockOf[predecessor]]) {
+									touchedBlockFlags[blockOf[predecessor]] = true;
+
+									touchedBlocks.push(blockOf[predecessor]);
+								}
+							}
+						}
+					}
+
+					// Split every touched block into the predecessors and the rest
+					for (var touchedBlockID = 0; touchedBlockID < touchedBlocks.length; ++ touchedBlockID) {
+						var blockID = touchedBlocks[touchedBlockID];
+
+						var block = blocks[blockID];
+
+						var insideStates = [];
+
+						var outsideStates = [];
+
+						for (var blockStateID = 0; blockStateID < block.length; ++ blockStateID) {
+							if (predecessorFlags[block[blockStateID]]) {
+								insideStates.push(block[blockStateID]);
+							} else {
+								outsideStates.push(block[blockStateID]);
+							}
+						}
+
+						// Skip the blocks which are not actually split
+						if (outsideStates.length === 0) {
+							continue;
+						}
+
+						// Keep the inside part in place and add the outside part as a new block
+						blocks[blockID] = insideStates;
+
+						var newBlockID = addBlock(blocks, blockOf, outsideStates);
+
+						if (isSplitter[blockID]) {
+
+							// Both parts have to be used as splitters
+							splitters.push(newBlockID);
+
+							isSplitter[newBlockID] = true;
+
+						} else {
+
+							// Using the smaller part is enough
+							var newSplitterID = (insideStates.length <= outsideStates.length) ? blockID : newBlockID;
+
+							splitters.push(newSplitterID);
+
+							isSplitter[newSplitterID] = true;
+						}
+					}
+				}
+			}
+
+			return blocks;
+		}
+
+		/**
+		 * Add a new block to a partition.
+		 *
+		 * @param blocks
+		 * @param blockOf
+		 * @param states
+		 * @returns {Number}
+		 */
+		function addBlock (blocks, blockOf, states) {
+
+			var blockID = blocks.length;
+
+			blocks.push(states);
+
+			for (var stateID = 0; stateID < states.length; ++ stateID) {
+				blockOf[states[stateID]] = blockID;
+			}
+
+			return blockID;
+		}
+
+		/**
+		 * Build a DFA whose states are the reachable non-sink blocks of a stable partition.
+		 *
+		 * The blocks are numbered in breadth-first order from the initial one, following the sorted alphabet.
+		 *
+		 * @param dfa
+		 * @param completeTransitions
+		 * @param alphabet
+		 * @param blocks
+		 * @param sinkState
+		 * @returns {Automaton}
+		 */
+		function buildQuotientDFA (dfa, completeTransitions, alphabet, blocks, sinkState) {
+
+			var quotientDFA = new Automaton();
+
+			// Save the block number for each state
+			var blockOf = [];
+
+			for (var blockID = 0; blockID < blocks.length; ++ blockID) {
+				for (var blockStateID = 0; blockStateID < blocks[blockID].length; ++ blockStateID) {
+					blockOf[blocks[blockID][blockStateID]] = blockID;
+				}
+			}
+
+			var sinkBlockID = blockOf[sinkState];
+
+			var finalStatesLookup = createLookup(dfa.getFinalStates());
+
+			var newFinalStates = [];
+
+			// Save the new state number of each discovered block
+			var newStateOf = [];
+
+			var initialBlockID = blockOf[dfa.getInitialStates()[0]];
+
+			var queue = [];
+
+			// An initial block equivalent to the sink means that the language is empty
+			if (initialBlockID !== sinkBlockID) {
+				newStateOf[initialBlockID] = Automaton.DFA_INITIAL_STATE;
+
+				queue.push(initialBlockID);
+			}
+
+			for (var queueID = 0; queueID < queue.length; ++ queueID) {
+				var currentBlockID = queue[queueID];
+
+				// Any state of a block is representative for it
+				var representative = blocks[currentBlockID][0];
+
+				if (finalStatesLookup[representative]) {
+					newFinalStates.push(newStateOf[currentBlockID]);
+				}
+
+				for (var characterID = 0; characterID < alphabet.length; ++ characterID) {
+					var targetBlockID = blockOf[completeTransitions[representative][characterID]];
+
+					// Leave out the transitions into the dead states
+					if (targetBlockID === sinkBlockID) {
+						continue;
+					}
+
+					if (newStateOf[targetBlockID] === undefined) {
+						newStateOf[targetBlockID] = queue.length;
+
+						queue.push(targetBlockID);
+					}
+
+					quotientDFA.addTransition(newStateOf[currentBlockID], newStateOf[targetBlockID], alphabet[characterID]);
+				}
+			}
+
+			// A block originates from all of its states
+			for (queueID = 0; queueID < queue.length; ++ queueID) {
+				quotientDFA.setStateProvenance(queueID, getStatesProvenance(dfa, blocks[queue[queueID]]));
+			}
+
+			quotientDFA.setInitialStates([Automaton.DFA_INITIAL_STATE]);
+
+			quotientDFA.setFinalStates(newFinalStates);
+
+			// Keep at least the initial state for an empty language
+			quotientDFA.setStatesCount(Math.max(queue.length, 1));
+
+			return quotientDFA;
+		}
+
+		/**
+		 * Get an epsilon closure of a combo state of an NFA
+		 *
+		 * The closure is returned sorted and free of duplicates, so that it can serve as a canonical combo state.
+		 *
+		 * @param nfa
+		 * @param comboState
+		 * @returns {Array}
+		 */
+		function comboEclose(nfa, comboState) {
+
+			// Declare an array for the combo state eclosure
+			var comboEclose = [];
+
+			// Save the flags of states already added to the eclosure
+			var visited = {};
+
+			// Start with the combo state elements
+			for (var comboStateElementID = 0; comboStateElementID < comboState.length; ++ comboStateElementID) {
+
+				// Save current combo state element
+				var currentComboStateElement = comboState[comboStateElementID];
+
+				if (!visited[currentComboStateElement]) {
+					visited[currentComboStateElement] = true;
+
+					comboEclose.push(currentComboStateElement);
+				}
+			}
+
+			// Follow the epsilon transitions of every state added so far
+			for (var currentStateID = 0; currentStateID < comboEclose.length; ++ currentStateID) {
+
+				// Save the outgoing transitions of the current state
+				var currentStateTransitions = nfa.getStateTransitions(comboEclose[currentStateID]);
+
+				for (var transitionID = 0; transitionID < currentStateTransitions.length; ++ transitionID) {
+
+					// Save current transition reference
+					var currentTransition = currentStateTransitions[transitionID];
+
+					// Add the epsilon-connected state to the epsilon-closure
+					if ((currentTransition.character === '') && !visited[currentTransition.stateTo]) {
+						visited[currentTransition.stateTo] = true;
+
+						comboEclose.push(currentTransition.stateTo);
+					}
+				}
+			}
+
+			// Sort the result numerically
+			comboEclose.sort(compareNumbers);
+
+			return comboEclose;
+		}
+
+		/**
+		 * Get an initial combo-state eclosure of an NFA.
+		 *
+		 * @param nfa
+		 * @returns {Array}
+		 */
+		function getInitialEclose (nfa) {
+			return comboEclose(nfa, nfa.getInitialStates());
+		}
+
+		/**
+		 * Get a canonical string key of a sorted combo state.
+		 *
+		 * @param comboState
+		 * @returns {string}
+		 */
+		function getComboStateKey (comboState) {
+			return comboState.join(',');
+		}
 
-				// Initialize object for storing current state transitions
-				var currentStateTransitions = {};
+		/**
+		 * Create a lookup object for a list of states or characters.
+		 *
+		 * @param values
+		 * @returns {{}}
+		 */
+		function createLookup (values) {
 
-				// Find all the transitions for current state
-				for (var currentTransitionID = 0; currentTransitionID < minimalDFA.transitions.length; ++ currentTransitionID) {
+			var lookup = Object.create(null);
+
+			for (var valueID = 0; valueID < values.length; ++ valueID) {
+				lookup[values[valueID]] = true;
+			}
+
+			return lookup;
+		}
+
+		/**
+		 * Get the lookup of the states reachable from given states, these included.
+		 *
+		 * @param automaton
+		 * @param states
+		 * @returns {Object}
+		 */
+		function getReachableLookup (automaton, states) {
+
+			var reachableLookup = createLookup(states);
+
+			var pendingStates = states.slice();
+
+			while (pendingStates.length > 0) {
+				var stateTransitions = automaton.getStateTransitions(pendingStates.pop());
+
+				for (var transitionID = 0; transitionID < stateTransitions.length; ++ transitionID) {
+					var stateTo = stateTransitions[transitionID].stateTo;
+
+					if (!reachableLookup[stateTo]) {
+						reachableLookup[stateTo] = true;
+
+						pendingStates.push(stateTo);
+					}
+				}
+			}
+
+			return reachableLookup;
+		}
+
+		/**
+		 * Checks if a given combo state is final.
+		 *
+		 * @param finalStatesLookup
+		 * @param comboState
+		 * @returns {boolean}
+		 */
+		function isComboStateFinal (finalStatesLookup, comboState) {
+
+			// Look for any of the combo state elements among the final states
+			for (var comboStateElementID = 0; comboStateElementID < comboState.length; ++ comboStateElementID) {
+				if (finalStatesLookup[comboState[comboStateElementID]]) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+
+		/**
+		 * Get all the transitions of a given combo state.
+		 *
+		 * @param originalNFA
+		 * @param comboState
+		 * @returns {{}}
+		 */
+		function getComboStateTransitions (originalNFA, comboState) {
+
+			// Save the current combo state transitions array
+			var currentComboStateTransitions = Object.create(null);
+
+			// Loop over the combo state elements
+			for (var comboStateElementID = 0; comboStateElementID < comboState.length; ++ comboStateElementID) {
+
+				// Save the transitions of the current element for reference
+				var elementTransitions = originalNFA.getStateTransitions(comboState[comboStateElementID]);
+
+				for (var currentTransitionID = 0; currentTransitionID < elementTransitions.length; ++ currentTransitionID) {
 
 					// Save current transition for reference
-					var currentTransition = minimalDFA.transitions[currentTransitionID];
+					var currentTransition = elementTransitions[currentTransitionID];
+
+					// Skip the epsilon transitions
+					if (currentTransition.character === '') {
+						continue;
+					}
 
-					// If current transition is from current state
-					if (currentTransition.stateFrom === currentStateID) {
-						// Save the transition in the right place
-						currentStateTransitions[currentTransition.character] = currentTransition.stateTo;
+					// If there is no transition for this character from current combo state yet
+					if (!objectUtils.hasOwnProperty(currentComboStateTransitions, currentTransition.character)) {
+
+						// Create an empty array for the character and this combo state
+						currentComboStateTransitions[currentTransition.character] = [];
 					}
+
+					// Add a new transition there
+					currentComboStateTransitions[currentTransition.character].push(currentTransition.stateTo);
 				}
+			}
 
-				// Add the newly made transitions
-				transitions.push(currentStateTransitions);
+			return currentComboStateTransitions;
+		}
+
+		/**
+		 * Parse a predicate character into a list of literals.
+		 *
+		 * @param character
+		 * @returns {Array.<{name: string, negated: boolean}>}
+		 */
+		function parsePredicate (character) {
+
+			var literals = [];
+
+			var literalStrings = character.substr(Automaton.PREDICATE_PREFIX.length).split('&');
+
+			for (var literalID = 0; literalID < literalStrings.length; ++ literalID) {
+				var negated = (literalStrings[literalID].charAt(0) === '!');
+
+				literals.push({
+					'name': negated ? literalStrings[literalID].substr(1) : literalStrings[literalID],
+					'negated': negated
+				});
 			}
 
-			// Save the final states
-			var finalStates = minimalDFA.getFinalStates();
+			return literals;
+		}
 
-			// Return the simple minimal notion of a given DFA
-			return {
-				'initialState': Automaton.DFA_INITIAL_STATE,
-				'transitions': transitions,
-				'finalStates': finalStates
-			};
-		};
+		/**
+		 * Check whether an assignment of truth values to predicate names satisfies all the literals.
+		 *
+		 * @param literals
+		 * @param assignment
+		 * @returns {boolean}
+		 */
+		function isSatisfied (literals, assignment) {
+
+			for (var literalID = 0; literalID < literals.length; ++ literalID) {
+				if (assignment(literals[literalID].name) === literals[literalID].negated) {
+					return false;
+				}
+			}
+
+			return true;
+		}
 
 		/**
-		 * Get epsilon-closure of a given state of a given NFA.
+		 * Split the predicate characters of combo state transitions into disjoint minterms.
 		 *
-		 * @param nfa
-		 * @param state
-		 * @returns {*[]}
+		 * @param comboStateTransitions
+		 * @param predicates
+		 * @returns {{}}
 		 */
-		function eclose (nfa, state) {
+		function partitionPredicates (comboStateTransitions, predicates) {
 
-			// Define the eclosure array
-			var eclosure = [state];
+			var characters = Object.keys(comboStateTransitions);
 
-			// Save transitions count for reference
-			var transitionsCount = nfa.getTransitionsCount();
+			// Save the exact characters and the parsed predicate characters separately
+			var exactCharacters = [];
 
-			// Save current state
-			var currentStateID = 0;
+			var predicateCharacters = [];
 
-			while (currentStateID < eclosure.length) {
+			var predicateLiterals = [];
 
-				var currentState = eclosure[currentStateID];
+			// Save the distinct predicate names, which are the atoms of the minterms
+			var atoms = [];
 
-				// Iterate over transitions
-				for (var transitionID = 0; transitionID < transitionsCount; ++ transitionID) {
+			for (var characterID = 0; characterID < characters.length; ++ characterID) {
+				var character = characters[characterID];
 
-					// Save current transition reference
-					var currentTransition = nfa.transitions[transitionID];
+				if (!Automaton.isPredicate(character)) {
+					exactCharacters.push(character);
+
+					continue;
+				}
 
-					// If current transition leads to a directly connected states
-					if ((currentTransition.stateFrom === currentState) && (currentTransition.character === '')
-						&& (currentTransition.stateTo !== currentState)) {
+				var literals = parsePredicate(character);
 
-						// Save next eclosure state for reference
-						var nextEclosureState = currentTransition.stateTo;
+				predicateCharacters.push(character);
 
-						// Add current state to the epsilon-closure
-						if (eclosure.indexOf(nextEclosureState) === -1) {
-							eclosure.push(nextEclosureState);
-						}
+				predicateLiterals.push(literals);
+
+				for (var literalID = 0; literalID < literals.length; ++ literalID) {
+					if (atoms.indexOf(literals[literalID].name) === -1) {
+						atoms.push(literals[literalID].name);
+					}
+				}
+			}
+
+			// Nothing to split without predicates
+			if (predicateCharacters.length === 0) {
+				return comboStateTransitions;
+			}
+
+			if (atoms.length > Automaton.MAX_PREDICATE_ATOMS) {
+				throw new Error('Too many distinct predicates in a single state: ' + atoms.length);
+			}
+
+			atoms.sort();
+
+			var partitionedTransitions = Object.create(null);
+
+			var predicateID;
+
+			// Exact characters also follow the predicates they satisfy
+			for (var exactCharacterID = 0; exactCharacterID < exactCharacters.length; ++ exactCharacterID) {
+				var exactCharacter = exactCharacters[exactCharacterID];
+
+				var exactCharacterTargets = comboStateTransitions[exactCharacter].slice();
+
+				for (predicateID = 0; predicateID < predicateCharacters.length; ++ predicateID) {
+					if (isSatisfied(predicateLiterals[predicateID], createCharacterAssignment(exactCharacter, predicates))) {
+						exactCharacterTargets = exactCharacterTargets.concat(
+							comboStateTransitions[predicateCharacters[predicateID]]);
 					}
 				}
 
-				++ currentStateID;
+				partitionedTransitions[exactCharacter] = exactCharacterTargets;
 			}
 
-			// Return eclosure of a given state of the NFA
-			return eclosure;
+			// Every other item satisfies exactly one minterm, i.e. one combination of the atoms
+			for (var mask = 0; mask < (1 << atoms.length); ++ mask) {
+				var mintermTargets = [];
+
+				var mintermAssignment = createMaskAssignment(atoms, mask);
+
+				for (predicateID = 0; predicateID < predicateCharacters.length; ++ predicateID) {
+					if (isSatisfied(predicateLiterals[predicateID], mintermAssignment)) {
+						mintermTargets = mintermTargets.concat(comboStateTransitions[predicateCharacters[predicateID]]);
+					}
+				}
+
+				if (mintermTargets.length > 0) {
+					partitionedTransitions[getMintermCharacter(atoms, mask)] = mintermTargets;
+				}
+			}
+
+			return partitionedTransitions;
 		}
 
 		/**
-		 * Get an epsilon closure of a combo state of an NFA
+		 * Create an assignment of truth values to predicate names evaluating the predicates against the exact string
+		 * of a character.
 		 *
-		 * @param nfa
-		 * @param comboState
-		 * @returns {Array}
+		 * @param character
+		 * @param predicates
+		 * @returns {Function}
 		 */
-		function comboEclose(nfa, comboState) {
+		function createCharacterAssignment (character, predicates) {
+			return function (name) {
+				if (typeof predicates[name] !== 'function') {
+					throw new Error('Missing definition of predicate \'' + name + '\'');
+				}
 
-			// Declare an array for initial states eclosure
-			var comboEclose = [];
+				return !!predicates[name](Automaton.unescapeCharacter(character));
+			};
+		}
 
-			// Iterate over NFA initial states
-			for (var comboStateElementID = 0; comboStateElementID < comboState.length; ++ comboStateElementID) {
+		/**
+		 * Create an assignment of truth values to predicate names given by a bit mask over the atoms.
+		 *
+		 * @param atoms
+		 * @param mask
+		 * @returns {Function}
+		 */
+		function createMaskAssignment (atoms, mask) {
+			return function (name) {
+				return (mask & (1 << atoms.indexOf(name))) !== 0;
+			};
+		}
 
-				// Save current initial state
-				var currentComboStateElement = comboState[comboStateElementID];
+		/**
+		 * Get the predicate character of a minterm, listing the satisfied atoms before the negated ones.
+		 *
+		 * @param atoms
+		 * @param mask
+		 * @returns {string}
+		 */
+		function getMintermCharacter (atoms, mask) {
 
-				// Save epsilon closure of current initial state
-				var currentComboStateEclose = eclose(nfa, currentComboStateElement);
+			var positiveLiterals = [];
 
-				// Add current initial state epsilon closure to the initial epsilon closure
-				comboEclose = comboEclose.concat(currentComboStateEclose);
-			}
+			var negativeLiterals = [];
 
-			// Sort the result
-			comboEclose.sort();
+			for (var atomID = 0; atomID < atoms.length; ++ atomID) {
+				if (mask & (1 << atomID)) {
+					positiveLiterals.push(atoms[atomID]);
+				} else {
+					negativeLiterals.push('!' + atoms[atomID]);
+				}
+			}
 
-			return comboEclose;
+			return Automaton.PREDICATE_PREFIX + positiveLiterals.concat(negativeLiterals).join('&');
 		}
 
 		/**
-		 * Get an initial combo-state eclosure of an NFA.
+		 * Get a character matching exactly the input items matched by both given characters, or null if there are none.
 		 *
-		 * @param nfa
-		 * @returns {Array}
+		 * @param leftCharacter
+		 * @param rightCharacter
+		 * @param predicates
+		 * @returns {string|null}
 		 */
-		function getInitialEclose (nfa) {
-			return comboEclose(nfa, nfa.getInitialStates());
+		function intersectCharacters (leftCharacter, rightCharacter, predicates) {
+
+			var leftIsPredicate = Automaton.isPredicate(leftCharacter);
+
+			var rightIsPredicate = Automaton.isPredicate(rightCharacter);
+
+			// Exact characters only match themselves
+			if (!leftIsPredicate && !rightIsPredicate) {
+				return (leftCharacter === rightCharacter) ? leftCharacter : null;
+			}
+
+			// An exact character is kept if it satisfies the predicate
+			if (!leftIsPredicate || !rightIsPredicate) {
+				var exactCharacter = leftIsPredicate ? rightCharacter : leftCharacter;
+
+				var predicateCharacter = leftIsPredicate ? leftCharacter : rightCharacter;
+
+				var assignment = createCharacterAssignment(exactCharacter, predicates);
+
+				return isSatisfied(parsePredicate(predicateCharacter), assignment) ? exactCharacter : null;
+			}
+
+			// Predicates are combined into a conjunction, unless it is contradictory
+			var literals = parsePredicate(leftCharacter).concat(parsePredicate(rightCharacter));
+
+			var positiveNames = [];
+
+			var negativeNames = [];
+
+			for (var literalID = 0; literalID < literals.length; ++ literalID) {
+				var names = literals[literalID].negated ? negativeNames : positiveNames;
+
+				if (names.indexOf(literals[literalID].name) === -1) {
+					names.push(literals[literalID].name);
+				}
+			}
+
+			for (var positiveNameID = 0; positiveNameID < positiveNames.length; ++ positiveNameID) {
+				if (-1 < negativeNames.indexOf(positiveNames[positiveNameID])) {
+					return null;
+				}
+			}
+
+			positiveNames.sort();
+
+			negativeNames.sort();
+
+			var conjunction = positiveNames.slice();
+
+			for (var negativeNameID = 0; negativeNameID < negativeNames.length; ++ negativeNameID) {
+				conjunction.push('!' + negativeNames[negativeNameID]);
+			}
+
+			return Automaton.PREDICATE_PREFIX + conjunction.join('&');
 		}
 
 		/**
-		 * Checks if a given combo state is final.
+		 * Get a DFA for an NFA or a simple DFA.
 		 *
-		 * @param originalNFA
-		 * @param comboState
-		 * @returns {boolean}
+		 * @param automaton
+		 * @returns {Automaton}
 		 */
-		function isComboStateFinal (originalNFA, comboState) {
+		function toDeterministic (automaton) {
 
-			// Save the indicator of the combo state being final
-			var comboStateFinal = false;
+			if (automaton instanceof Automaton) {
+				return Automaton.determinize(automaton);
+			}
 
-			// Save a reference to old final states
-			var oldFinalStates = originalNFA.getFinalStates();
+			return Automaton.fromSimpleDFA(automaton);
+		}
 
-			// Add the state to final states, if required
-			for (var currentOldFinalStateID = 0; currentOldFinalStateID < oldFinalStates.length; ++ currentOldFinalStateID) {
+		/**
+		 * Get the transitions of a DFA as a table of targets by state and character.
+		 *
+		 * @param dfa
+		 * @returns {Array.<Object>}
+		 */
+		function getTransitionsTable (dfa) {
 
-				var currentOldFinalState = oldFinalStates[currentOldFinalStateID];
+			var transitionsTable = [];
 
-				if (-1 < comboState.indexOf(currentOldFinalState)) {
+			for (var state = 0; state < dfa.getStatesCount(); ++ state) {
+				transitionsTable[state] = Object.create(null);
 
-					// Set the combo state final indicator to true
-					comboStateFinal = true;
+				var stateTransitions = dfa.getStateTransitions(state);
 
-					// Break
-					break;
+				for (var transitionID = 0; transitionID < stateTransitions.length; ++ transitionID) {
+					transitionsTable[state][stateTransitions[transitionID].character] = stateTransitions[transitionID].stateTo;
 				}
 			}
 
-			// Return the combo state final indicator
-			return comboStateFinal;
+			return transitionsTable;
 		}
 
 		/**
-		 * Get all the transitions of a given combo state.
+		 * Find the shortest sequence of characters for which the sides of a pair of automata differ in a given way.
 		 *
-		 * @param originalNFA
-		 * @param comboState
-		 * @returns {{}}
+		 * The pairs of DFA states are explored breadth-first along the sorted alphabet, so the counterexample found
+		 * is also the first one in the lexicographical order among the shortest ones. A missing state is denoted by -1.
+		 *
+		 * @param leftAutomaton
+		 * @param rightAutomaton
+		 * @param isCounterexample Called with the final flags of the left and the right side.
+		 * @returns {{result: boolean, counterexample: (Array.<String>|null), acceptedBy: (string|null)}}
 		 */
-		function getComboStateTransitions (originalNFA, comboState) {
+		function findCounterexample (leftAutomaton, rightAutomaton, isCounterexample) {
 
-			// Save the current combo state transitions array
-			var currentComboStateTransitions = {};
+			var leftDFA = toDeterministic(leftAutomaton);
 
-			// Save old nfa transitions count for reference
-			var oldTransitionsCount = originalNFA.getTransitionsCount();
+			var rightDFA = toDeterministic(rightAutomaton);
 
-			// Loop over the NFA transitions
-			for (var currentTransitionID = 0; currentTransitionID < oldTransitionsCount; ++ currentTransitionID) {
+			var leftTransitions = getTransitionsTable(leftDFA);
 
-				// Save current transition for reference
-				var currentTransition = originalNFA.transitions[currentTransitionID];
+			var rightTransitions = getTransitionsTable(rightDFA);
 
-				var currentTransitionIsFromCurrentComboState =
-					(-1 < comboState.indexOf(currentTransition.stateFrom));
+			var leftFinalStatesLookup = createLookup(leftDFA.getFinalStates());
 
-				var currentTransitionIsNonEpsilon = (currentTransition.character != '');
+			var rightFinalStatesLookup = createLookup(rightDFA.getFinalStates());
 
-				// If a transition for one of the current combo states found
-				if (currentTransitionIsFromCurrentComboState && currentTransitionIsNonEpsilon) {
+			// Merge the alphabets of both sides
+			var alphabet = getAlphabet(leftDFA);
 
-					// If there is no transition for this character from current combo state yet
-					if (currentComboStateTransitions[currentTransition.character] === undefined) {
+			var rightAlphabet = getAlphabet(rightDFA);
 
-						// Create an empty array for the character and this combo state
-						currentComboStateTransitions[currentTransition.character] = [];
+			for (var characterID = 0; characterID < rightAlphabet.length; ++ characterID) {
+				if (alphabet.indexOf(rightAlphabet[characterID]) === -1) {
+					alphabet.push(rightAlphabet[characterID]);
+				}
+			}
+
+			alphabet.sort();
+
+			// Save the discovered pairs with the pointers to their parents
+			var pairs = [{
+				'leftState': leftDFA.getInitialStates()[0],
+				'rightState': rightDFA.getInitialStates()[0],
+				'parent': null,
+				'character': null
+			}];
+
+			var discoveredPairs = {};
+
+			discoveredPairs[pairs[0].leftState + ',' + pairs[0].rightState] = true;
+
+			for (var pairID = 0; pairID < pairs.length; ++ pairID) {
+				var pair = pairs[pairID];
+
+				var leftFinal = !!leftFinalStatesLookup[pair.leftState];
+
+				var rightFinal = !!rightFinalStatesLookup[pair.rightState];
+
+				if (isCounterexample(leftFinal, rightFinal)) {
+
+					// Collect the characters going back to the initial pair
+					var counterexample = [];
+
+					for (var currentPair = pair; currentPair.parent !== null; currentPair = currentPair.parent) {
+						counterexample.unshift(currentPair.character);
 					}
 
-					// Add a new transition there
-					currentComboStateTransitions[currentTransition.character].push(currentTransition.stateTo);
+					return {
+						'result': false,
+						'counterexample': counterexample,
+						'acceptedBy': leftFinal ? 'left' : 'right'
+					};
+				}
+
+				for (characterID = 0; characterID < alphabet.length; ++ characterID) {
+					var character = alphabet[characterID];
+
+					var nextLeftState = getTableTarget(leftTransitions, pair.leftState, character);
+
+					var nextRightState = getTableTarget(rightTransitions, pair.rightState, character);
+
+					var nextPairKey = nextLeftState + ',' + nextRightState;
+
+					// Both sides being stuck can never lead to a counterexample
+					if (((nextLeftState === -1) && (nextRightState === -1)) || discoveredPairs[nextPairKey]) {
+						continue;
+					}
+
+					discoveredPairs[nextPairKey] = true;
+
+					pairs.push({
+						'leftState': nextLeftState,
+						'rightState': nextRightState,
+						'parent': pair,
+						'character': character
+					});
 				}
 			}
 
-			return currentComboStateTransitions;
+			return {
+				'result': true,
+				'counterexample': null,
+				'acceptedBy': null
+			};
+		}
+
+		/**
+		 * Get the target of a transition from a transitions table, or -1 if it is missing.
+		 *
+		 * @param transitionsTable
+		 * @param state
+		 * @param character
+		 * @returns {Number}
+		 */
+		function getTableTarget (transitionsTable, state, character) {
+
+			if ((state === -1) || !objectUtils.hasOwnProperty(transitionsTable[state], character)) {
+				return -1;
+			}
+
+			return transitionsTable[state][character];
+		}
+
+		/**
+		 * Compare two numbers for sorting.
+		 *
+		 * @param left
+		 * @param right
+		 * @returns {number}
+		 */
+		function compareNumbers (left, right) {
+			return left - right;
 		}
 
 		return Automaton;
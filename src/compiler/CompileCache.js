@@ -0,0 +1,279 @@
+/**
+ * Cache of the minimal DFAs compiled from AST subtrees, shared between the occurrences of identical subtrees.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./util/checksum'
+	],
+	function(
+		checksum
+	) {
+		'use strict';
+
+		/**
+		 * Describes a cache of simple minimal DFAs by the key of the AST subtrees they are compiled from.
+		 *
+		 * A key is the compilation context followed by the subtree in JSON, see ASTCompiler.prototype.compile, so
+		 * the compilations with other node handlers, options or compiler versions do not share entries.
+		 * The entries are indexed by the structural hash of their key, while the key itself is kept to tell the
+		 * colliding subtrees apart. The provenance of the entries is relative to the subtree root, so that an entry
+		 * can be reused at any path.
+		 *
+		 * @constructor
+		 */
+		function CompileCache () {
+
+			// Define the entries as lists of [key, simpleDFA] pairs by key hash
+			this.entries = {};
+
+			// Define the amount of entries
+			this.entriesCount = 0;
+
+			// Define the amount of lookups finding an entry
+			this.hitsCount = 0;
+
+			// Define the amount of lookups finding no entry
+			this.missesCount = 0;
+		}
+
+		/**
+		 * Constant name of the serialized compile cache format.
+		 *
+		 * @type {string}
+		 */
+		CompileCache.FORMAT_NAME = 'whynot-premade-compile-cache';
+
+		/**
+		 * Constant version of the serialized compile cache format.
+		 *
+		 * @type {number}
+		 */
+		CompileCache.FORMAT_VERSION = 1;
+
+		/**
+		 * Check whether the cache holds the entry of a key.
+		 *
+		 * @param key
+		 * @returns {boolean}
+		 */
+		CompileCache.prototype.has = function (key) {
+			return findEntry(this, key) !== null;
+		};
+
+		/**
+		 * Get the simple DFA of a key, or null if there is none.
+		 *
+		 * @param key
+		 * @returns {Object|null}
+		 */
+		CompileCache.prototype.get = function (key) {
+
+			var entry = findEntry(this, key);
+
+			if (entry === null) {
+				++ this.missesCount;
+
+				return null;
+			}
+
+			++ this.hitsCount;
+
+			return entry[1];
+		};
+
+		/**
+		 * Set the simple DFA of a key.
+		 *
+		 * @param key
+		 * @param simpleDFA
+		 */
+		CompileCache.prototype.set = function (key, simpleDFA) {
+
+			var entry = findEntry(this, key);
+
+			if (entry !== null) {
+				entry[1] = simpleDFA;
+
+				return;
+			}
+
+			var hash = checksum.fnv1a(key);
+
+			if (!this.entries.hasOwnProperty(hash)) {
+				this.entries[hash] = [];
+			}
+
+			this.entries[hash].push([key, simpleDFA]);
+
+			++ this.entriesCount;
+		};
+
+		/**
+		 * Get the amounts of entries, hits and misses.
+		 *
+		 * @returns {{entries: number, hits: number, misses: number}}
+		 */
+		CompileCache.prototype.getStats = function () {
+			return {
+				'entries': this.entriesCount,
+				'hits': this.hitsCount,
+				'misses': this.missesCount
+			};
+		};
+
+		/**
+		 * Serialize the entries to a JSON string, e.g. to persist them to a file.
+		 *
+		 * @returns {string}
+		 */
+		CompileCache.prototype.serialize = function () {
+			return JSON.stringify({
+				'format': CompileCache.FORMAT_NAME,
+				'version': CompileCache.FORMAT_VERSION,
+				'entries': this.entries
+			});
+		};
+
+		/**
+		 * Create a cache out of the entries serialized by CompileCache.prototype.serialize.
+		 *
+		 * Every entry is validated, so that a corrupted cache fails here rather than in a later compilation.
+		 *
+		 * @param string
+		 * @returns {CompileCache}
+		 */
+		CompileCache.deserialize = function (string) {
+
+			var serializedCache = JSON.parse(string);
+
+			if ((serializedCache === null) || (serializedCache.format !== CompileCache.FORMAT_NAME) ||
+				(serializedCache.version !== CompileCache.FORMAT_VERSION)) {
+				throw new Error('Unsupported compile cache, expected format ' + CompileCache.FORMAT_NAME + ' version ' +
+					CompileCache.FORMAT_VERSION);
+			}
+
+			if ((serializedCache.entries === null) || (typeof serializedCache.entries !== 'object')) {
+				throw new Error('Compile cache entries must be an object');
+			}
+
+			var cache = new CompileCache();
+
+			var hashes = Object.keys(serializedCache.entries);
+
+			for (var hashId = 0; hashId < hashes.length; ++ hashId) {
+				var hashEntries = serializedCache.entries[hashes[hashId]];
+
+				if (!(hashEntries instanceof Array)) {
+					throw new Error('Compile cache entries of hash ' + hashes[hashId] + ' must be an array');
+				}
+
+				for (var entryId = 0; entryId < hashEntries.length; ++ entryId) {
+					validateEntry(hashEntries[entryId],
+						'Compile cache entry ' + entryId + ' of hash ' + hashes[hashId]);
+
+					cache.set(hashEntries[entryId][0], hashEntries[entryId][1]);
+				}
+			}
+
+			return cache;
+		};
+
+		/**
+		 * Check whether a value is a state number in range of the states count.
+		 *
+		 * @param state
+		 * @param statesCount
+		 * @returns {boolean}
+		 */
+		function isState (state, statesCount) {
+			return (typeof state === 'number') && (state >= 0) && (state % 1 === 0) && (state < statesCount);
+		}
+
+		/**
+		 * Validate a deserialized [key, simpleDFA] entry, throwing an error describing the first problem found.
+		 *
+		 * @param entry
+		 * @param description
+		 */
+		function validateEntry (entry, description) {
+
+			if (!(entry instanceof Array) || (entry.length !== 2) || (typeof entry[0] !== 'string')) {
+				throw new Error(description + ' must be a [key, simpleDFA] pair');
+			}
+
+			var simpleDFA = entry[1];
+
+			if ((simpleDFA === null) || (typeof simpleDFA !== 'object') ||
+				!(simpleDFA.transitions instanceof Array) || (simpleDFA.transitions.length === 0)) {
+				throw new Error(description + ' must have a DFA with an entry of transitions per state');
+			}
+
+			var statesCount = simpleDFA.transitions.length;
+
+			for (var state = 0; state < statesCount; ++ state) {
+				var stateTransitions = simpleDFA.transitions[state];
+
+				if ((stateTransitions === null) || (typeof stateTransitions !== 'object') ||
+					!Object.keys(stateTransitions).every(function (character) {
+						return isState(stateTransitions[character], statesCount);
+					})) {
+					throw new Error(description + ' has invalid transitions of state ' + state);
+				}
+			}
+
+			if (!isState(simpleDFA.initialState, statesCount)) {
+				throw new Error(description + ' has an invalid initial state');
+			}
+
+			if (!(simpleDFA.finalStates instanceof Array) || !simpleDFA.finalStates.every(function (finalState) {
+				return isState(finalState, statesCount);
+			})) {
+				throw new Error(description + ' has invalid final states');
+			}
+
+			// The provenance is optional
+			if (simpleDFA.provenance === undefined) {
+				return;
+			}
+
+			if (!(simpleDFA.provenance instanceof Array) || (simpleDFA.provenance.length !== statesCount) ||
+				!simpleDFA.provenance.every(function (stateProvenance) {
+					return (stateProvenance instanceof Array) && stateProvenance.every(function (label) {
+						return typeof label === 'string';
+					});
+				})) {
+				throw new Error(description + ' has an invalid provenance');
+			}
+		}
+
+		/**
+		 * Find the [key, simpleDFA] entry of a key, or null if there is none.
+		 *
+		 * @param cache
+		 * @param key
+		 * @returns {Array|null}
+		 */
+		function findEntry (cache, key) {
+
+			var hash = checksum.fnv1a(key);
+
+			if (!cache.entries.hasOwnProperty(hash)) {
+				return null;
+			}
+
+			var hashEntries = cache.entries[hash];
+
+			for (var entryId = 0; entryId < hashEntries.length; ++ entryId) {
+				if (hashEntries[entryId][0] === key) {
+					return hashEntries[entryId];
+				}
+			}
+
+			return null;
+		}
+
+		return CompileCache;
+	}
+);
@@ -0,0 +1,46 @@
+/**
+ * Describes a failure to parse a textual grammar notation.
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		/**
+		 * Describes an error raised while parsing a text, pointing to the offending position.
+		 *
+		 * @param message
+		 * @param input The parsed text.
+		 * @param offset The zero-based offset of the offending position in the text.
+		 * @constructor
+		 */
+		function ParseError (message, input, offset) {
+
+			var precedingLines = input.substr(0, offset).split('\n');
+
+			// Define the error name
+			this.name = 'ParseError';
+
+			// Define the offset of the offending position
+			this.offset = offset;
+
+			// Define the one-based line of the offending position
+			this.line = precedingLines.length;
+
+			// Define the one-based column of the offending position
+			this.column = precedingLines[precedingLines.length - 1].length + 1;
+
+			// Define the message including the position
+			this.message = message + ' at line ' + this.line + ', column ' + this.column;
+
+			// Define the stack trace
+			this.stack = (new Error(this.message)).stack;
+		}
+
+		ParseError.prototype = Object.create(Error.prototype);
+
+		ParseError.prototype.constructor = ParseError;
+
+		return ParseError;
+	}
+);
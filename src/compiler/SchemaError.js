@@ -0,0 +1,51 @@
+/**
+ * Describes an invalid schema particle.
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		/**
+		 * Describes an error raised while compiling a schema particle.
+		 *
+		 * @param message
+		 * @param path The path of keys from the root particle to the offending one, e.g. ['particles', 1].
+		 * @param [conflictingPath] The path of a particle conflicting with the offending one, if any.
+		 * @constructor
+		 */
+		function SchemaError (message, path, conflictingPath) {
+
+			// Define the error name
+			this.name = 'SchemaError';
+
+			// Define the message including the particle path
+			this.message = message + ' at ' + SchemaError.formatPath(path);
+
+			// Define the path of the offending particle
+			this.path = path;
+
+			// Define the path of the conflicting particle
+			this.conflictingPath = conflictingPath || null;
+
+			// Define the stack trace
+			this.stack = (new Error(this.message)).stack;
+		}
+
+		SchemaError.prototype = Object.create(Error.prototype);
+
+		SchemaError.prototype.constructor = SchemaError;
+
+		/**
+		 * Format a particle path as a JSON pointer, e.g. '/particles/1' for the second particle of the root group.
+		 *
+		 * @param path
+		 * @returns {string}
+		 */
+		SchemaError.formatPath = function (path) {
+			return '/' + path.join('/');
+		};
+
+		return SchemaError;
+	}
+);
@@ -0,0 +1,37 @@
+/**
+ * Describes an automaton construction which would outgrow its states limit.
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		/**
+		 * Describes an error raised when an automaton construction exceeds the limit of states it may build.
+		 *
+		 * @param message
+		 * @param maxStates
+		 * @constructor
+		 */
+		function StateLimitError (message, maxStates) {
+
+			// Define the error name
+			this.name = 'StateLimitError';
+
+			// Define the message
+			this.message = message;
+
+			// Define the exceeded limit of states
+			this.maxStates = maxStates;
+
+			// Define the stack trace
+			this.stack = (new Error(this.message)).stack;
+		}
+
+		StateLimitError.prototype = Object.create(Error.prototype);
+
+		StateLimitError.prototype.constructor = StateLimitError;
+
+		return StateLimitError;
+	}
+);
@@ -0,0 +1,375 @@
+/**
+ * Ambiguity and determinism diagnostics of NFAs compiled from content models.
+ *
+ * The paths of an NFA are told apart by the character transitions they take, the epsilon transitions aside.
+ * An NFA is ambiguous if a string is accepted along two different paths, and nondeterministic if a prefix can be
+ * continued by the same input item along two different transitions, both of which can lead to acceptance.
+ * Two characters are considered to match the same input item if they are equal or if either of them is a predicate.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./Automaton'
+	],
+	function(
+		Automaton
+	) {
+		'use strict';
+
+		/**
+		 * Get the positions of an NFA, i.e. the start of a path and its character transitions.
+		 *
+		 * Position 0 stands for the start, position i > 0 for the (i - 1)-th character transition.
+		 * Every position gets its target state along with its provenance, the following positions and its finality.
+		 *
+		 * @param nfa
+		 * @returns {Array.<{character: string, state: number, provenance: Array.<String>, next: Array.<Number>,
+		 *     final: boolean}>}
+		 */
+		function getPositions (nfa) {
+
+			var statesCount = nfa.getStatesCount();
+
+			// Save the positions of the character transitions going out of every state
+			var statePositions = [];
+
+			var positions = [{
+				'character': null,
+				'state': null,
+				'provenance': []
+			}];
+
+			for (var state = 0; state < statesCount; ++ state) {
+				var stateTransitions = nfa.getStateTransitions(state);
+
+				statePositions.push([]);
+
+				for (var transitionId = 0; transitionId < stateTransitions.length; ++ transitionId) {
+					if (stateTransitions[transitionId].character !== '') {
+						statePositions[state].push(positions.length);
+
+						positions.push({
+							'character': stateTransitions[transitionId].character,
+							'state': stateTransitions[transitionId].stateTo,
+							'provenance': nfa.getStateProvenance(stateTransitions[transitionId].stateTo)
+						});
+					}
+				}
+			}
+
+			var finalStates = nfa.getFinalStates();
+
+			for (var positionId = 0; positionId < positions.length; ++ positionId) {
+				var position = positions[positionId];
+
+				var closure = Automaton.getEpsilonClosure(nfa,
+					(positionId === 0) ? nfa.getInitialStates() : [position.state]);
+
+				position.next = [];
+
+				position.final = false;
+
+				for (var closureStateId = 0; closureStateId < closure.length; ++ closureStateId) {
+					position.next = position.next.concat(statePositions[closure[closureStateId]]);
+
+					position.final = position.final || (finalStates.indexOf(closure[closureStateId]) !== -1);
+				}
+			}
+
+			return positions;
+		}
+
+		/**
+		 * Get the flags of the positions which can lead to acceptance.
+		 *
+		 * @param positions
+		 * @returns {Array.<Boolean>}
+		 */
+		function getLivePositions (positions) {
+
+			var previousPositions = positions.map(function () {
+				return [];
+			});
+
+			var live = positions.map(function (position) {
+				return position.final;
+			});
+
+			var pendingPositions = [];
+
+			for (var positionId = 0; positionId < positions.length; ++ positionId) {
+				for (var nextId = 0; nextId < positions[positionId].next.length; ++ nextId) {
+					previousPositions[positions[positionId].next[nextId]].push(positionId);
+				}
+
+				if (live[positionId]) {
+					pendingPositions.push(positionId);
+				}
+			}
+
+			while (pendingPositions.length > 0) {
+				var previous = previousPositions[pendingPositions.pop()];
+
+				for (var previousId = 0; previousId < previous.length; ++ previousId) {
+					if (!live[previous[previousId]]) {
+						live[previous[previousId]] = true;
+
+						pendingPositions.push(previous[previousId]);
+					}
+				}
+			}
+
+			return live;
+		}
+
+		/**
+		 * Check whether two characters may match the same input item.
+		 *
+		 * @param leftCharacter
+		 * @param rightCharacter
+		 * @returns {boolean}
+		 */
+		function isCompeting (leftCharacter, rightCharacter) {
+			return (leftCharacter === rightCharacter) ||
+				Automaton.isPredicate(leftCharacter) || Automaton.isPredicate(rightCharacter);
+		}
+
+		/**
+		 * Get the key of an unordered pair of positions.
+		 *
+		 * @param left
+		 * @param right
+		 * @returns {string}
+		 */
+		function getPairKey (left, right) {
+			return (left < right) ? left + ',' + right : right + ',' + left;
+		}
+
+		/**
+		 * Get the characters leading to a pair of positions, following the parents found by the search.
+		 *
+		 * @param pairs
+		 * @param key
+		 * @returns {Array.<String>}
+		 */
+		function getPrefix (pairs, key) {
+
+			var prefix = [];
+
+			for (var pair = pairs[key]; pair.parent !== null; pair = pairs[pair.parent]) {
+				prefix.unshift(pair.character);
+			}
+
+			return prefix;
+		}
+
+		/**
+		 * Create the diagnostic of two positions diverging at a given index of a witness.
+		 *
+		 * @param positions
+		 * @param pair
+		 * @param witness
+		 * @param position
+		 * @returns {{witness: Array.<String>, position: number, nodes: Array.<Array.<String>>}}
+		 */
+		function createDiagnostic (positions, pair, witness, position) {
+			return {
+				'witness': witness,
+				'position': position,
+				'nodes': [positions[pair.left].provenance, positions[pair.right].provenance]
+			};
+		}
+
+		/**
+		 * Analyze the ambiguity and the determinism of an NFA.
+		 *
+		 * The pairs of paths taking the same input are explored breadth first, so the diagnostics come with the
+		 * shortest witnesses. A diagnostic holds the witness characters, the index of the character at which the
+		 * two paths diverge and the AST nodes of the two diverging transitions, i.e. the provenance of their targets.
+		 * The witness of an ambiguity is accepted along both paths, while the witness of a nondeterminism ends with
+		 * the character of the diverging transitions.
+		 *
+		 * The NFA must keep the paths of its content model, so an NFA reusing the states of a DFA, e.g. one compiled
+		 * with a cache, is rejected: the DFA would have merged the very paths told apart here.
+		 *
+		 * @param nfa
+		 * @returns {{ambiguous: boolean, deterministic: boolean, ambiguity: (Object|null),
+		 *     nondeterminism: (Object|null)}}
+		 */
+		function analyzeAmbiguity (nfa) {
+
+			if (nfa.isDerivedFromDFA()) {
+				throw new Error('Can not analyze the ambiguity of an NFA derived from a DFA, ' +
+					'compile it without a cache');
+			}
+
+			var positions = getPositions(nfa);
+
+			var live = getLivePositions(positions);
+
+			// Save the pairs found so far along with the parent pair and the character leading to them
+			var pairs = {};
+
+			var rootKey = getPairKey(0, 0);
+
+			pairs[rootKey] = {
+				'left': 0,
+				'right': 0,
+				'parent': null,
+				'character': null,
+				'next': []
+			};
+
+			var pairKeys = [rootKey];
+
+			var nondeterminism = null;
+
+			for (var pairId = 0; pairId < pairKeys.length; ++ pairId) {
+				var pair = pairs[pairKeys[pairId]];
+
+				var leftNext = positions[pair.left].next;
+
+				var rightNext = positions[pair.right].next;
+
+				for (var leftId = 0; leftId < leftNext.length; ++ leftId) {
+					for (var rightId = 0; rightId < rightNext.length; ++ rightId) {
+						var left = leftNext[leftId];
+
+						var right = rightNext[rightId];
+
+						// Only the live pairs can take part in an ambiguity or a nondeterminism
+						if (!live[left] || !live[right] || !isCompeting(positions[left].character,
+							positions[right].character)) {
+							continue;
+						}
+
+						var key = getPairKey(left, right);
+
+						pair.next.push(key);
+
+						if (pairs.hasOwnProperty(key)) {
+							continue;
+						}
+
+						pairs[key] = {
+							'left': Math.min(left, right),
+							'right': Math.max(left, right),
+							'parent': pairKeys[pairId],
+							'character': positions[left].character,
+							'next': []
+						};
+
+						pairKeys.push(key);
+
+						// Two different transitions taken right after the same path make a nondeterminism
+						if ((nondeterminism === null) && (left !== right) && (pair.left === pair.right)) {
+							var prefix = getPrefix(pairs, key);
+
+							nondeterminism = createDiagnostic(positions, pairs[key], prefix, prefix.length - 1);
+						}
+					}
+				}
+			}
+
+			var ambiguity = null;
+
+			if (nondeterminism !== null) {
+				ambiguity = findAmbiguity(positions, pairs, pairKeys);
+			}
+
+			return {
+				'ambiguous': ambiguity !== null,
+				'deterministic': nondeterminism === null,
+				'ambiguity': ambiguity,
+				'nondeterminism': nondeterminism
+			};
+		}
+
+		/**
+		 * Find the shortest ambiguity among the pairs of paths found by analyzeAmbiguity, or null if there is none.
+		 *
+		 * @param positions
+		 * @param pairs
+		 * @param pairKeys The pair keys in the breadth-first order.
+		 * @returns {Object|null}
+		 */
+		function findAmbiguity (positions, pairs, pairKeys) {
+
+			// Save the previous pairs of every pair
+			var previousKeys = {};
+
+			for (var pairId = 0; pairId < pairKeys.length; ++ pairId) {
+				previousKeys[pairKeys[pairId]] = [];
+			}
+
+			for (pairId = 0; pairId < pairKeys.length; ++ pairId) {
+				var next = pairs[pairKeys[pairId]].next;
+
+				for (var nextId = 0; nextId < next.length; ++ nextId) {
+					previousKeys[next[nextId]].push(pairKeys[pairId]);
+				}
+			}
+
+			// Find the pairs leading to acceptance along both paths, saving the next pair of a shortest suffix
+			var suffixNextKeys = {};
+
+			var pendingKeys = [];
+
+			for (pairId = 0; pairId < pairKeys.length; ++ pairId) {
+				var pair = pairs[pairKeys[pairId]];
+
+				if (positions[pair.left].final && positions[pair.right].final) {
+					suffixNextKeys[pairKeys[pairId]] = null;
+
+					pendingKeys.push(pairKeys[pairId]);
+				}
+			}
+
+			for (var pendingId = 0; pendingId < pendingKeys.length; ++ pendingId) {
+				var previous = previousKeys[pendingKeys[pendingId]];
+
+				for (var previousId = 0; previousId < previous.length; ++ previousId) {
+					if (!suffixNextKeys.hasOwnProperty(previous[previousId])) {
+						suffixNextKeys[previous[previousId]] = pendingKeys[pendingId];
+
+						pendingKeys.push(previous[previousId]);
+					}
+				}
+			}
+
+			for (pairId = 0; pairId < pairKeys.length; ++ pairId) {
+				pair = pairs[pairKeys[pairId]];
+
+				if ((pair.left === pair.right) || !suffixNextKeys.hasOwnProperty(pairKeys[pairId])) {
+					continue;
+				}
+
+				var witness = getPrefix(pairs, pairKeys[pairId]);
+
+				// Find the first pair of the path to diverge
+				var divergingKey = pairKeys[pairId];
+
+				var position = witness.length - 1;
+
+				for (var key = pair.parent; pairs[key].left !== pairs[key].right; key = pairs[key].parent) {
+					divergingKey = key;
+
+					-- position;
+				}
+
+				for (key = suffixNextKeys[pairKeys[pairId]]; key !== null; key = suffixNextKeys[key]) {
+					witness.push(pairs[key].character);
+				}
+
+				return createDiagnostic(positions, pairs[divergingKey], witness, position);
+			}
+
+			return null;
+		}
+
+		return {
+			analyzeAmbiguity: analyzeAmbiguity
+		};
+	}
+);
@@ -0,0 +1,250 @@
+/**
+ * Compact encoding of simple DFAs for the player.
+ *
+ * A compact DFA is an object of the following shape:
+ * {
+ *   "alphabet": ["a", "b"],
+ *   "data": Int32Array
+ * }
+ * The alphabet is sorted. The data starts with a header of COMPACT_VERSION, the states count, the initial state,
+ * the final states count, the transition groups count and the transitions count. The following sections come after
+ * the header:
+ * - the final states,
+ * - the group offsets by state (states count + 1 entries),
+ * - the target state of every group,
+ * - the transition offsets by group (groups count + 1 entries),
+ * - the alphabet index of every transition,
+ * - the transitions of every state in the ascending order of their alphabet indices.
+ * A group gathers the transitions of a state leading to the same target state, which makes it the precomputed
+ * transported transition of the player. The groups of a state are sorted by the target state, and the transitions
+ * of a group by the alphabet index. The transitions of a state take the same range in the last two sections, so
+ * the player binary searches the latter for the transition of a character, then the groups for its target state.
+ *
+ * The data is in the platform byte order, so its buffer should only be shipped between little-endian platforms.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./util/objectUtils'
+	],
+	function(
+		objectUtils
+	) {
+		'use strict';
+
+		/**
+		 * Constant describing the current version of the compact DFA layout.
+		 *
+		 * @type {number}
+		 */
+		var COMPACT_VERSION = 1;
+
+		/**
+		 * Constant describing the amount of header entries of the compact DFA data.
+		 *
+		 * @type {number}
+		 */
+		var HEADER_SIZE = 6;
+
+		/**
+		 * Get the sorted alphabet of a simple DFA.
+		 *
+		 * @param simpleDFA
+		 * @returns {Array.<String>}
+		 */
+		function getAlphabet (simpleDFA) {
+
+			var alphabet = [];
+
+			var seen = Object.create(null);
+
+			for (var state = 0; state < simpleDFA.transitions.length; ++ state) {
+				var stateCharacters = Object.keys(simpleDFA.transitions[state]);
+
+				for (var characterId = 0; characterId < stateCharacters.length; ++ characterId) {
+					if (!objectUtils.hasOwnProperty(seen, stateCharacters[characterId])) {
+						seen[stateCharacters[characterId]] = true;
+
+						alphabet.push(stateCharacters[characterId]);
+					}
+				}
+			}
+
+			return alphabet.sort();
+		}
+
+		/**
+		 * Compare two numbers to sort them in the ascending order.
+		 *
+		 * @param left
+		 * @param right
+		 * @returns {number}
+		 */
+		function compareNumbers (left, right) {
+			return left - right;
+		}
+
+		/**
+		 * Get the alphabet indices of the characters of a state in the ascending order.
+		 *
+		 * @param stateTransitions
+		 * @param alphabetIndices
+		 * @returns {Array.<Number>}
+		 */
+		function getSortedIndices (stateTransitions, alphabetIndices) {
+			return Object.keys(stateTransitions).map(function (character) {
+				return alphabetIndices[character];
+			}).sort(compareNumbers);
+		}
+
+		/**
+		 * Group the transitions of a state by their target state.
+		 *
+		 * The groups are sorted by the target state and hold the alphabet indices of their characters in the
+		 * ascending order.
+		 *
+		 * @param stateTransitions
+		 * @param alphabet
+		 * @param sortedIndices The alphabet indices of the characters of the state in the ascending order.
+		 * @returns {Array.<{target: number, characters: Array.<Number>}>}
+		 */
+		function getStateGroups (stateTransitions, alphabet, sortedIndices) {
+
+			var groupsByTarget = {};
+
+			var groups = [];
+
+			for (var indexId = 0; indexId < sortedIndices.length; ++ indexId) {
+				var target = stateTransitions[alphabet[sortedIndices[indexId]]];
+
+				if (!groupsByTarget.hasOwnProperty(target)) {
+					groupsByTarget[target] = {
+						'target': target,
+						'characters': []
+					};
+
+					groups.push(groupsByTarget[target]);
+				}
+
+				groupsByTarget[target].characters.push(sortedIndices[indexId]);
+			}
+
+			groups.sort(function (left, right) {
+				return left.target - right.target;
+			});
+
+			return groups;
+		}
+
+		/**
+		 * Encode a simple DFA to the compact DFA.
+		 *
+		 * @param simpleDFA
+		 * @returns {{alphabet: Array.<String>, data: Int32Array}}
+		 */
+		function toCompactDFA (simpleDFA) {
+
+			var alphabet = getAlphabet(simpleDFA);
+
+			// Index the alphabet for a quick lookup
+			var alphabetIndices = Object.create(null);
+
+			for (var alphabetIndex = 0; alphabetIndex < alphabet.length; ++ alphabetIndex) {
+				alphabetIndices[alphabet[alphabetIndex]] = alphabetIndex;
+			}
+
+			var statesCount = simpleDFA.transitions.length;
+
+			// Group the transitions of every state to count the sections first
+			var statesGroups = [];
+
+			var groupsCount = 0;
+
+			var transitionsCount = 0;
+
+			for (var state = 0; state < statesCount; ++ state) {
+				var sortedIndices = getSortedIndices(simpleDFA.transitions[state], alphabetIndices);
+
+				statesGroups[state] = getStateGroups(simpleDFA.transitions[state], alphabet, sortedIndices);
+
+				groupsCount += statesGroups[state].length;
+
+				transitionsCount += sortedIndices.length;
+			}
+
+			var finalStatesCount = simpleDFA.finalStates.length;
+
+			var data = new Int32Array(HEADER_SIZE + finalStatesCount + (statesCount + 1) + groupsCount +
+				(groupsCount + 1) + 2 * transitionsCount);
+
+			data[0] = COMPACT_VERSION;
+			data[1] = statesCount;
+			data[2] = simpleDFA.initialState;
+			data[3] = finalStatesCount;
+			data[4] = groupsCount;
+			data[5] = transitionsCount;
+
+			// Save the section starts
+			var finalStatesStart = HEADER_SIZE;
+			var stateGroupOffsetsStart = finalStatesStart + finalStatesCount;
+			var groupTargetsStart = stateGroupOffsetsStart + statesCount + 1;
+			var groupTransitionOffsetsStart = groupTargetsStart + groupsCount;
+			var transitionCharactersStart = groupTransitionOffsetsStart + groupsCount + 1;
+			var sortedTransitionsStart = transitionCharactersStart + transitionsCount;
+
+			var sortedFinalStates = simpleDFA.finalStates.slice().sort(compareNumbers);
+
+			data.set(sortedFinalStates, finalStatesStart);
+
+			var groupId = 0;
+
+			var transitionId = 0;
+
+			for (state = 0; state < statesCount; ++ state) {
+				data[stateGroupOffsetsStart + state] = groupId;
+
+				var stateTransitionIds = [];
+
+				for (var stateGroupId = 0; stateGroupId < statesGroups[state].length; ++ stateGroupId) {
+					var group = statesGroups[state][stateGroupId];
+
+					data[groupTargetsStart + groupId] = group.target;
+					data[groupTransitionOffsetsStart + groupId] = transitionId;
+
+					for (var characterId = 0; characterId < group.characters.length; ++ characterId) {
+						data[transitionCharactersStart + transitionId] = group.characters[characterId];
+
+						stateTransitionIds.push(transitionId);
+
+						++ transitionId;
+					}
+
+					++ groupId;
+				}
+
+				stateTransitionIds.sort(function (left, right) {
+					return data[transitionCharactersStart + left] - data[transitionCharactersStart + right];
+				});
+
+				// The sorted transitions of the state take the same range as its grouped ones
+				data.set(stateTransitionIds, sortedTransitionsStart + transitionId - stateTransitionIds.length);
+			}
+
+			// Close the last ranges
+			data[stateGroupOffsetsStart + statesCount] = groupId;
+			data[groupTransitionOffsetsStart + groupsCount] = transitionId;
+
+			return {
+				'alphabet': alphabet,
+				'data': data
+			};
+		}
+
+		return {
+			COMPACT_VERSION: COMPACT_VERSION,
+
+			toCompactDFA: toCompactDFA
+		};
+	}
+);
@@ -0,0 +1,554 @@
+/**
+ * Decompiler of automata back to ASTs of the whynot shape and to regular expressions, by state elimination.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./Automaton'
+	],
+	function(
+		Automaton
+	) {
+		'use strict';
+
+		/**
+		 * Constant AST node of the empty string.
+		 *
+		 * @type {Array}
+		 */
+		var EMPTY_NODE = ['empty'];
+
+		/**
+		 * Constant string of the characters escaped in the regular expressions, see parseRegex.
+		 *
+		 * @type {string}
+		 */
+		var METACHARACTERS = '\\|()[]{}?*+<>@';
+
+		/**
+		 * Constant escapes of the control characters in the regular expressions.
+		 *
+		 * @type {Object}
+		 */
+		var CHARACTER_ESCAPES = {
+			'\n': '\\n',
+			'\r': '\\r',
+			'\t': '\\t'
+		};
+
+		/**
+		 * Check whether two AST nodes are structurally equal.
+		 *
+		 * @param left
+		 * @param right
+		 * @returns {boolean}
+		 */
+		function isSameNode (left, right) {
+			return JSON.stringify(left) === JSON.stringify(right);
+		}
+
+		/**
+		 * Check whether an AST node stands for the empty string.
+		 *
+		 * @param node
+		 * @returns {boolean}
+		 */
+		function isEmpty (node) {
+			return node[0] === 'empty';
+		}
+
+		/**
+		 * Check whether an AST node accepts the empty string by construction.
+		 *
+		 * @param node
+		 * @returns {boolean}
+		 */
+		function isNullable (node) {
+			return (node[0] === 'empty') || (node[0] === 'repetition') || (node[0] === 'optional');
+		}
+
+		/**
+		 * Get the elements of an AST node as a sequence, i.e. the children of a 'seq' node or the node itself.
+		 *
+		 * @param node
+		 * @returns {Array}
+		 */
+		function getSequenceItems (node) {
+			return (node[0] === 'seq') ? node.slice(1) : [node];
+		}
+
+		/**
+		 * Create the AST node of a sequence, merging the nested sequences and the repetitions next to their operand.
+		 *
+		 * @param nodes
+		 * @returns {Array}
+		 */
+		function createSeq (nodes) {
+
+			var items = [];
+
+			for (var nodeId = 0; nodeId < nodes.length; ++ nodeId) {
+				var nodeItems = getSequenceItems(nodes[nodeId]);
+
+				for (var itemId = 0; itemId < nodeItems.length; ++ itemId) {
+					var item = nodeItems[itemId];
+
+					if (isEmpty(item)) {
+						continue;
+					}
+
+					var lastItem = items[items.length - 1];
+
+					var repeatedItems = (item[0] === 'repetition') ? getSequenceItems(item[1]) : null;
+
+					// x x* and x* x make x+
+					if (repeatedItems && (repeatedItems.length <= items.length) &&
+						isSameNode(items.slice(items.length - repeatedItems.length), repeatedItems)) {
+						items.splice(items.length - repeatedItems.length, repeatedItems.length, createPlus(item[1]));
+					} else if (lastItem && (lastItem[0] === 'repetition') && isSameNode(lastItem[1], item)) {
+						items[items.length - 1] = createPlus(item);
+					} else {
+						items.push(item);
+					}
+				}
+			}
+
+			if (items.length === 0) {
+				return EMPTY_NODE;
+			}
+
+			return (items.length === 1) ? items[0] : ['seq'].concat(items);
+		}
+
+		/**
+		 * Create the AST node of a choice, merging the nested and the repeated alternatives, factoring the common
+		 * prefix and suffix out and turning a choice of the empty string into an optional node.
+		 *
+		 * @param nodes
+		 * @returns {Array}
+		 */
+		function createChoice (nodes) {
+
+			var alternatives = [];
+
+			var isOptional = false;
+
+			for (var nodeId = 0; nodeId < nodes.length; ++ nodeId) {
+				var nodeAlternatives = (nodes[nodeId][0] === 'choice') ? nodes[nodeId].slice(1) : [nodes[nodeId]];
+
+				for (var alternativeId = 0; alternativeId < nodeAlternatives.length; ++ alternativeId) {
+					var alternative = nodeAlternatives[alternativeId];
+
+					// Keep the empty string aside to make the choice optional
+					if (alternative[0] === 'optional') {
+						isOptional = true;
+
+						alternative = alternative[1];
+					}
+
+					if (isEmpty(alternative)) {
+						isOptional = true;
+					} else if (!alternatives.some(isSameNode.bind(null, alternative))) {
+						alternatives.push(alternative);
+					}
+				}
+			}
+
+			var result;
+
+			if (alternatives.length === 0) {
+				return EMPTY_NODE;
+			}
+
+			if (alternatives.length === 1) {
+				result = alternatives[0];
+			} else {
+				result = factorAlternatives(alternatives);
+			}
+
+			return isOptional ? createOptional(result) : result;
+		}
+
+		/**
+		 * Factor the common prefix and suffix out of distinct alternatives.
+		 *
+		 * @param alternatives
+		 * @returns {Array}
+		 */
+		function factorAlternatives (alternatives) {
+
+			var sequences = alternatives.map(getSequenceItems);
+
+			var shortestLength = Math.min.apply(null, sequences.map(function (sequence) {
+				return sequence.length;
+			}));
+
+			var prefixLength = 0;
+
+			while ((prefixLength < shortestLength) && sequences.every(function (sequence) {
+				return isSameNode(sequence[prefixLength], sequences[0][prefixLength]);
+			})) {
+				++ prefixLength;
+			}
+
+			var suffixLength = 0;
+
+			while ((prefixLength + suffixLength < shortestLength) && sequences.every(function (sequence) {
+				return isSameNode(sequence[sequence.length - 1 - suffixLength],
+					sequences[0][sequences[0].length - 1 - suffixLength]);
+			})) {
+				++ suffixLength;
+			}
+
+			if ((prefixLength === 0) && (suffixLength === 0)) {
+				return ['choice'].concat(alternatives);
+			}
+
+			var middles = sequences.map(function (sequence) {
+				return createSeq(sequence.slice(prefixLength, sequence.length - suffixLength));
+			});
+
+			return createSeq(sequences[0].slice(0, prefixLength)
+				.concat([createChoice(middles)], sequences[0].slice(sequences[0].length - suffixLength)));
+		}
+
+		/**
+		 * Create the AST node of an optional occurrence.
+		 *
+		 * @param node
+		 * @returns {Array}
+		 */
+		function createOptional (node) {
+
+			if (isNullable(node)) {
+				return node;
+			}
+
+			return (node[0] === 'plus') ? ['repetition', node[1]] : ['optional', node];
+		}
+
+		/**
+		 * Create the AST node of a non-empty repetition.
+		 *
+		 * @param node
+		 * @returns {Array}
+		 */
+		function createPlus (node) {
+			return (node[0] === 'repetition') || (node[0] === 'plus') ? node : ['plus', node];
+		}
+
+		/**
+		 * Create the AST node of a repetition.
+		 *
+		 * @param node
+		 * @returns {Array}
+		 */
+		function createRepetition (node) {
+
+			if (isEmpty(node)) {
+				return EMPTY_NODE;
+			}
+
+			if ((node[0] === 'repetition') || (node[0] === 'optional') || (node[0] === 'plus')) {
+				return ['repetition', node[1]];
+			}
+
+			return ['repetition', node];
+		}
+
+		/**
+		 * Get the AST node of a transition character.
+		 *
+		 * @param character
+		 * @returns {Array}
+		 */
+		function getCharacterNode (character) {
+
+			if (character === '') {
+				return EMPTY_NODE;
+			}
+
+			if (Automaton.isPredicate(character)) {
+				return ['predicate', character.substr(Automaton.PREDICATE_PREFIX.length)];
+			}
+
+			return ['test', Automaton.unescapeCharacter(character)];
+		}
+
+		/**
+		 * Add an edge of the generalized automaton, merging it with an existing one into a choice.
+		 *
+		 * @param edges
+		 * @param stateFrom
+		 * @param stateTo
+		 * @param node
+		 */
+		function addEdge (edges, stateFrom, stateTo, node) {
+			edges[stateFrom][stateTo] = edges[stateFrom].hasOwnProperty(stateTo) ?
+				createChoice([edges[stateFrom][stateTo], node]) : node;
+		}
+
+		/**
+		 * Decompile an automaton or a simple DFA to an AST of the 'test', 'predicate', 'empty', 'seq', 'choice',
+		 * 'repetition', 'optional' and 'plus' kinds.
+		 *
+		 * The automaton is trimmed, then its states are eliminated one by one, starting with the ones having the
+		 * least incoming and outgoing transitions. The AST is simplified along the way, e.g. x x* makes x+, a choice
+		 * of the empty string makes an optional node and the common prefixes and suffixes are factored out of the
+		 * choices. The language is kept, though not necessarily the structure of an original AST.
+		 *
+		 * @param automaton
+		 * @returns {Array|null} The AST, or null if no string is accepted.
+		 */
+		function toAST (automaton) {
+
+			if (!(automaton instanceof Automaton)) {
+				automaton = Automaton.fromSimpleDFA(automaton);
+			}
+
+			automaton = Automaton.trim(automaton).automaton;
+
+			var statesCount = automaton.getStatesCount();
+
+			// The generalized automaton gets a new initial and a new final state after the original ones
+			var initialState = statesCount;
+
+			var finalState = statesCount + 1;
+
+			var edges = [];
+
+			for (var state = 0; state < statesCount + 2; ++ state) {
+				edges.push({});
+			}
+
+			for (state = 0; state < statesCount; ++ state) {
+				var stateTransitions = automaton.getStateTransitions(state);
+
+				for (var transitionId = 0; transitionId < stateTransitions.length; ++ transitionId) {
+					addEdge(edges, state, stateTransitions[transitionId].stateTo,
+						getCharacterNode(stateTransitions[transitionId].character));
+				}
+			}
+
+			automaton.getInitialStates().forEach(function (originalInitialState) {
+				addEdge(edges, initialState, originalInitialState, EMPTY_NODE);
+			});
+
+			automaton.getFinalStates().forEach(function (originalFinalState) {
+				addEdge(edges, originalFinalState, finalState, EMPTY_NODE);
+			});
+
+			// Eliminate the original states
+			var remainingStates = [];
+
+			for (state = 0; state < statesCount; ++ state) {
+				remainingStates.push(state);
+			}
+
+			while (remainingStates.length > 0) {
+				var eliminatedState = pickEliminatedState(edges, remainingStates);
+
+				remainingStates.splice(remainingStates.indexOf(eliminatedState), 1);
+
+				eliminateState(edges, eliminatedState);
+			}
+
+			return edges[initialState].hasOwnProperty(finalState) ? edges[initialState][finalState] : null;
+		}
+
+		/**
+		 * Pick the remaining state with the least product of the incoming and the outgoing edges.
+		 *
+		 * @param edges
+		 * @param remainingStates
+		 * @returns {number}
+		 */
+		function pickEliminatedState (edges, remainingStates) {
+
+			var bestState = null;
+
+			var bestCost = Infinity;
+
+			for (var remainingStateId = 0; remainingStateId < remainingStates.length; ++ remainingStateId) {
+				var state = remainingStates[remainingStateId];
+
+				var incomingCount = 0;
+
+				for (var stateFrom = 0; stateFrom < edges.length; ++ stateFrom) {
+					if ((stateFrom !== state) && edges[stateFrom].hasOwnProperty(state)) {
+						++ incomingCount;
+					}
+				}
+
+				var outgoingCount = Object.keys(edges[state]).filter(function (stateTo) {
+					return Number(stateTo) !== state;
+				}).length;
+
+				if (incomingCount * outgoingCount < bestCost) {
+					bestCost = incomingCount * outgoingCount;
+
+					bestState = state;
+				}
+			}
+
+			return bestState;
+		}
+
+		/**
+		 * Eliminate a state of the generalized automaton, bypassing it with the edges of its incoming and outgoing
+		 * edges combined.
+		 *
+		 * @param edges
+		 * @param state
+		 */
+		function eliminateState (edges, state) {
+
+			var loop = edges[state].hasOwnProperty(state) ? createRepetition(edges[state][state]) : EMPTY_NODE;
+
+			var targetStates = Object.keys(edges[state]).map(Number).filter(function (stateTo) {
+				return stateTo !== state;
+			});
+
+			for (var stateFrom = 0; stateFrom < edges.length; ++ stateFrom) {
+				if ((stateFrom === state) || !edges[stateFrom].hasOwnProperty(state)) {
+					continue;
+				}
+
+				var incoming = edges[stateFrom][state];
+
+				delete edges[stateFrom][state];
+
+				for (var targetStateId = 0; targetStateId < targetStates.length; ++ targetStateId) {
+					addEdge(edges, stateFrom, targetStates[targetStateId],
+						createSeq([incoming, loop, edges[state][targetStates[targetStateId]]]));
+				}
+			}
+
+			edges[state] = {};
+		}
+
+		/**
+		 * Write a character in a regular expression.
+		 *
+		 * @param character
+		 * @param isInClass Whether the character is written in a character class.
+		 * @returns {string}
+		 */
+		function writeCharacter (character, isInClass) {
+
+			if (character.length !== 1) {
+				if ((character.length === 0) || (character.indexOf('>') !== -1)) {
+					throw new Error('Character \'' + character + '\' can not be written in a regular expression');
+				}
+
+				return '<' + character + '>';
+			}
+
+			if (CHARACTER_ESCAPES.hasOwnProperty(character)) {
+				return CHARACTER_ESCAPES[character];
+			}
+
+			if ((METACHARACTERS.indexOf(character) !== -1) ||
+				(isInClass && ((character === '-') || (character === '^')))) {
+				return '\\' + character;
+			}
+
+			return character;
+		}
+
+		/**
+		 * Write an AST node as a regular expression, with the parentheses required by a given context.
+		 *
+		 * @param node
+		 * @param context One of 'choice', 'seq' and 'quantified', from the loosest to the tightest binding.
+		 * @returns {string}
+		 */
+		function writeNode (node, context) {
+
+			var regex;
+
+			switch (node[0]) {
+				case 'test':
+					return writeCharacter(node[1], false);
+
+				case 'empty':
+					return '()';
+
+				case 'seq':
+					regex = node.slice(1).map(function (child) {
+						return writeNode(child, 'seq');
+					}).join('');
+
+					return (context === 'quantified') ? '(' + regex + ')' : regex;
+
+				case 'choice':
+					var alternatives = node.slice(1);
+
+					// The choices of characters make character classes
+					if (alternatives.every(function (alternative) {
+						return alternative[0] === 'test';
+					})) {
+						return '[' + alternatives.map(function (alternative) {
+							return writeCharacter(alternative[1], true);
+						}).join('') + ']';
+					}
+
+					regex = alternatives.map(function (alternative) {
+						return writeNode(alternative, 'choice');
+					}).join('|');
+
+					return (context === 'choice') ? regex : '(' + regex + ')';
+
+				case 'repetition':
+					return writeNode(node[1], 'quantified') + '*';
+
+				case 'optional':
+					return writeNode(node[1], 'quantified') + '?';
+
+				case 'plus':
+					return writeNode(node[1], 'quantified') + '+';
+
+				case 'range':
+					return writeNode(node[1], 'quantified') + '{' + node[2] +
+						((node[3] === node[2]) ? '' : ',' + ((node[3] === null) ? '' : node[3])) + '}';
+
+				default:
+					throw new Error('AST node \'' + node[0] + '\' can not be written in a regular expression');
+			}
+		}
+
+		/**
+		 * Write an AST as a regular expression of the syntax of parseRegex.
+		 *
+		 * The 'test', 'empty', 'seq', 'choice', 'repetition', 'optional', 'plus' and 'range' kinds are supported.
+		 *
+		 * @param ast
+		 * @returns {string}
+		 */
+		function astToRegex (ast) {
+			return isEmpty(ast) ? '' : writeNode(ast, 'choice');
+		}
+
+		/**
+		 * Decompile an automaton or a simple DFA to a regular expression, see toAST.
+		 *
+		 * @param automaton
+		 * @returns {string|null} The regular expression, or null if no string is accepted.
+		 */
+		function toRegex (automaton) {
+
+			var ast = toAST(automaton);
+
+			return (ast === null) ? null : astToRegex(ast);
+		}
+
+		return {
+			toAST: toAST,
+
+			toRegex: toRegex,
+
+			astToRegex: astToRegex
+		};
+	}
+);
@@ -0,0 +1,385 @@
+/**
+ * Differences between the languages of two simple DFAs, e.g. to report the changes between two schema versions.
+ *
+ * Predicate characters are compared as they are, like in Automaton.equivalent.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./generation',
+		'./util/objectUtils'
+	],
+	function(
+		generation,
+		objectUtils
+	) {
+		'use strict';
+
+		/**
+		 * Constant state of the product standing for a side without a transition.
+		 *
+		 * @type {number}
+		 */
+		var NO_STATE = -1;
+
+		/**
+		 * Constant default amount of examples of each side of a diff.
+		 *
+		 * @type {number}
+		 */
+		var DEFAULT_MAX_EXAMPLES = 3;
+
+		/**
+		 * Get the product of two simple DFAs, with its states numbered in the breadth-first order.
+		 *
+		 * A product state pairs the states reached by the same input on both sides, or NO_STATE for a side which
+		 * rejected a prefix of the input. The pair of two rejecting sides is left out.
+		 *
+		 * @param oldSimpleDFA
+		 * @param newSimpleDFA
+		 * @returns {{transitions: Array.<Object>, pairs: Array.<Array.<Number>>}}
+		 */
+		function getProduct (oldSimpleDFA, newSimpleDFA) {
+
+			var pairs = [[oldSimpleDFA.initialState, newSimpleDFA.initialState]];
+
+			var transitions = [];
+
+			// Save the product states by pair key
+			var productStates = {};
+
+			productStates[pairs[0].join()] = 0;
+
+			for (var productState = 0; productState < pairs.length; ++ productState) {
+				var oldTransitions = getStateTransitions(oldSimpleDFA, pairs[productState][0]);
+
+				var newTransitions = getStateTransitions(newSimpleDFA, pairs[productState][1]);
+
+				var characters = Object.keys(oldTransitions).concat(Object.keys(newTransitions).filter(
+					function (character) {
+						return !objectUtils.hasOwnProperty(oldTransitions, character);
+					})).sort();
+
+				transitions.push(Object.create(null));
+
+				for (var characterId = 0; characterId < characters.length; ++ characterId) {
+					var character = characters[characterId];
+
+					var nextPair = [
+						objectUtils.hasOwnProperty(oldTransitions, character) ? oldTransitions[character] : NO_STATE,
+						objectUtils.hasOwnProperty(newTransitions, character) ? newTransitions[character] : NO_STATE
+					];
+
+					var key = nextPair.join();
+
+					if (!productStates.hasOwnProperty(key)) {
+						productStates[key] = pairs.length;
+
+						pairs.push(nextPair);
+					}
+
+					transitions[productState][character] = productStates[key];
+				}
+			}
+
+			return {
+				'transitions': transitions,
+				'pairs': pairs
+			};
+		}
+
+		/**
+		 * Get the transitions of a state of a simple DFA, none for NO_STATE.
+		 *
+		 * @param simpleDFA
+		 * @param state
+		 * @returns {Object}
+		 */
+		function getStateTransitions (simpleDFA, state) {
+			return (state === NO_STATE) ? Object.create(null) : simpleDFA.transitions[state];
+		}
+
+		/**
+		 * Check whether a state of a simple DFA is final, never for NO_STATE.
+		 *
+		 * @param simpleDFA
+		 * @param state
+		 * @returns {boolean}
+		 */
+		function isFinal (simpleDFA, state) {
+			return (state !== NO_STATE) && (simpleDFA.finalStates.indexOf(state) !== -1);
+		}
+
+		/**
+		 * Get the states of a simple DFA from which a final state can be reached.
+		 *
+		 * @param simpleDFA
+		 * @returns {Array.<Boolean>} The flags by state.
+		 */
+		function getLiveStates (simpleDFA) {
+
+			var previousStates = simpleDFA.transitions.map(function () {
+				return [];
+			});
+
+			simpleDFA.transitions.forEach(function (stateTransitions, state) {
+				Object.keys(stateTransitions).forEach(function (character) {
+					previousStates[stateTransitions[character]].push(state);
+				});
+			});
+
+			var live = simpleDFA.transitions.map(function () {
+				return false;
+			});
+
+			var pendingStates = simpleDFA.finalStates.slice();
+
+			pendingStates.forEach(function (state) {
+				live[state] = true;
+			});
+
+			while (pendingStates.length > 0) {
+				var previous = previousStates[pendingStates.pop()];
+
+				for (var previousId = 0; previousId < previous.length; ++ previousId) {
+					if (!live[previous[previousId]]) {
+						live[previous[previousId]] = true;
+
+						pendingStates.push(previous[previousId]);
+					}
+				}
+			}
+
+			return live;
+		}
+
+		/**
+		 * Sort the live states of a simple DFA topologically, unless they take part in a cycle.
+		 *
+		 * @param simpleDFA
+		 * @param live
+		 * @returns {Array.<Number>|null} The live states in the topological order, or null if there is a cycle.
+		 */
+		function sortLiveStates (simpleDFA, live) {
+
+			// Remove the live states without incoming live transitions until none is left
+			var incomingCounts = simpleDFA.transitions.map(function () {
+				return 0;
+			});
+
+			var liveCount = 0;
+
+			simpleDFA.transitions.forEach(function (stateTransitions, state) {
+				if (!live[state]) {
+					return;
+				}
+
+				++ liveCount;
+
+				Object.keys(stateTransitions).forEach(function (character) {
+					if (live[stateTransitions[character]]) {
+						++ incomingCounts[stateTransitions[character]];
+					}
+				});
+			});
+
+			var pendingStates = [];
+
+			for (var state = 0; state < simpleDFA.transitions.length; ++ state) {
+				if (live[state] && (incomingCounts[state] === 0)) {
+					pendingStates.push(state);
+				}
+			}
+
+			var sortedStates = [];
+
+			while (pendingStates.length > 0) {
+				var removedState = pendingStates.pop();
+
+				var stateTransitions = simpleDFA.transitions[removedState];
+
+				sortedStates.push(removedState);
+
+				for (var character in stateTransitions) {
+					if (objectUtils.hasOwnProperty(stateTransitions, character) && live[stateTransitions[character]] &&
+						(-- incomingCounts[stateTransitions[character]] === 0)) {
+						pendingStates.push(stateTransitions[character]);
+					}
+				}
+			}
+
+			return (sortedStates.length < liveCount) ? null : sortedStates;
+		}
+
+		/**
+		 * Count the strings accepted by a simple DFA from the live states in the topological order, backwards.
+		 *
+		 * The counts are floating point numbers, so there are too many strings to count exactly beyond
+		 * generation.MAX_EXACT_COUNT. As the counts from the other states never exceed the one of the initial state,
+		 * checking the latter is enough.
+		 *
+		 * @param simpleDFA
+		 * @param live
+		 * @param sortedStates
+		 * @returns {number|null} The amount of strings, or null if there are more than generation.MAX_EXACT_COUNT.
+		 */
+		function countStrings (simpleDFA, live, sortedStates) {
+
+			var counts = {};
+
+			for (var sortedStateId = sortedStates.length - 1; sortedStateId >= 0; -- sortedStateId) {
+				var state = sortedStates[sortedStateId];
+
+				var stateTransitions = simpleDFA.transitions[state];
+
+				var count = isFinal(simpleDFA, state) ? 1 : 0;
+
+				for (var character in stateTransitions) {
+					if (objectUtils.hasOwnProperty(stateTransitions, character) && live[stateTransitions[character]]) {
+						count += counts[stateTransitions[character]];
+					}
+				}
+
+				counts[state] = count;
+			}
+
+			if (!live[simpleDFA.initialState]) {
+				return 0;
+			}
+
+			var initialCount = counts[simpleDFA.initialState];
+
+			return (initialCount > generation.MAX_EXACT_COUNT) ? null : initialCount;
+		}
+
+		/**
+		 * Get the context of the rejection of a string by a simple DFA.
+		 *
+		 * The position is the index of the first character without a transition, or the length of the string if
+		 * it ends too early. The expected characters are the ones which could have followed instead.
+		 *
+		 * @param simpleDFA
+		 * @param characters
+		 * @returns {{position: number, character: (string|null), expected: Array.<String>}}
+		 */
+		function getRejection (simpleDFA, characters) {
+
+			var state = simpleDFA.initialState;
+
+			for (var position = 0; position < characters.length; ++ position) {
+				if (!objectUtils.hasOwnProperty(simpleDFA.transitions[state], characters[position])) {
+					break;
+				}
+
+				state = simpleDFA.transitions[state][characters[position]];
+			}
+
+			return {
+				'position': position,
+				'character': (position < characters.length) ? characters[position] : null,
+				'expected': Object.keys(simpleDFA.transitions[state]).sort()
+			};
+		}
+
+		/**
+		 * Summarize the strings accepted by one side of a product only.
+		 *
+		 * @param transitions The product transitions.
+		 * @param finalStates The product states accepting on the given side only.
+		 * @param otherSimpleDFA The DFA of the other side, rejecting the strings.
+		 * @param maxExamples
+		 * @returns {{empty: boolean, finite: boolean, count: (number|null), shortestLength: (number|null),
+		 *     examples: Array.<{characters: Array.<String>, position: number, character: (string|null),
+		 *     expected: Array.<String>}>}}
+		 */
+		function summarizeSide (transitions, finalStates, otherSimpleDFA, maxExamples) {
+
+			var sideDFA = {
+				'initialState': 0,
+				'transitions': transitions,
+				'finalStates': finalStates
+			};
+
+			var live = getLiveStates(sideDFA);
+
+			var sortedStates = sortLiveStates(sideDFA, live);
+
+			// The shortest string is shorter than the amount of states, as it goes through no state twice
+			var examples = live[0] ?
+				generation.enumerateStrings(sideDFA, transitions.length, Math.max(maxExamples, 1)) : [];
+
+			return {
+				'empty': !live[0],
+				'finite': sortedStates !== null,
+				'count': (sortedStates === null) ? null : countStrings(sideDFA, live, sortedStates),
+				'shortestLength': live[0] ? examples[0].length : null,
+				'examples': examples.slice(0, maxExamples).map(function (characters) {
+					var rejection = getRejection(otherSimpleDFA, characters);
+
+					return {
+						'characters': characters,
+						'position': rejection.position,
+						'character': rejection.character,
+						'expected': rejection.expected
+					};
+				})
+			};
+		}
+
+		/**
+		 * Compute the differences between the languages of an old and a new simple DFA.
+		 *
+		 * The removed strings are accepted by the old DFA only, i.e. they became invalid, while the added strings
+		 * are accepted by the new DFA only, i.e. they became valid. Each side is summarized by whether it is empty
+		 * or finite, the amount of strings if finite and at most generation.MAX_EXACT_COUNT, and the length of the
+		 * shortest string. It comes with the shortest examples in the length-lexicographic order, each with the
+		 * context of its rejection by the other DFA: the position of the first character without a transition, or
+		 * the length of the example if it ends too early, that character, and the characters which the other DFA
+		 * expected there.
+		 *
+		 * @param oldSimpleDFA
+		 * @param newSimpleDFA
+		 * @param [maxExamples] The maximal amount of examples of each side, 3 by default.
+		 * @returns {{equivalent: boolean, removed: Object, added: Object}}
+		 */
+		function diffSimpleDFAs (oldSimpleDFA, newSimpleDFA, maxExamples) {
+
+			if (maxExamples === undefined) {
+				maxExamples = DEFAULT_MAX_EXAMPLES;
+			}
+
+			var product = getProduct(oldSimpleDFA, newSimpleDFA);
+
+			var removedFinalStates = [];
+
+			var addedFinalStates = [];
+
+			product.pairs.forEach(function (pair, productState) {
+				var oldFinal = isFinal(oldSimpleDFA, pair[0]);
+
+				var newFinal = isFinal(newSimpleDFA, pair[1]);
+
+				if (oldFinal && !newFinal) {
+					removedFinalStates.push(productState);
+				} else if (newFinal && !oldFinal) {
+					addedFinalStates.push(productState);
+				}
+			});
+
+			var removed = summarizeSide(product.transitions, removedFinalStates, newSimpleDFA, maxExamples);
+
+			var added = summarizeSide(product.transitions, addedFinalStates, oldSimpleDFA, maxExamples);
+
+			return {
+				'equivalent': removed.empty && added.empty,
+				'removed': removed,
+				'added': added
+			};
+		}
+
+		return {
+			diffSimpleDFAs: diffSimpleDFAs
+		};
+	}
+);
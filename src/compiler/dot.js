@@ -0,0 +1,246 @@
+/**
+ * Export of automata to the Graphviz DOT language.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./Automaton'
+	],
+	function(
+		Automaton
+	) {
+		'use strict';
+
+		/**
+		 * Constant label of the epsilon edges.
+		 *
+		 * @type {string}
+		 */
+		var EPSILON_LABEL = '\u03b5';
+
+		/**
+		 * Quote a string as a DOT string literal.
+		 *
+		 * @param string
+		 * @returns {string}
+		 */
+		function quote (string) {
+			return '"' + string.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+		}
+
+		/**
+		 * Get the edges of an NFA or a simple DFA, merging the characters of the transitions between the same states.
+		 *
+		 * The epsilon transitions are merged apart from the character ones, so that an edge is of a single kind.
+		 *
+		 * @param automaton
+		 * @returns {Array.<{stateFrom: number, stateTo: number, epsilon: boolean, characters: Array.<String>}>}
+		 */
+		function getEdges (automaton) {
+
+			var edges = [];
+
+			var edgesByStates = {};
+
+			/**
+			 * Add a transition to the edge of its states.
+			 *
+			 * @param stateFrom
+			 * @param stateTo
+			 * @param character
+			 */
+			function addTransition (stateFrom, stateTo, character) {
+
+				var isEpsilon = (character === '');
+
+				var edgeKey = stateFrom + '-' + stateTo + (isEpsilon ? '-epsilon' : '');
+
+				if (!edgesByStates.hasOwnProperty(edgeKey)) {
+					edgesByStates[edgeKey] = {
+						'stateFrom': stateFrom,
+						'stateTo': stateTo,
+						'epsilon': isEpsilon,
+						'characters': []
+					};
+
+					edges.push(edgesByStates[edgeKey]);
+				}
+
+				edgesByStates[edgeKey].characters.push(character);
+			}
+
+			if (automaton instanceof Automaton) {
+				for (var transitionID = 0; transitionID < automaton.transitions.length; ++ transitionID) {
+					var transition = automaton.transitions[transitionID];
+
+					addTransition(transition.stateFrom, transition.stateTo, transition.character);
+				}
+			} else {
+				for (var state = 0; state < automaton.transitions.length; ++ state) {
+					var stateCharacters = Object.keys(automaton.transitions[state]);
+
+					for (var characterId = 0; characterId < stateCharacters.length; ++ characterId) {
+						addTransition(state, automaton.transitions[state][stateCharacters[characterId]],
+							stateCharacters[characterId]);
+					}
+				}
+			}
+
+			return edges;
+		}
+
+		/**
+		 * Get the steps of a Record chain by the edge they take, numbering the steps from 1.
+		 *
+		 * @param record
+		 * @returns {Object}
+		 */
+		function getRecordSteps (record) {
+
+			var records = [];
+
+			for (var currentRecord = record; !currentRecord.isHead(); currentRecord = currentRecord.getPreviousRecord()) {
+				records.unshift(currentRecord);
+			}
+
+			var stepsByEdge = {};
+
+			for (var recordId = 0; recordId < records.length; ++ recordId) {
+				var edgeKey = records[recordId].getPreviousRecord().getTargetState() + '-' + records[recordId].getTargetState();
+
+				if (!stepsByEdge.hasOwnProperty(edgeKey)) {
+					stepsByEdge[edgeKey] = [];
+				}
+
+				stepsByEdge[edgeKey].push({
+					'number': recordId + 1,
+					'accepted': records[recordId].getAccepted()
+				});
+			}
+
+			return stepsByEdge;
+		}
+
+		/**
+		 * Get the states visited by a Record chain, including the initial one.
+		 *
+		 * @param record
+		 * @returns {Object}
+		 */
+		function getRecordStates (record) {
+
+			var visitedStates = {};
+
+			for (var currentRecord = record; currentRecord !== null; currentRecord = currentRecord.getPreviousRecord()) {
+				visitedStates[currentRecord.getTargetState()] = true;
+			}
+
+			return visitedStates;
+		}
+
+		/**
+		 * Convert an automaton to a graph in the DOT language.
+		 *
+		 * Both the NFAs and the simple DFAs are supported. The initial states are pointed to by an arrow from
+		 * an invisible node, the final states are double circles and the epsilon edges are dashed.
+		 * The character transitions between the same states are merged into a single edge, and so are the epsilon ones.
+		 *
+		 * Supported options:
+		 * - name: the graph name, 'automaton' by default.
+		 * - record: a Record returned by Traverser.prototype.execute. The edges taken by its chain are highlighted
+		 *   and labelled by the step numbers, in blue for the accepted steps and in red for the missing ones.
+		 *
+		 * @param automaton
+		 * @param [options]
+		 * @returns {string}
+		 */
+		function toDot (automaton, options) {
+
+			options = options || {};
+
+			var isNFA = (automaton instanceof Automaton);
+
+			var statesCount = isNFA ? automaton.getStatesCount() : automaton.transitions.length;
+
+			var initialStates = isNFA ? automaton.getInitialStates() : [automaton.initialState];
+
+			var finalStates = isNFA ? automaton.getFinalStates() : automaton.finalStates;
+
+			var stepsByEdge = options.record ? getRecordSteps(options.record) : {};
+
+			var visitedStates = options.record ? getRecordStates(options.record) : {};
+
+			var lines = [
+				'digraph ' + quote(options.name || 'automaton') + ' {',
+				'\trankdir=LR;',
+				'\tnode [shape=circle];'
+			];
+
+			// Draw the states
+			for (var state = 0; state < statesCount; ++ state) {
+				var stateAttributes = [];
+
+				if (finalStates.indexOf(state) > -1) {
+					stateAttributes.push('shape=doublecircle');
+				}
+
+				if (visitedStates[state]) {
+					stateAttributes.push('color=blue', 'penwidth=2');
+				}
+
+				lines.push('\t' + state + (stateAttributes.length ? ' [' + stateAttributes.join(', ') + ']' : '') + ';');
+			}
+
+			// Point to the initial states
+			for (var initialStateId = 0; initialStateId < initialStates.length; ++ initialStateId) {
+				lines.push('\t"start' + initialStateId + '" [shape=point, style=invis];');
+				lines.push('\t"start' + initialStateId + '" -> ' + initialStates[initialStateId] + ';');
+			}
+
+			// Draw the edges
+			var edges = getEdges(automaton);
+
+			for (var edgeId = 0; edgeId < edges.length; ++ edgeId) {
+				var edge = edges[edgeId];
+
+				var label = edge.epsilon ? EPSILON_LABEL : edge.characters.join(', ');
+
+				var edgeAttributes = [];
+
+				// The steps of a record chain only take character transitions
+				var steps = edge.epsilon ? null : stepsByEdge[edge.stateFrom + '-' + edge.stateTo];
+
+				if (steps) {
+					var stepNumbers = steps.map(function (step) {
+						return '#' + step.number;
+					});
+
+					var isAccepted = steps.every(function (step) {
+						return step.accepted;
+					});
+
+					label += ' (' + stepNumbers.join(' ') + ')';
+
+					edgeAttributes.push(isAccepted ? 'color=blue' : 'color=red', 'penwidth=2');
+				}
+
+				edgeAttributes.unshift('label=' + quote(label));
+
+				if (edge.epsilon) {
+					edgeAttributes.push('style=dashed');
+				}
+
+				lines.push('\t' + edge.stateFrom + ' -> ' + edge.stateTo + ' [' + edgeAttributes.join(', ') + '];');
+			}
+
+			lines.push('}');
+
+			return lines.join('\n') + '\n';
+		}
+
+		return {
+			toDot: toDot
+		};
+	}
+);
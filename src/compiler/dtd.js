@@ -0,0 +1,447 @@
+/**
+ * Parser of the DTD element declarations to ASTs of the whynot shape.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./ParseError'
+	],
+	function(
+		ParseError
+	) {
+		'use strict';
+
+		/**
+		 * Constant character standing for text content in the ASTs of mixed content models.
+		 *
+		 * @type {string}
+		 */
+		var PCDATA_CHARACTER = '#PCDATA';
+
+		/**
+		 * Pattern of an XML name, approximating the non-ASCII name characters by the whole non-ASCII range.
+		 *
+		 * @type {RegExp}
+		 */
+		var NAME_PATTERN = /^[A-Za-z_:\u00C0-\uFFFF][-A-Za-z0-9_:.\u00B7\u00C0-\uFFFF]*/;
+
+		/**
+		 * Describes the position of a parser in a DTD.
+		 *
+		 * @param text
+		 * @constructor
+		 */
+		function DTDReader (text) {
+
+			// Define the parsed text
+			this.text = text;
+
+			// Define the current offset
+			this.offset = 0;
+		}
+
+		/**
+		 * Throw a ParseError at the current offset.
+		 *
+		 * @param reader
+		 * @param message
+		 */
+		function fail (reader, message) {
+			throw new ParseError(message, reader.text, reader.offset);
+		}
+
+		/**
+		 * Check whether the text continues with a given string at the current offset.
+		 *
+		 * @param reader
+		 * @param string
+		 * @returns {boolean}
+		 */
+		function isAt (reader, string) {
+			return reader.text.substr(reader.offset, string.length) === string;
+		}
+
+		/**
+		 * Skip the whitespace at the current offset.
+		 *
+		 * @param reader
+		 */
+		function skipWhitespace (reader) {
+			while ((reader.offset < reader.text.length) && /\s/.test(reader.text.charAt(reader.offset))) {
+				++ reader.offset;
+			}
+		}
+
+		/**
+		 * Consume a given string, failing if the text does not continue with it.
+		 *
+		 * @param reader
+		 * @param string
+		 */
+		function expect (reader, string) {
+
+			if (!isAt(reader, string)) {
+				fail(reader, 'Expected \'' + string + '\'');
+			}
+
+			reader.offset += string.length;
+		}
+
+		/**
+		 * Consume the text up to and including a given terminator.
+		 *
+		 * @param reader
+		 * @param terminator
+		 * @param description
+		 */
+		function skipPast (reader, terminator, description) {
+
+			var terminatorOffset = reader.text.indexOf(terminator, reader.offset);
+
+			if (terminatorOffset === -1) {
+				fail(reader, 'Unterminated ' + description);
+			}
+
+			reader.offset = terminatorOffset + terminator.length;
+		}
+
+		/**
+		 * Consume a declaration other than an element one, taking the quoted literals into account.
+		 *
+		 * @param reader
+		 */
+		function skipDeclaration (reader) {
+
+			var declarationOffset = reader.offset;
+
+			while (reader.offset < reader.text.length) {
+				var character = reader.text.charAt(reader.offset);
+
+				if ((character === '"') || (character === '\'')) {
+					++ reader.offset;
+
+					skipPast(reader, character, 'literal');
+
+					continue;
+				}
+
+				++ reader.offset;
+
+				if (character === '>') {
+					return;
+				}
+			}
+
+			reader.offset = declarationOffset;
+
+			fail(reader, 'Unterminated declaration');
+		}
+
+		/**
+		 * Fail on a parameter entity reference at the current offset, since they are not expanded.
+		 *
+		 * @param reader
+		 */
+		function rejectParameterEntity (reader) {
+			if (isAt(reader, '%')) {
+				fail(reader, 'Parameter entity references are not supported');
+			}
+		}
+
+		/**
+		 * Consume a name.
+		 *
+		 * @param reader
+		 * @returns {string}
+		 */
+		function parseName (reader) {
+
+			var match = NAME_PATTERN.exec(reader.text.substr(reader.offset));
+
+			if (match === null) {
+				fail(reader, 'Expected a name');
+			}
+
+			reader.offset += match[0].length;
+
+			return match[0];
+		}
+
+		/**
+		 * Wrap an AST node into the node of a given occurrence indicator.
+		 *
+		 * @param node
+		 * @param indicator
+		 * @returns {Array}
+		 */
+		function applyIndicator (node, indicator) {
+			switch (indicator) {
+				case '?':
+					return ['optional', node];
+
+				case '*':
+					return ['repetition', node];
+
+				case '+':
+					return ['plus', node];
+
+				default:
+					return node;
+			}
+		}
+
+		/**
+		 * Consume an optional occurrence indicator.
+		 *
+		 * @param reader
+		 * @returns {string|null}
+		 */
+		function parseIndicator (reader) {
+
+			var character = reader.text.charAt(reader.offset);
+
+			if ((character === '?') || (character === '*') || (character === '+')) {
+				++ reader.offset;
+
+				return character;
+			}
+
+			return null;
+		}
+
+		/**
+		 * Consume a content particle, i.e. a name or a group followed by an optional occurrence indicator.
+		 *
+		 * @param reader
+		 * @returns {Array}
+		 */
+		function parseContentParticle (reader) {
+
+			var node;
+
+			rejectParameterEntity(reader);
+
+			if (isAt(reader, '(')) {
+				node = parseGroup(reader);
+			} else {
+				node = ['test', parseName(reader)];
+			}
+
+			return applyIndicator(node, parseIndicator(reader));
+		}
+
+		/**
+		 * Consume a choice or a sequence group of content particles, without the occurrence indicator.
+		 *
+		 * @param reader
+		 * @returns {Array}
+		 */
+		function parseGroup (reader) {
+
+			expect(reader, '(');
+
+			skipWhitespace(reader);
+
+			var particles = [parseContentParticle(reader)];
+
+			var separator = null;
+
+			skipWhitespace(reader);
+
+			while (!isAt(reader, ')')) {
+				var character = reader.text.charAt(reader.offset);
+
+				if ((character !== '|') && (character !== ',')) {
+					fail(reader, 'Expected \'|\', \',\' or \')\'');
+				}
+
+				// Choices and sequences can not be mixed within a group
+				if ((separator !== null) && (character !== separator)) {
+					fail(reader, 'Expected \'' + separator + '\' or \')\'');
+				}
+
+				separator = character;
+
+				++ reader.offset;
+
+				skipWhitespace(reader);
+
+				particles.push(parseContentParticle(reader));
+
+				skipWhitespace(reader);
+			}
+
+			expect(reader, ')');
+
+			return [(separator === '|') ? 'choice' : 'seq'].concat(particles);
+		}
+
+		/**
+		 * Consume a mixed content model, e.g. (#PCDATA|a|b)*, after the opening parenthesis.
+		 *
+		 * @param reader
+		 * @returns {Array}
+		 */
+		function parseMixed (reader) {
+
+			expect(reader, PCDATA_CHARACTER);
+
+			var choices = [['test', PCDATA_CHARACTER]];
+
+			skipWhitespace(reader);
+
+			while (isAt(reader, '|')) {
+				++ reader.offset;
+
+				skipWhitespace(reader);
+
+				choices.push(['test', parseName(reader)]);
+
+				skipWhitespace(reader);
+			}
+
+			expect(reader, ')');
+
+			// The element names are only allowed along with the repetition
+			if (choices.length > 1) {
+				expect(reader, '*');
+			} else if (isAt(reader, '*')) {
+				++ reader.offset;
+			}
+
+			return ['repetition', (choices.length > 1) ? ['choice'].concat(choices) : choices[0]];
+		}
+
+		/**
+		 * Consume a content specification. ANY is returned as null, since it depends on all the declarations.
+		 *
+		 * @param reader
+		 * @returns {Array|null}
+		 */
+		function parseContentSpec (reader) {
+
+			rejectParameterEntity(reader);
+
+			if (isAt(reader, 'EMPTY')) {
+				reader.offset += 'EMPTY'.length;
+
+				return ['empty'];
+			}
+
+			if (isAt(reader, 'ANY')) {
+				reader.offset += 'ANY'.length;
+
+				return null;
+			}
+
+			if (!isAt(reader, '(')) {
+				fail(reader, 'Expected EMPTY, ANY or a content model');
+			}
+
+			var groupOffset = reader.offset;
+
+			++ reader.offset;
+
+			skipWhitespace(reader);
+
+			if (isAt(reader, PCDATA_CHARACTER)) {
+				return parseMixed(reader);
+			}
+
+			reader.offset = groupOffset;
+
+			return parseContentParticle(reader);
+		}
+
+		/**
+		 * Parse the element declarations of a DTD to an AST per element name.
+		 *
+		 * The comments, the processing instructions and the other declarations are skipped, while the parameter
+		 * entity references and the conditional sections are not supported.
+		 * Text content is represented by the PCDATA_CHARACTER, an EMPTY content model by the 'empty' AST node
+		 * and an ANY content model by any sequence of text and declared elements.
+		 *
+		 * @param text
+		 * @returns {Object} The ASTs by element name, in the order of declaration, in an object without a prototype.
+		 */
+		function parseDTD (text) {
+
+			var reader = new DTDReader(text);
+
+			// Any element name may be a key, e.g. 'hasOwnProperty' or '__proto__'
+			var asts = Object.create(null);
+
+			var anyElementNames = [];
+
+			skipWhitespace(reader);
+
+			while (reader.offset < text.length) {
+
+				if (isAt(reader, '<!--')) {
+					skipPast(reader, '-->', 'comment');
+
+				} else if (isAt(reader, '<?')) {
+					skipPast(reader, '?>', 'processing instruction');
+
+				} else if (isAt(reader, '<!ELEMENT')) {
+					reader.offset += '<!ELEMENT'.length;
+
+					skipWhitespace(reader);
+
+					var nameOffset = reader.offset;
+
+					var name = parseName(reader);
+
+					if (name in asts) {
+						reader.offset = nameOffset;
+
+						fail(reader, 'Duplicate declaration of element \'' + name + '\'');
+					}
+
+					skipWhitespace(reader);
+
+					asts[name] = parseContentSpec(reader);
+
+					if (asts[name] === null) {
+						anyElementNames.push(name);
+					}
+
+					skipWhitespace(reader);
+
+					expect(reader, '>');
+
+				} else if (isAt(reader, '<![')) {
+					fail(reader, 'Conditional sections are not supported');
+
+				} else if (isAt(reader, '<!')) {
+					skipDeclaration(reader);
+
+				} else {
+					rejectParameterEntity(reader);
+
+					fail(reader, 'Expected a declaration');
+				}
+
+				skipWhitespace(reader);
+			}
+
+			// Allow any text and declared elements for the ANY content models
+			var anyContent = ['choice', ['test', PCDATA_CHARACTER]].concat(Object.keys(asts).map(function (elementName) {
+				return ['test', elementName];
+			}));
+
+			for (var anyElementNameId = 0; anyElementNameId < anyElementNames.length; ++ anyElementNameId) {
+				asts[anyElementNames[anyElementNameId]] = ['repetition', anyContent];
+			}
+
+			return asts;
+		}
+
+		return {
+			PCDATA_CHARACTER: PCDATA_CHARACTER,
+
+			parseDTD: parseDTD
+		};
+	}
+);
@@ -0,0 +1,519 @@
+/**
+ * Generation of the strings accepted by simple DFAs, e.g. to produce valid sample documents for fuzzing.
+ *
+ * The predicate characters of a DFA are generated as they are, i.e. prefixed with Automaton.PREDICATE_PREFIX.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./util/objectUtils'
+	],
+	function(
+		objectUtils
+	) {
+		'use strict';
+
+		/**
+		 * Constant largest count of strings which floating point numbers hold exactly, 2^53 - 1.
+		 *
+		 * @type {number}
+		 */
+		var MAX_EXACT_COUNT = 9007199254740991;
+
+		/**
+		 * Require a value to be a non-negative integer.
+		 *
+		 * @param value
+		 * @param description
+		 */
+		function validateCount (value, description) {
+			if ((typeof value !== 'number') || (value < 0) || (value % 1 !== 0)) {
+				throw new Error(description + ' must be a non-negative integer, got ' + value);
+			}
+		}
+
+		/**
+		 * Get the sorted characters of every state of a simple DFA.
+		 *
+		 * @param simpleDFA
+		 * @returns {Array.<Array.<String>>}
+		 */
+		function getSortedCharacters (simpleDFA) {
+			return simpleDFA.transitions.map(function (stateTransitions) {
+				return Object.keys(stateTransitions).sort();
+			});
+		}
+
+		/**
+		 * Count the accepted strings of every length up to a given one starting from every state.
+		 *
+		 * The counts are floating point numbers, so they are only exact up to MAX_EXACT_COUNT. The larger ones
+		 * still tell the dead ends apart, as a sum of nonzero counts never rounds down to 0.
+		 *
+		 * @param simpleDFA
+		 * @param maxLength
+		 * @returns {Array.<Array.<Number>>} The counts by length, then by state.
+		 */
+		function countPaths (simpleDFA, maxLength) {
+
+			var statesCount = simpleDFA.transitions.length;
+
+			var counts = [[]];
+
+			for (var state = 0; state < statesCount; ++ state) {
+				counts[0].push((simpleDFA.finalStates.indexOf(state) !== -1) ? 1 : 0);
+			}
+
+			for (var length = 1; length <= maxLength; ++ length) {
+				counts.push([]);
+
+				for (state = 0; state < statesCount; ++ state) {
+					var stateTransitions = simpleDFA.transitions[state];
+
+					var count = 0;
+
+					for (var character in stateTransitions) {
+						if (objectUtils.hasOwnProperty(stateTransitions, character)) {
+							count += counts[length - 1][stateTransitions[character]];
+						}
+					}
+
+					counts[length].push(count);
+				}
+			}
+
+			return counts;
+		}
+
+		/**
+		 * Get the exact amount of accepted strings of a given length from the initial state out of the path counts.
+		 *
+		 * The counts from the other states along an accepted string never exceed it, so they are exact as well.
+		 *
+		 * @param simpleDFA
+		 * @param counts
+		 * @param length
+		 * @returns {number}
+		 */
+		function getExactCount (simpleDFA, counts, length) {
+
+			var count = counts[length][simpleDFA.initialState];
+
+			if (count > MAX_EXACT_COUNT) {
+				throw new Error('Can not count the accepted strings of length ' + length +
+					' exactly, there are more than ' + MAX_EXACT_COUNT);
+			}
+
+			return count;
+		}
+
+		/**
+		 * Count the strings of a given length accepted by a simple DFA.
+		 *
+		 * Throws if there are more of them than MAX_EXACT_COUNT.
+		 *
+		 * @param simpleDFA
+		 * @param length
+		 * @returns {number}
+		 */
+		function countAcceptedStrings (simpleDFA, length) {
+
+			validateCount(length, 'Length');
+
+			return getExactCount(simpleDFA, countPaths(simpleDFA, length), length);
+		}
+
+		/**
+		 * Generate a uniformly random string of a given length accepted by a simple DFA.
+		 *
+		 * Every next character is drawn with the probability proportional to the amount of accepted completions.
+		 * Throws if there are more accepted strings of the length than MAX_EXACT_COUNT, as they could not be drawn
+		 * uniformly.
+		 *
+		 * @param simpleDFA
+		 * @param length
+		 * @param [random] A function returning uniformly random numbers in [0, 1), Math.random by default.
+		 * @returns {Array.<String>|null} The characters, or null if no string of the length is accepted.
+		 */
+		function generateRandomString (simpleDFA, length, random) {
+
+			validateCount(length, 'Length');
+
+			random = random || Math.random;
+
+			var counts = countPaths(simpleDFA, length);
+
+			var sortedCharacters = getSortedCharacters(simpleDFA);
+
+			var state = simpleDFA.initialState;
+
+			if (getExactCount(simpleDFA, counts, length) === 0) {
+				return null;
+			}
+
+			var characters = [];
+
+			for (var remainingLength = length; remainingLength > 0; -- remainingLength) {
+				var stateCharacters = sortedCharacters[state];
+
+				var draw = random() * counts[remainingLength][state];
+
+				// Fall back to the last viable character in case of rounding errors
+				var nextState = null;
+
+				for (var characterId = 0; characterId < stateCharacters.length; ++ characterId) {
+					var targetState = simpleDFA.transitions[state][stateCharacters[characterId]];
+
+					var completionsCount = counts[remainingLength - 1][targetState];
+
+					if (completionsCount === 0) {
+						continue;
+					}
+
+					nextState = targetState;
+
+					characters[length - remainingLength] = stateCharacters[characterId];
+
+					if (draw < completionsCount) {
+						break;
+					}
+
+					draw -= completionsCount;
+				}
+
+				state = nextState;
+			}
+
+			return characters;
+		}
+
+		/**
+		 * Enumerate the strings accepted by a simple DFA up to a given length in the length-lexicographic order.
+		 *
+		 * The shorter strings come first, the strings of the same length are ordered by their characters.
+		 *
+		 * @param simpleDFA
+		 * @param maxLength
+		 * @param [maxCount] The maximal amount of strings to enumerate, unlimited by default.
+		 * @returns {Array.<Array.<String>>}
+		 */
+		function enumerateStrings (simpleDFA, maxLength, maxCount) {
+
+			validateCount(maxLength, 'Maximal length');
+
+			if (maxCount === undefined) {
+				maxCount = Infinity;
+			} else {
+				validateCount(maxCount, 'Maximal count');
+			}
+
+			var counts = countPaths(simpleDFA, maxLength);
+
+			var sortedCharacters = getSortedCharacters(simpleDFA);
+
+			var strings = [];
+
+			/**
+			 * Enumerate the accepted completions of a given length from a state, in the lexicographic order.
+			 *
+			 * @param state
+			 * @param prefix
+			 * @param remainingLength
+			 */
+			function enumerateCompletions (state, prefix, remainingLength) {
+
+				if (remainingLength === 0) {
+					strings.push(prefix.slice());
+
+					return;
+				}
+
+				var stateCharacters = sortedCharacters[state];
+
+				for (var characterId = 0; (characterId < stateCharacters.length) && (strings.length < maxCount);
+					++ characterId) {
+					var targetState = simpleDFA.transitions[state][stateCharacters[characterId]];
+
+					// Skip the dead ends
+					if (counts[remainingLength - 1][targetState] === 0) {
+						continue;
+					}
+
+					prefix.push(stateCharacters[characterId]);
+
+					enumerateCompletions(targetState, prefix, remainingLength - 1);
+
+					prefix.pop();
+				}
+			}
+
+			for (var length = 0; (length <= maxLength) && (strings.length < maxCount); ++ length) {
+				if (counts[length][simpleDFA.initialState] > 0) {
+					enumerateCompletions(simpleDFA.initialState, [], length);
+				}
+			}
+
+			return strings;
+		}
+
+		/**
+		 * Get the shortest, then lexicographically first, prefix leading to every state of a simple DFA.
+		 *
+		 * @param simpleDFA
+		 * @param sortedCharacters
+		 * @returns {Array.<Array.<String>|undefined>} The prefixes by state, undefined for the unreachable states.
+		 */
+		function getShortestPrefixes (simpleDFA, sortedCharacters) {
+
+			var prefixes = [];
+
+			prefixes[simpleDFA.initialState] = [];
+
+			var pendingStates = [simpleDFA.initialState];
+
+			for (var pendingId = 0; pendingId < pendingStates.length; ++ pendingId) {
+				var state = pendingStates[pendingId];
+
+				for (var characterId = 0; characterId < sortedCharacters[state].length; ++ characterId) {
+					var targetState = simpleDFA.transitions[state][sortedCharacters[state][characterId]];
+
+					if (prefixes[targetState] === undefined) {
+						prefixes[targetState] = prefixes[state].concat(sortedCharacters[state][characterId]);
+
+						pendingStates.push(targetState);
+					}
+				}
+			}
+
+			return prefixes;
+		}
+
+		/**
+		 * Get a shortest suffix leading from every state of a simple DFA to a final state.
+		 *
+		 * @param simpleDFA
+		 * @param sortedCharacters
+		 * @returns {Array.<Array.<String>|undefined>} The suffixes by state, undefined for the dead states.
+		 */
+		function getShortestSuffixes (simpleDFA, sortedCharacters) {
+
+			// Save the transitions coming into every state
+			var incomingTransitions = simpleDFA.transitions.map(function () {
+				return [];
+			});
+
+			for (var state = 0; state < simpleDFA.transitions.length; ++ state) {
+				for (var characterId = 0; characterId < sortedCharacters[state].length; ++ characterId) {
+					incomingTransitions[simpleDFA.transitions[state][sortedCharacters[state][characterId]]].push({
+						'state': state,
+						'character': sortedCharacters[state][characterId]
+					});
+				}
+			}
+
+			var suffixes = [];
+
+			var pendingStates = simpleDFA.finalStates.slice().sort(function (left, right) {
+				return left - right;
+			});
+
+			for (var pendingId = 0; pendingId < pendingStates.length; ++ pendingId) {
+				suffixes[pendingStates[pendingId]] = [];
+			}
+
+			for (pendingId = 0; pendingId < pendingStates.length; ++ pendingId) {
+				var targetState = pendingStates[pendingId];
+
+				for (var incomingId = 0; incomingId < incomingTransitions[targetState].length; ++ incomingId) {
+					var incomingTransition = incomingTransitions[targetState][incomingId];
+
+					if (suffixes[incomingTransition.state] === undefined) {
+						suffixes[incomingTransition.state] = [incomingTransition.character]
+							.concat(suffixes[targetState]);
+
+						pendingStates.push(incomingTransition.state);
+					}
+				}
+			}
+
+			return suffixes;
+		}
+
+		/**
+		 * Run a simple DFA over given characters.
+		 *
+		 * @param simpleDFA
+		 * @param characters
+		 * @returns {boolean} Whether the characters are accepted.
+		 */
+		function accepts (simpleDFA, characters) {
+
+			var state = simpleDFA.initialState;
+
+			for (var characterId = 0; characterId < characters.length; ++ characterId) {
+				if (!objectUtils.hasOwnProperty(simpleDFA.transitions[state], characters[characterId])) {
+					return false;
+				}
+
+				state = simpleDFA.transitions[state][characters[characterId]];
+			}
+
+			return simpleDFA.finalStates.indexOf(state) !== -1;
+		}
+
+		/**
+		 * Generate test cases covering a simple DFA.
+		 *
+		 * The accepted strings together take every transition and end in every final state at least once, save for
+		 * the transitions which are unreachable or lead to dead ends. Every uncovered transition adds the shortest
+		 * accepted string taking it, so the set is small though not necessarily minimal.
+		 * The rejected strings are near misses of the accepted ones: for every position of an accepted string, the
+		 * first character of the alphabet making it rejected is substituted, or the position is deleted if no
+		 * substitution does.
+		 *
+		 * @param simpleDFA
+		 * @returns {{accepted: Array.<Array.<String>>, rejected: Array.<Array.<String>>}}
+		 */
+		function generateCoverageStrings (simpleDFA) {
+
+			var sortedCharacters = getSortedCharacters(simpleDFA);
+
+			var prefixes = getShortestPrefixes(simpleDFA, sortedCharacters);
+
+			var suffixes = getShortestSuffixes(simpleDFA, sortedCharacters);
+
+			// Save the covered transitions by state and character, and the covered final states
+			var coveredTransitions = simpleDFA.transitions.map(function () {
+				return Object.create(null);
+			});
+
+			var coveredFinalStates = {};
+
+			var accepted = [];
+
+			/**
+			 * Add an accepted string, covering the transitions it takes and the final state it ends in.
+			 *
+			 * @param characters
+			 */
+			function addAccepted (characters) {
+
+				var state = simpleDFA.initialState;
+
+				for (var characterId = 0; characterId < characters.length; ++ characterId) {
+					coveredTransitions[state][characters[characterId]] = true;
+
+					state = simpleDFA.transitions[state][characters[characterId]];
+				}
+
+				coveredFinalStates[state] = true;
+
+				accepted.push(characters);
+			}
+
+			// Visit the states in the order of their shortest prefixes
+			var states = Object.keys(prefixes).map(Number).sort(function (left, right) {
+				return (prefixes[left].length - prefixes[right].length) || (left - right);
+			});
+
+			for (var stateId = 0; stateId < states.length; ++ stateId) {
+				var state = states[stateId];
+
+				for (var characterId = 0; characterId < sortedCharacters[state].length; ++ characterId) {
+					var character = sortedCharacters[state][characterId];
+
+					var targetState = simpleDFA.transitions[state][character];
+
+					if (!objectUtils.hasOwnProperty(coveredTransitions[state], character) &&
+						(suffixes[targetState] !== undefined)) {
+						addAccepted(prefixes[state].concat(character, suffixes[targetState]));
+					}
+				}
+
+				if ((simpleDFA.finalStates.indexOf(state) !== -1) && !coveredFinalStates[state]) {
+					addAccepted(prefixes[state].slice());
+				}
+			}
+
+			// Collect the alphabet of the near misses
+			var alphabet = [];
+
+			for (state = 0; state < sortedCharacters.length; ++ state) {
+				for (characterId = 0; characterId < sortedCharacters[state].length; ++ characterId) {
+					if (alphabet.indexOf(sortedCharacters[state][characterId]) === -1) {
+						alphabet.push(sortedCharacters[state][characterId]);
+					}
+				}
+			}
+
+			alphabet.sort();
+
+			var rejected = [];
+
+			var rejectedKeys = {};
+
+			/**
+			 * Add a rejected string unless it is accepted or added already.
+			 *
+			 * @param characters
+			 * @returns {boolean} Whether the characters are rejected.
+			 */
+			function addRejected (characters) {
+
+				if (accepts(simpleDFA, characters)) {
+					return false;
+				}
+
+				var key = JSON.stringify(characters);
+
+				if (!rejectedKeys[key]) {
+					rejectedKeys[key] = true;
+
+					rejected.push(characters);
+				}
+
+				return true;
+			}
+
+			for (var acceptedId = 0; acceptedId < accepted.length; ++ acceptedId) {
+				var characters = accepted[acceptedId];
+
+				for (var position = 0; position < characters.length; ++ position) {
+					var isSubstituted = false;
+
+					for (var alphabetId = 0; (alphabetId < alphabet.length) && !isSubstituted; ++ alphabetId) {
+						if (alphabet[alphabetId] !== characters[position]) {
+							var substitution = characters.slice();
+
+							substitution[position] = alphabet[alphabetId];
+
+							isSubstituted = addRejected(substitution);
+						}
+					}
+
+					if (!isSubstituted) {
+						addRejected(characters.slice(0, position).concat(characters.slice(position + 1)));
+					}
+				}
+			}
+
+			return {
+				'accepted': accepted,
+				'rejected': rejected
+			};
+		}
+
+		return {
+			MAX_EXACT_COUNT: MAX_EXACT_COUNT,
+
+			countAcceptedStrings: countAcceptedStrings,
+
+			generateRandomString: generateRandomString,
+
+			enumerateStrings: enumerateStrings,
+
+			generateCoverageStrings: generateCoverageStrings
+		};
+	}
+);
@@ -8,31 +8,248 @@
  */
 define(
 	[
-		'./Automaton'
+		'./Automaton',
+		'./ASTCompiler',
+		'./ASTCompilationError',
+		'./CompileCache',
+		'./ParseError',
+		'./serialization',
+		'./compactEncoding',
+		'./dot',
+		'./dtd',
+		'./SchemaError',
+		'./StateLimitError',
+		'./xsd',
+		'./regex',
+		'./ambiguity',
+		'./generation',
+		'./decompiler',
+		'./diff'
 	],
 	function(
-		Automaton
+		Automaton,
+		ASTCompiler,
+		ASTCompilationError,
+		CompileCache,
+		ParseError,
+		serialization,
+		compactEncoding,
+		dot,
+		dtd,
+		SchemaError,
+		StateLimitError,
+		xsd,
+		regex,
+		ambiguity,
+		generation,
+		decompiler,
+		diff
 	) {
 		'use strict';
 
+		/**
+		 * Create the entry points compiling ASTs, regular expressions, DTDs and XML Schema particles with a given
+		 * AST compiler.
+		 *
+		 * @param astCompiler
+		 * @returns {{compileAST: Function, compileRegex: Function, compileDTD: Function,
+		 *     compileXSDParticle: Function}}
+		 */
+		function createEntryPoints (astCompiler) {
+			return {
+
+				/**
+				 * Compile an NFA from a given AST of the whynot shape.
+				 *
+				 * Can be passed as the compile function to compileSimpleDFA.
+				 *
+				 * @param ast
+				 * @param [options]
+				 * @returns {Automaton}
+				 */
+				compileAST: function (ast, options) {
+					return astCompiler.compile(ast, options);
+				},
+
+				/**
+				 * Compile a simple minimal dfa from a regular expression, see parseRegex for the syntax.
+				 *
+				 * The options are passed on like in compileSimpleDFA.
+				 *
+				 * @param text
+				 * @param [options]
+				 * @returns {{initialState: number, transitions: Array, finalStates: Array.<Number>}}
+				 */
+				compileRegex: function (text, options) {
+					return Automaton.toSimpleDFA(astCompiler.compile(regex.parseRegex(text), options), options);
+				},
+
+				/**
+				 * Compile a simple minimal dfa for every element declared in a DTD.
+				 *
+				 * Text content is represented by the '#PCDATA' character. The options are passed on like in
+				 * compileSimpleDFA.
+				 *
+				 * @param text
+				 * @param [options]
+				 * @returns {Object} The simple DFAs by element name, in an object without a prototype.
+				 */
+				compileDTD: function (text, options) {
+
+					var asts = dtd.parseDTD(text);
+
+					var simpleDFAs = Object.create(null);
+
+					var elementNames = Object.keys(asts);
+
+					for (var elementNameId = 0; elementNameId < elementNames.length; ++ elementNameId) {
+						simpleDFAs[elementNames[elementNameId]] = Automaton.toSimpleDFA(
+							astCompiler.compile(asts[elementNames[elementNameId]], options), options);
+					}
+
+					return simpleDFAs;
+				},
+
+				/**
+				 * Compile a simple minimal dfa from an XML Schema particle in its JSON representation.
+				 *
+				 * Unless options.checkUPA is false, a SchemaError is thrown for the particles violating the Unique
+				 * Particle Attribution constraint. The options are passed on like in compileSimpleDFA.
+				 *
+				 * @param particle
+				 * @param [options]
+				 * @returns {{initialState: number, transitions: Array, finalStates: Array.<Number>}}
+				 */
+				compileXSDParticle: function (particle, options) {
+
+					var translation = xsd.translateParticle(particle);
+
+					var nfa = astCompiler.compile(translation.ast, options);
+
+					if (!options || (options.checkUPA !== false)) {
+						xsd.checkUniqueParticleAttribution(nfa, translation.particles);
+					}
+
+					return Automaton.toSimpleDFA(nfa, options);
+				}
+			};
+		}
+
+		// Define the entry points of the shared AST compiler, which only knows the built-in node kinds
+		var sharedEntryPoints = createEntryPoints(new ASTCompiler());
+
 		return {
 			Automaton: Automaton,
 
+			ASTCompiler: ASTCompiler,
+
+			ASTCompilationError: ASTCompilationError,
+
+			CompileCache: CompileCache,
+
+			ParseError: ParseError,
+
+			StateLimitError: StateLimitError,
+
+			serialize: serialization.serialize,
+
+			getContentHash: serialization.getContentHash,
+
+			toCompactDFA: compactEncoding.toCompactDFA,
+
+			toDot: dot.toDot,
+
+			analyzeAmbiguity: ambiguity.analyzeAmbiguity,
+
+			countAcceptedStrings: generation.countAcceptedStrings,
+
+			generateRandomString: generation.generateRandomString,
+
+			enumerateStrings: generation.enumerateStrings,
+
+			generateCoverageStrings: generation.generateCoverageStrings,
+
+			decompileToAST: decompiler.toAST,
+
+			decompileToRegex: decompiler.toRegex,
+
+			astToRegex: decompiler.astToRegex,
+
+			diffSimpleDFAs: diff.diffSimpleDFAs,
+
+			compileAST: sharedEntryPoints.compileAST,
+
+			/**
+			 * Create a compiler of its own, whose compileAST, compileRegex, compileDTD and compileXSDParticle
+			 * entry points also compile the custom AST node kinds registered by its registerASTNodeHandler.
+			 *
+			 * The handlers registered to a compiler do not affect the other ones nor the shared entry points.
+			 *
+			 * @returns {{registerASTNodeHandler: Function, compileAST: Function, compileRegex: Function,
+			 *     compileDTD: Function, compileXSDParticle: Function}}
+			 */
+			createCompiler: function () {
+
+				var astCompiler = new ASTCompiler();
+
+				var compiler = createEntryPoints(astCompiler);
+
+				/**
+				 * Register a handler for a custom AST node kind, see ASTCompiler.prototype.registerHandler.
+				 *
+				 * @param kind
+				 * @param handler
+				 */
+				compiler.registerASTNodeHandler = function (kind, handler) {
+					astCompiler.registerHandler(kind, handler);
+				};
+
+				return compiler;
+			},
+
 			/**
 			 * Compile a simple minimal dfa from a given AST using a custom compile function.
 			 *
+			 * The options are passed on to the compile function and to Automaton.toSimpleDFA,
+			 * e.g. to define the predicates or to select the minimization method.
+			 *
 			 * @param compile
 			 * @param ast
+			 * @param [options]
 			 * @returns {{initialState: number, transitions: Array, finalStates: Array.<Number>}}
 			 */
-			compileSimpleDFA: function (compile, ast) {
+			compileSimpleDFA: function (compile, ast, options) {
 
 				// Get an NFA from a given AST using given compile function
-				var nfa = compile(ast);
+				var nfa = compile(ast, options);
 
 				// Return a simplified
-				return Automaton.toSimpleDFA(nfa);
-			}
+				return Automaton.toSimpleDFA(nfa, options);
+			},
+
+			parseRegex: regex.parseRegex,
+
+			compileRegex: sharedEntryPoints.compileRegex,
+
+			parseDTD: dtd.parseDTD,
+
+			compileDTD: sharedEntryPoints.compileDTD,
+
+			SchemaError: SchemaError,
+
+			/**
+			 * Translate an XML Schema particle in its JSON representation to an AST of the whynot shape.
+			 *
+			 * The wildcards are translated to predicates, named 'any' unless the particle names one.
+			 *
+			 * @param particle
+			 * @returns {Array}
+			 */
+			xsdParticleToAST: function (particle) {
+				return xsd.translateParticle(particle).ast;
+			},
+
+			compileXSDParticle: sharedEntryPoints.compileXSDParticle
 		};
 	}
 );
@@ -0,0 +1,506 @@
+/**
+ * Parser of regular expressions to ASTs of the whynot shape.
+ *
+ * The supported syntax is the following:
+ * - a single character matches itself, unless it is one of the metacharacters \ | ( ) [ ] { } ? * + < > @;
+ * - <name> matches the multi-character token 'name';
+ * - \x matches x for a metacharacter, '-' or '^', while \n, \r, \t and \uXXXX match the usual characters;
+ * - [...] matches any of the listed characters, tokens and character ranges such as a-z;
+ * - (...) groups an expression, | separates the alternatives;
+ * - ?, *, +, {m}, {m,} and {m,n} repeat the preceding expression, the bounds up to Automaton.MAX_REPETITION_BOUND.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./Automaton',
+		'./ParseError',
+		'./util/objectUtils'
+	],
+	function(
+		Automaton,
+		ParseError,
+		objectUtils
+	) {
+		'use strict';
+
+		/**
+		 * Constant string of the characters which have to be escaped to be matched literally.
+		 *
+		 * @type {string}
+		 */
+		var METACHARACTERS = '\\|()[]{}?*+<>@';
+
+		/**
+		 * Constant characters of the escapes other than the escaped metacharacters.
+		 *
+		 * @type {Object}
+		 */
+		var ESCAPED_CHARACTERS = {
+			'n': '\n',
+			'r': '\r',
+			't': '\t'
+		};
+
+		/**
+		 * Describes the position of a parser in a regular expression.
+		 *
+		 * @param text
+		 * @constructor
+		 */
+		function RegexReader (text) {
+
+			// Define the parsed text
+			this.text = text;
+
+			// Define the current offset
+			this.offset = 0;
+		}
+
+		/**
+		 * Throw a ParseError at the current offset.
+		 *
+		 * @param reader
+		 * @param message
+		 */
+		function fail (reader, message) {
+			throw new ParseError(message, reader.text, reader.offset);
+		}
+
+		/**
+		 * Check whether the whole text has been consumed.
+		 *
+		 * @param reader
+		 * @returns {boolean}
+		 */
+		function isAtEnd (reader) {
+			return reader.offset >= reader.text.length;
+		}
+
+		/**
+		 * Get the character at the current offset.
+		 *
+		 * @param reader
+		 * @returns {string}
+		 */
+		function peek (reader) {
+			return reader.text.charAt(reader.offset);
+		}
+
+		/**
+		 * Consume a given character, failing if the text does not continue with it.
+		 *
+		 * @param reader
+		 * @param character
+		 */
+		function expect (reader, character) {
+
+			if (peek(reader) !== character) {
+				fail(reader, 'Expected \'' + character + '\'');
+			}
+
+			++ reader.offset;
+		}
+
+		/**
+		 * Consume an escape sequence, the backslash included.
+		 *
+		 * @param reader
+		 * @returns {string}
+		 */
+		function parseEscape (reader) {
+
+			var escapeOffset = reader.offset;
+
+			expect(reader, '\\');
+
+			if (isAtEnd(reader)) {
+				fail(reader, 'Expected an escaped character');
+			}
+
+			var character = peek(reader);
+
+			++ reader.offset;
+
+			// The dash and the caret are special in the character classes only
+			if ((METACHARACTERS.indexOf(character) !== -1) || (character === '-') || (character === '^')) {
+				return character;
+			}
+
+			if (ESCAPED_CHARACTERS.hasOwnProperty(character)) {
+				return ESCAPED_CHARACTERS[character];
+			}
+
+			if (character === 'u') {
+				var hexDigits = reader.text.substr(reader.offset, 4);
+
+				if (!/^[0-9A-Fa-f]{4}$/.test(hexDigits)) {
+					fail(reader, 'Expected four hexadecimal digits');
+				}
+
+				reader.offset += 4;
+
+				return String.fromCharCode(parseInt(hexDigits, 16));
+			}
+
+			reader.offset = escapeOffset;
+
+			fail(reader, 'Unknown escape \'\\' + character + '\'');
+		}
+
+		/**
+		 * Consume a multi-character token, e.g. <title>.
+		 *
+		 * @param reader
+		 * @returns {string}
+		 */
+		function parseToken (reader) {
+
+			var tokenOffset = reader.offset;
+
+			expect(reader, '<');
+
+			var endOffset = reader.text.indexOf('>', reader.offset);
+
+			if (endOffset === -1) {
+				reader.offset = tokenOffset;
+
+				fail(reader, 'Unterminated token');
+			}
+
+			if (endOffset === reader.offset) {
+				fail(reader, 'Expected a token name');
+			}
+
+			var token = reader.text.substring(reader.offset, endOffset);
+
+			reader.offset = endOffset + 1;
+
+			return token;
+		}
+
+		/**
+		 * Consume a single character, an escape sequence or a token, failing on the other metacharacters.
+		 *
+		 * @param reader
+		 * @returns {string}
+		 */
+		function parseCharacter (reader) {
+
+			if (isAtEnd(reader)) {
+				fail(reader, 'Unexpected end of expression');
+			}
+
+			var character = peek(reader);
+
+			if (character === '\\') {
+				return parseEscape(reader);
+			}
+
+			if (character === '<') {
+				return parseToken(reader);
+			}
+
+			if (METACHARACTERS.indexOf(character) !== -1) {
+				fail(reader, 'Unexpected \'' + character + '\'');
+			}
+
+			++ reader.offset;
+
+			return character;
+		}
+
+		/**
+		 * Consume a character class after the opening bracket, e.g. [a-z<title>\-].
+		 *
+		 * @param reader
+		 * @returns {Array}
+		 */
+		function parseClass (reader) {
+
+			var characters = [];
+
+			if (peek(reader) === '^') {
+				fail(reader, 'Negated character classes are not supported');
+			}
+
+			while (peek(reader) !== ']') {
+
+				if (isAtEnd(reader)) {
+					fail(reader, 'Unterminated character class');
+				}
+
+				var isSingle = (peek(reader) !== '<');
+
+				var firstOffset = reader.offset;
+
+				var first = (peek(reader) === '-') ? reader.text.charAt(reader.offset ++) : parseCharacter(reader);
+
+				// A dash between two single characters stands for the range of the characters
+				if ((peek(reader) === '-') && (reader.text.charAt(reader.offset + 1) !== ']')) {
+					++ reader.offset;
+
+					var lastOffset = reader.offset;
+
+					var isLastSingle = (peek(reader) !== '<');
+
+					var last = parseCharacter(reader);
+
+					if (!isSingle || !isLastSingle) {
+						reader.offset = isSingle ? lastOffset : firstOffset;
+
+						fail(reader, 'Tokens can not bound a character range');
+					}
+
+					if (first > last) {
+						reader.offset = firstOffset;
+
+						fail(reader, 'Invalid character range \'' + first + '-' + last + '\'');
+					}
+
+					for (var charCode = first.charCodeAt(0); charCode <= last.charCodeAt(0); ++ charCode) {
+						characters.push(String.fromCharCode(charCode));
+					}
+				} else {
+					characters.push(first);
+				}
+			}
+
+			if (characters.length === 0) {
+				fail(reader, 'Empty character class');
+			}
+
+			expect(reader, ']');
+
+			// Skip the repeated characters, looked up by character as the ranges may list thousands of them
+			var seen = Object.create(null);
+
+			var tests = characters.filter(function (character) {
+				if (objectUtils.hasOwnProperty(seen, character)) {
+					return false;
+				}
+
+				seen[character] = true;
+
+				return true;
+			}).map(function (character) {
+				return ['test', character];
+			});
+
+			return (tests.length === 1) ? tests[0] : ['choice'].concat(tests);
+		}
+
+		/**
+		 * Consume a non-negative integer.
+		 *
+		 * @param reader
+		 * @returns {number}
+		 */
+		function parseCount (reader) {
+
+			var match = /^[0-9]+/.exec(reader.text.substr(reader.offset));
+
+			if (match === null) {
+				fail(reader, 'Expected a number');
+			}
+
+			reader.offset += match[0].length;
+
+			return parseInt(match[0], 10);
+		}
+
+		/**
+		 * Consume a bound of a bounded repetition, failing at its start if it exceeds Automaton.MAX_REPETITION_BOUND.
+		 *
+		 * @param reader
+		 * @returns {number}
+		 */
+		function parseBound (reader) {
+
+			var boundOffset = reader.offset;
+
+			var bound = parseCount(reader);
+
+			if (bound > Automaton.MAX_REPETITION_BOUND) {
+				reader.offset = boundOffset;
+
+				fail(reader, 'Repetition bound ' + bound + ' exceeds ' + Automaton.MAX_REPETITION_BOUND);
+			}
+
+			return bound;
+		}
+
+		/**
+		 * Consume a bounded repetition after the opening brace and wrap a given node into it, e.g. {2,5}.
+		 *
+		 * @param reader
+		 * @param node
+		 * @returns {Array}
+		 */
+		function parseBounds (reader, node) {
+
+			var boundsOffset = reader.offset - 1;
+
+			var min = parseBound(reader);
+
+			var max = min;
+
+			if (peek(reader) === ',') {
+				++ reader.offset;
+
+				max = (peek(reader) === '}') ? null : parseBound(reader);
+			}
+
+			expect(reader, '}');
+
+			if ((max !== null) && (max < min)) {
+				reader.offset = boundsOffset;
+
+				fail(reader, 'Invalid repetition bounds {' + min + ',' + max + '}');
+			}
+
+			return ['range', node, min, max];
+		}
+
+		/**
+		 * Consume an atom, i.e. a group, a character class, a character or a token.
+		 *
+		 * @param reader
+		 * @returns {Array}
+		 */
+		function parseAtom (reader) {
+
+			switch (peek(reader)) {
+				case '(':
+					++ reader.offset;
+
+					var node = parseAlternatives(reader);
+
+					expect(reader, ')');
+
+					return node;
+
+				case '[':
+					++ reader.offset;
+
+					return parseClass(reader);
+
+				case '?':
+				case '*':
+				case '+':
+				case '{':
+					fail(reader, 'Nothing to repeat');
+					break;
+
+				default:
+					return ['test', parseCharacter(reader)];
+			}
+		}
+
+		/**
+		 * Consume an atom followed by any number of quantifiers.
+		 *
+		 * @param reader
+		 * @returns {Array}
+		 */
+		function parseQuantified (reader) {
+
+			var node = parseAtom(reader);
+
+			while (!isAtEnd(reader)) {
+				switch (peek(reader)) {
+					case '?':
+						node = ['optional', node];
+						break;
+
+					case '*':
+						node = ['repetition', node];
+						break;
+
+					case '+':
+						node = ['plus', node];
+						break;
+
+					case '{':
+						++ reader.offset;
+
+						node = parseBounds(reader, node);
+
+						continue;
+
+					default:
+						return node;
+				}
+
+				++ reader.offset;
+			}
+
+			return node;
+		}
+
+		/**
+		 * Consume a sequence of quantified atoms, up to an alternative separator or a closing parenthesis.
+		 *
+		 * @param reader
+		 * @returns {Array}
+		 */
+		function parseSequence (reader) {
+
+			var nodes = [];
+
+			while (!isAtEnd(reader) && (peek(reader) !== '|') && (peek(reader) !== ')')) {
+				nodes.push(parseQuantified(reader));
+			}
+
+			if (nodes.length === 0) {
+				return ['empty'];
+			}
+
+			return (nodes.length === 1) ? nodes[0] : ['seq'].concat(nodes);
+		}
+
+		/**
+		 * Consume the alternatives separated by '|', up to a closing parenthesis.
+		 *
+		 * @param reader
+		 * @returns {Array}
+		 */
+		function parseAlternatives (reader) {
+
+			var nodes = [parseSequence(reader)];
+
+			while (peek(reader) === '|') {
+				++ reader.offset;
+
+				nodes.push(parseSequence(reader));
+			}
+
+			return (nodes.length === 1) ? nodes[0] : ['choice'].concat(nodes);
+		}
+
+		/**
+		 * Parse a regular expression to an AST.
+		 *
+		 * The empty expressions, e.g. the alternatives of 'a|', are represented by the 'empty' AST node.
+		 *
+		 * @param text
+		 * @returns {Array}
+		 */
+		function parseRegex (text) {
+
+			var reader = new RegexReader(text);
+
+			var ast = parseAlternatives(reader);
+
+			if (!isAtEnd(reader)) {
+				fail(reader, 'Unexpected \'' + peek(reader) + '\'');
+			}
+
+			return ast;
+		}
+
+		return {
+			parseRegex: parseRegex
+		};
+	}
+);
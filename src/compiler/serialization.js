@@ -0,0 +1,210 @@
+/**
+ * Serialization of simple DFAs into the versioned precompiled DFA format.
+ *
+ * The format is a JSON object of the following shape:
+ * {
+ *   "format": "whynot-premade-dfa",
+ *   "version": 1,
+ *   "alphabet": ["a", "b"],
+ *   "initialState": 0,
+ *   "finalStates": [1],
+ *   "transitions": [[[0, 1], [1, 0]], []],
+ *   "provenance": [["/1"], ["/2"]],
+ *   "checksum": "fnv1a:..."
+ * }
+ * Each state lists its transitions as [alphabet index, target state] pairs sorted by the alphabet index.
+ * The alphabet is sorted as well. The optional provenance lists the AST paths each state originates from.
+ * The optional checksum covers all the other fields.
+ *
+ * The provenance is left out unless requested, so that the simple DFAs accepting the same language serialize
+ * to the same string, see Automaton.toSimpleDFA, whatever the ASTs they were compiled from.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./Automaton',
+		'./util/checksum',
+		'./util/objectUtils'
+	],
+	function(
+		Automaton,
+		checksum,
+		objectUtils
+	) {
+		'use strict';
+
+		/**
+		 * Constant naming the precompiled DFA format.
+		 *
+		 * @type {string}
+		 */
+		var FORMAT_NAME = 'whynot-premade-dfa';
+
+		/**
+		 * Constant describing the current version of the precompiled DFA format.
+		 *
+		 * @type {number}
+		 */
+		var FORMAT_VERSION = 1;
+
+		/**
+		 * Get the sorted alphabet of a simple DFA.
+		 *
+		 * @param simpleDFA
+		 * @returns {Array.<String>}
+		 */
+		function getAlphabet (simpleDFA) {
+
+			var alphabet = [];
+
+			var seen = Object.create(null);
+
+			for (var state = 0; state < simpleDFA.transitions.length; ++ state) {
+				var stateCharacters = Object.keys(simpleDFA.transitions[state]);
+
+				for (var characterId = 0; characterId < stateCharacters.length; ++ characterId) {
+					if (!objectUtils.hasOwnProperty(seen, stateCharacters[characterId])) {
+						seen[stateCharacters[characterId]] = true;
+
+						alphabet.push(stateCharacters[characterId]);
+					}
+				}
+			}
+
+			alphabet.sort();
+
+			return alphabet;
+		}
+
+		/**
+		 * Get the string covered by the checksum of a serialized DFA.
+		 *
+		 * @param serializedDFA
+		 * @returns {string}
+		 */
+		function getChecksumPayload (serializedDFA) {
+
+			var payload = [
+				serializedDFA.format,
+				serializedDFA.version,
+				serializedDFA.alphabet,
+				serializedDFA.initialState,
+				serializedDFA.finalStates,
+				serializedDFA.transitions
+			];
+
+			// The optional provenance is covered only when present
+			if (serializedDFA.provenance !== undefined) {
+				payload.push(serializedDFA.provenance);
+			}
+
+			return JSON.stringify(payload);
+		}
+
+		/**
+		 * Convert a simple DFA to the serialized DFA object.
+		 *
+		 * Supported options:
+		 * - checksum: whether to add the checksum, true by default;
+		 * - provenance: whether to add the provenance of the states if the DFA tracks it, false by default.
+		 *
+		 * @param simpleDFA
+		 * @param [options]
+		 * @returns {Object}
+		 */
+		function toSerializedDFA (simpleDFA, options) {
+
+			options = options || {};
+
+			var alphabet = getAlphabet(simpleDFA);
+
+			// Index the alphabet for a quick lookup
+			var alphabetIndices = Object.create(null);
+
+			for (var alphabetIndex = 0; alphabetIndex < alphabet.length; ++ alphabetIndex) {
+				alphabetIndices[alphabet[alphabetIndex]] = alphabetIndex;
+			}
+
+			var transitions = [];
+
+			for (var state = 0; state < simpleDFA.transitions.length; ++ state) {
+				var stateTransitions = [];
+
+				var stateCharacters = Object.keys(simpleDFA.transitions[state]);
+
+				for (var characterId = 0; characterId < stateCharacters.length; ++ characterId) {
+					stateTransitions.push([
+						alphabetIndices[stateCharacters[characterId]],
+						simpleDFA.transitions[state][stateCharacters[characterId]]
+					]);
+				}
+
+				// Keep the transitions in the alphabet order
+				stateTransitions.sort(function (left, right) {
+					return left[0] - right[0];
+				});
+
+				transitions.push(stateTransitions);
+			}
+
+			var serializedDFA = {
+				'format': FORMAT_NAME,
+				'version': FORMAT_VERSION,
+				'alphabet': alphabet,
+				'initialState': simpleDFA.initialState,
+				'finalStates': simpleDFA.finalStates.slice().sort(function (left, right) {
+					return left - right;
+				}),
+				'transitions': transitions
+			};
+
+			if (options.provenance && simpleDFA.provenance) {
+				serializedDFA.provenance = simpleDFA.provenance.map(function (stateProvenance) {
+					return stateProvenance.slice();
+				});
+			}
+
+			if (options.checksum !== false) {
+				serializedDFA.checksum = checksum.fnv1a(getChecksumPayload(serializedDFA));
+			}
+
+			return serializedDFA;
+		}
+
+		return {
+			FORMAT_NAME: FORMAT_NAME,
+
+			FORMAT_VERSION: FORMAT_VERSION,
+
+			toSerializedDFA: toSerializedDFA,
+
+			/**
+			 * Serialize a simple DFA to a JSON string of the precompiled DFA format.
+			 *
+			 * @param simpleDFA
+			 * @param [options] See toSerializedDFA.
+			 * @returns {string}
+			 */
+			serialize: function (simpleDFA, options) {
+				return JSON.stringify(toSerializedDFA(simpleDFA, options));
+			},
+
+			/**
+			 * Compute the content hash of a simple DFA, e.g. to deduplicate precompiled DFAs.
+			 *
+			 * The 128-bit FNV-1a hash covers the canonical form of the DFA, see Automaton.canonicalize, without the
+			 * provenance. The minimal simple DFAs accepting the same language thus get the same hash.
+			 *
+			 * @param simpleDFA
+			 * @returns {string}
+			 */
+			getContentHash: function (simpleDFA) {
+				return checksum.fnv1a128(getChecksumPayload(toSerializedDFA(Automaton.canonicalize(simpleDFA), {
+					provenance: false,
+					checksum: false
+				})));
+			}
+		};
+	}
+);
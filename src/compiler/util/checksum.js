@@ -0,0 +1,102 @@
+/**
+ * Checksum helpers shared by the serialization and the content hashes of precompiled DFAs.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		/**
+		 * Constant 128-bit FNV offset basis, in 16-bit words from the least significant one.
+		 *
+		 * @type {Array.<Number>}
+		 */
+		var FNV128_OFFSET_BASIS = [0xc58d, 0x6295, 0x2175, 0x62b8, 0x0142, 0x07bb, 0x272e, 0x6c62];
+
+		/**
+		 * Constant 128-bit FNV prime, 2^88 + 0x13b, in 16-bit words from the least significant one.
+		 *
+		 * @type {Array.<Number>}
+		 */
+		var FNV128_PRIME = [0x013b, 0, 0, 0, 0, 0x0100, 0, 0];
+
+		/**
+		 * Multiply two numbers given in 16-bit words from the least significant one, keeping as many words.
+		 *
+		 * @param left
+		 * @param right
+		 * @returns {Array.<Number>}
+		 */
+		function multiplyWords (left, right) {
+
+			var product = left.map(function () {
+				return 0;
+			});
+
+			for (var leftId = 0; leftId < left.length; ++ leftId) {
+				var carry = 0;
+
+				for (var rightId = 0; leftId + rightId < product.length; ++ rightId) {
+
+					// At most 0xffff * 0xffff + 2 * 0xffff, which still fits in 32 bits
+					var sum = product[leftId + rightId] + left[leftId] * right[rightId] + carry;
+
+					product[leftId + rightId] = sum & 0xffff;
+
+					carry = sum >>> 16;
+				}
+			}
+
+			return product;
+		}
+
+		return {
+
+			/**
+			 * Compute the 32-bit FNV-1a hash of a string as a prefixed hexadecimal string, e.g. 'fnv1a:811c9dc5'.
+			 *
+			 * @param string
+			 * @returns {string}
+			 */
+			fnv1a: function (string) {
+
+				// Start with the FNV offset basis
+				var hash = 0x811c9dc5;
+
+				for (var characterId = 0; characterId < string.length; ++ characterId) {
+					hash ^= string.charCodeAt(characterId);
+
+					// Multiply by the FNV prime keeping 32 bits
+					hash = (hash + (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24)) | 0;
+				}
+
+				return 'fnv1a:' + ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+			},
+
+			/**
+			 * Compute the 128-bit FNV-1a hash of a string as a prefixed hexadecimal string, e.g. 'fnv1a128:6c62...'.
+			 *
+			 * Like fnv1a, every UTF-16 code unit of the string is hashed as a whole.
+			 *
+			 * @param string
+			 * @returns {string}
+			 */
+			fnv1a128: function (string) {
+
+				var hash = FNV128_OFFSET_BASIS.slice();
+
+				for (var characterId = 0; characterId < string.length; ++ characterId) {
+					hash[0] ^= string.charCodeAt(characterId);
+
+					hash = multiplyWords(hash, FNV128_PRIME);
+				}
+
+				return 'fnv1a128:' + hash.map(function (word) {
+					return ('000' + word.toString(16)).slice(-4);
+				}).reverse().join('');
+			}
+		};
+	}
+);
@@ -0,0 +1,385 @@
+/**
+ * Front end translating XML Schema particles to ASTs of the whynot shape.
+ *
+ * A particle is a JSON object of one of the following kinds, each with optional minOccurs and maxOccurs:
+ * - {"kind": "element", "name": "title"};
+ * - {"kind": "any", "predicate": "foreign"}, a wildcard matching the input items satisfying a predicate,
+ *   named 'any' by default;
+ * - {"kind": "sequence", "particles": [...]};
+ * - {"kind": "choice", "particles": [...]};
+ * - {"kind": "all", "particles": [...]}, whose particles must be elements occurring at most once.
+ * Both minOccurs and maxOccurs default to 1, while maxOccurs may be 'unbounded'.
+ *
+ * @module whynotPremadeCompiler
+ */
+define(
+	[
+		'./Automaton',
+		'./ASTCompilationError',
+		'./SchemaError',
+		'./util/objectUtils'
+	],
+	function(
+		Automaton,
+		ASTCompilationError,
+		SchemaError,
+		objectUtils
+	) {
+		'use strict';
+
+		/**
+		 * Constant value of an unbounded maxOccurs.
+		 *
+		 * @type {string}
+		 */
+		var UNBOUNDED = 'unbounded';
+
+		/**
+		 * Constant name of the predicate matched by the wildcards without an explicit one.
+		 *
+		 * @type {string}
+		 */
+		var DEFAULT_WILDCARD_PREDICATE = 'any';
+
+		/**
+		 * Check whether a value is a non-negative integer.
+		 *
+		 * @param value
+		 * @returns {boolean}
+		 */
+		function isCount (value) {
+			return (typeof value === 'number') && (value >= 0) && (value % 1 === 0);
+		}
+
+		/**
+		 * Get the occurrence bounds of a particle, with null standing for an unbounded maxOccurs.
+		 *
+		 * @param particle
+		 * @param path
+		 * @returns {{min: number, max: (number|null)}}
+		 */
+		function getOccurs (particle, path) {
+
+			var min = (particle.minOccurs === undefined) ? 1 : particle.minOccurs;
+
+			var max = (particle.maxOccurs === undefined) ? 1 : particle.maxOccurs;
+
+			if (!isCount(min)) {
+				throw new SchemaError('minOccurs must be a non-negative integer', path);
+			}
+
+			if ((max !== UNBOUNDED) && (!isCount(max) || (max < min))) {
+				throw new SchemaError('maxOccurs must be \'' + UNBOUNDED + '\' or an integer not less than minOccurs',
+					path);
+			}
+
+			return {
+				'min': min,
+				'max': (max === UNBOUNDED) ? null : max
+			};
+		}
+
+		/**
+		 * Wrap an AST node into the node repeating it according to given occurrence bounds.
+		 *
+		 * @param node
+		 * @param occurs
+		 * @returns {Array}
+		 */
+		function applyOccurs (node, occurs) {
+
+			if ((occurs.min === 1) && (occurs.max === 1)) {
+				return node;
+			}
+
+			if ((occurs.min === 0) && (occurs.max === 1)) {
+				return ['optional', node];
+			}
+
+			if ((occurs.min === 0) && (occurs.max === null)) {
+				return ['repetition', node];
+			}
+
+			if ((occurs.min === 1) && (occurs.max === null)) {
+				return ['plus', node];
+			}
+
+			return ['range', node, occurs.min, occurs.max];
+		}
+
+		/**
+		 * Get the child particles of a group particle.
+		 *
+		 * @param particle
+		 * @param path
+		 * @returns {Array}
+		 */
+		function getChildParticles (particle, path) {
+
+			if (!(particle.particles instanceof Array)) {
+				throw new SchemaError('Particle \'' + particle.kind + '\' requires an array of particles', path);
+			}
+
+			return particle.particles;
+		}
+
+		/**
+		 * Require the particles of an all group to be elements occurring at most once.
+		 *
+		 * @param particle
+		 * @param path
+		 * @param occurs
+		 */
+		function validateAll (particle, path, occurs) {
+
+			if ((occurs.max === null) || (occurs.max > 1)) {
+				throw new SchemaError('Particle \'all\' may occur at most once', path);
+			}
+
+			for (var childId = 0; childId < particle.particles.length; ++ childId) {
+				var child = particle.particles[childId];
+
+				var childPath = path.concat('particles', childId);
+
+				if ((child === null) || (typeof child !== 'object') || (child.kind !== 'element')) {
+					throw new SchemaError('Particle \'all\' may only contain elements', childPath);
+				}
+
+				var childOccurs = getOccurs(child, childPath);
+
+				if ((childOccurs.max === null) || (childOccurs.max > 1)) {
+					throw new SchemaError('Elements of particle \'all\' may occur at most once', childPath);
+				}
+			}
+		}
+
+		/**
+		 * Translate a particle found at a given path to an AST node found at a given AST path.
+		 *
+		 * The element and wildcard particles are registered by the AST path of their 'test' or 'predicate' nodes.
+		 *
+		 * @param particle
+		 * @param path
+		 * @param astPath
+		 * @param particles
+		 * @returns {Array}
+		 */
+		function translateNode (particle, path, astPath, particles) {
+
+			if ((particle === null) || (typeof particle !== 'object')) {
+				throw new SchemaError('Particle must be an object', path);
+			}
+
+			var occurs = getOccurs(particle, path);
+
+			// A repeated node is the first child of its repetition node
+			var nodePath = ((occurs.min === 1) && (occurs.max === 1)) ? astPath : astPath.concat(1);
+
+			var node;
+
+			switch (particle.kind) {
+				case 'element':
+					if ((typeof particle.name !== 'string') || (particle.name === '')) {
+						throw new SchemaError('Particle \'element\' requires a name', path);
+					}
+
+					node = ['test', particle.name];
+
+					break;
+
+				case 'any':
+					var predicateName = (particle.predicate === undefined) ?
+						DEFAULT_WILDCARD_PREDICATE : particle.predicate;
+
+					if (!Automaton.isPredicateName(predicateName)) {
+						throw new SchemaError('Particle \'any\' requires a predicate name', path);
+					}
+
+					node = ['predicate', predicateName];
+
+					break;
+
+				case 'sequence':
+				case 'choice':
+				case 'all':
+					var childParticles = getChildParticles(particle, path);
+
+					if (particle.kind === 'all') {
+						validateAll(particle, path, occurs);
+					}
+
+					// An empty choice would never match, unlike the empty sequences and all groups
+					if (childParticles.length === 0) {
+						if (particle.kind === 'choice') {
+							throw new SchemaError('Particle \'choice\' requires at least one particle', path);
+						}
+
+						node = ['empty'];
+
+						break;
+					}
+
+					node = [{'sequence': 'seq', 'choice': 'choice', 'all': 'interleave'}[particle.kind]];
+
+					for (var childId = 0; childId < childParticles.length; ++ childId) {
+						node.push(translateNode(childParticles[childId], path.concat('particles', childId),
+							nodePath.concat(childId + 1), particles));
+					}
+
+					break;
+
+				default:
+					throw new SchemaError('Unknown particle kind \'' + particle.kind + '\'', path);
+			}
+
+			if ((node[0] === 'test') || (node[0] === 'predicate')) {
+				particles[ASTCompilationError.formatPath(nodePath)] = {
+					'path': path,
+					'character': (node[0] === 'test') ? Automaton.escapeCharacter(node[1]) :
+						Automaton.PREDICATE_PREFIX + node[1]
+				};
+			}
+
+			return applyOccurs(node, occurs);
+		}
+
+		/**
+		 * Translate a particle to an AST, along with the element and wildcard particles by their AST paths.
+		 *
+		 * @param particle
+		 * @returns {{ast: Array, particles: Object}}
+		 */
+		function translateParticle (particle) {
+
+			var particles = {};
+
+			var ast = translateNode(particle, [], [], particles);
+
+			return {
+				'ast': ast,
+				'particles': particles
+			};
+		}
+
+		/**
+		 * Check whether two characters may match the same input item.
+		 *
+		 * @param leftCharacter
+		 * @param rightCharacter
+		 * @returns {boolean}
+		 */
+		function isCompeting (leftCharacter, rightCharacter) {
+			return (leftCharacter === rightCharacter) ||
+				Automaton.isPredicate(leftCharacter) || Automaton.isPredicate(rightCharacter);
+		}
+
+		/**
+		 * Describe a character in an error message.
+		 *
+		 * @param character
+		 * @returns {string}
+		 */
+		function describeCharacter (character) {
+			return Automaton.isPredicate(character) ?
+				'wildcard \'' + character.substr(Automaton.PREDICATE_PREFIX.length) + '\'' :
+				'element \'' + Automaton.unescapeCharacter(character) + '\'';
+		}
+
+		/**
+		 * Check the Unique Particle Attribution of an NFA compiled from a translated particle.
+		 *
+		 * The sets of NFA states reachable by the same input are explored. Whenever two different particles may match
+		 * the next input item of such a set, a SchemaError pointing to both particles is thrown. The particle taking
+		 * a transition is found through the provenance of the transition target.
+		 *
+		 * @param nfa
+		 * @param particles The element and wildcard particles by their AST paths, see translateParticle.
+		 */
+		function checkUniqueParticleAttribution (nfa, particles) {
+
+			var initialClosure = Automaton.getEpsilonClosure(nfa, nfa.getInitialStates());
+
+			var closures = [initialClosure];
+
+			var visitedClosures = {};
+
+			visitedClosures[initialClosure.join(',')] = true;
+
+			for (var closureId = 0; closureId < closures.length; ++ closureId) {
+				var closure = closures[closureId];
+
+				// Save the particles matching from the current closure along with their characters
+				var matches = [];
+
+				var matchedParticles = {};
+
+				// Save the transition targets by character
+				var targetsByCharacter = Object.create(null);
+
+				for (var stateId = 0; stateId < closure.length; ++ stateId) {
+					var stateTransitions = nfa.getStateTransitions(closure[stateId]);
+
+					for (var transitionId = 0; transitionId < stateTransitions.length; ++ transitionId) {
+						var transition = stateTransitions[transitionId];
+
+						if (transition.character === '') {
+							continue;
+						}
+
+						if (!objectUtils.hasOwnProperty(targetsByCharacter, transition.character)) {
+							targetsByCharacter[transition.character] = [];
+						}
+
+						targetsByCharacter[transition.character].push(transition.stateTo);
+
+						var provenance = nfa.getStateProvenance(transition.stateTo);
+
+						for (var labelId = 0; labelId < provenance.length; ++ labelId) {
+							var particle = particles[provenance[labelId]];
+
+							if (particle && (particle.character === transition.character) &&
+								!matchedParticles[provenance[labelId]]) {
+								matchedParticles[provenance[labelId]] = true;
+
+								matches.push(particle);
+							}
+						}
+					}
+				}
+
+				for (var matchId = 0; matchId < matches.length; ++ matchId) {
+					for (var otherMatchId = matchId + 1; otherMatchId < matches.length; ++ otherMatchId) {
+						if (isCompeting(matches[matchId].character, matches[otherMatchId].character)) {
+							throw new SchemaError('Unique Particle Attribution violation: ' +
+								describeCharacter(matches[matchId].character) + ' competes with ' +
+								describeCharacter(matches[otherMatchId].character) + ' of ' +
+								SchemaError.formatPath(matches[otherMatchId].path),
+								matches[matchId].path, matches[otherMatchId].path);
+						}
+					}
+				}
+
+				// Explore the closures reachable from the current one
+				var characters = Object.keys(targetsByCharacter);
+
+				for (var characterId = 0; characterId < characters.length; ++ characterId) {
+					var targetClosure = Automaton.getEpsilonClosure(nfa, targetsByCharacter[characters[characterId]]);
+
+					var targetClosureKey = targetClosure.join(',');
+
+					if (!visitedClosures[targetClosureKey]) {
+						visitedClosures[targetClosureKey] = true;
+
+						closures.push(targetClosure);
+					}
+				}
+			}
+		}
+
+		return {
+			translateParticle: translateParticle,
+
+			checkUniqueParticleAttribution: checkUniqueParticleAttribution
+		};
+	}
+);
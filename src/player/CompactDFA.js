@@ -0,0 +1,396 @@
+/**
+ * Read access to the compact DFAs made by the compiler compact encoding.
+ *
+ * @module whynotPremadePlayer
+ */
+define(
+	[
+		'./DFAFormatError',
+		'./util/objectUtils'
+	],
+	function(
+		DFAFormatError,
+		objectUtils
+	) {
+		'use strict';
+
+		/**
+		 * Describes a DFA read directly from the typed-array layout of the compiler compact encoding.
+		 *
+		 * The sections of the data are only viewed, not copied. The layout is validated first, so a malformed
+		 * compact DFA is rejected with a DFAFormatError.
+		 *
+		 * @param compactDFA
+		 * @constructor
+		 */
+		function CompactDFA (compactDFA) {
+
+			var data = (compactDFA.data instanceof ArrayBuffer) ? new Int32Array(compactDFA.data) : compactDFA.data;
+
+			validateHeader(compactDFA, data);
+
+			var statesCount = data[1];
+			var finalStatesCount = data[3];
+			var groupsCount = data[4];
+			var transitionsCount = data[5];
+
+			// Save the section starts
+			var finalStatesStart = CompactDFA.HEADER_SIZE;
+			var stateGroupOffsetsStart = finalStatesStart + finalStatesCount;
+			var groupTargetsStart = stateGroupOffsetsStart + statesCount + 1;
+			var groupTransitionOffsetsStart = groupTargetsStart + groupsCount;
+			var transitionCharactersStart = groupTransitionOffsetsStart + groupsCount + 1;
+			var sortedTransitionsStart = transitionCharactersStart + transitionsCount;
+
+			// Define the interned alphabet
+			this.alphabet = compactDFA.alphabet;
+
+			// Define the alphabet indices by character
+			this.alphabetIndices = Object.create(null);
+
+			for (var alphabetIndex = 0; alphabetIndex < this.alphabet.length; ++ alphabetIndex) {
+				if (objectUtils.hasOwnProperty(this.alphabetIndices, this.alphabet[alphabetIndex])) {
+					throw new DFAFormatError('Alphabet character at index ' + alphabetIndex +
+						' duplicates the one at index ' + this.alphabetIndices[this.alphabet[alphabetIndex]]);
+				}
+
+				this.alphabetIndices[this.alphabet[alphabetIndex]] = alphabetIndex;
+			}
+
+			// Define the states count
+			this.statesCount = statesCount;
+
+			// Define an initial state
+			this.initialState = data[2];
+
+			// Define the section views
+			this.finalStates = data.subarray(finalStatesStart, stateGroupOffsetsStart);
+			this.stateGroupOffsets = data.subarray(stateGroupOffsetsStart, groupTargetsStart);
+			this.groupTargets = data.subarray(groupTargetsStart, groupTransitionOffsetsStart);
+			this.groupTransitionOffsets = data.subarray(groupTransitionOffsetsStart, transitionCharactersStart);
+			this.transitionCharacters = data.subarray(transitionCharactersStart, sortedTransitionsStart);
+			this.sortedTransitions = data.subarray(sortedTransitionsStart, sortedTransitionsStart + transitionsCount);
+
+			validateSections(this);
+
+			// Define the transported transitions cache, filled on demand
+			this.transportedTransitions = [];
+		}
+
+		/**
+		 * Constant describing the latest supported version of the compact DFA layout.
+		 *
+		 * @type {number}
+		 */
+		CompactDFA.COMPACT_VERSION = 1;
+
+		/**
+		 * Constant describing the amount of header entries of the compact DFA data.
+		 *
+		 * @type {number}
+		 */
+		CompactDFA.HEADER_SIZE = 6;
+
+		/**
+		 * Check whether a given DFA is a compact one rather than a simple one.
+		 *
+		 * @param dfa
+		 * @returns {boolean}
+		 */
+		CompactDFA.isCompactDFA = function (dfa) {
+			return (dfa instanceof CompactDFA) || ((dfa !== null) && (typeof dfa === 'object') &&
+				((dfa.data instanceof Int32Array) || (dfa.data instanceof ArrayBuffer)));
+		};
+
+		/**
+		 * Get the states count.
+		 *
+		 * @returns {number}
+		 */
+		CompactDFA.prototype.getStatesCount = function () {
+			return this.statesCount;
+		};
+
+		/**
+		 * Get the initial state.
+		 *
+		 * @returns {number}
+		 */
+		CompactDFA.prototype.getInitialState = function () {
+			return this.initialState;
+		};
+
+		/**
+		 * Get the final states.
+		 *
+		 * @returns {Array.<Number>}
+		 */
+		CompactDFA.prototype.getFinalStates = function () {
+			return Array.prototype.slice.call(this.finalStates);
+		};
+
+		/**
+		 * Get the characters of all the transitions of a given state.
+		 *
+		 * @param state
+		 * @returns {Array.<String>}
+		 */
+		CompactDFA.prototype.getStateCharacters = function (state) {
+
+			var characters = [];
+
+			var transitionsStart = this.groupTransitionOffsets[this.stateGroupOffsets[state]];
+			var transitionsEnd = this.groupTransitionOffsets[this.stateGroupOffsets[state + 1]];
+
+			for (var transitionId = transitionsStart; transitionId < transitionsEnd; ++ transitionId) {
+				characters.push(this.alphabet[this.transitionCharacters[transitionId]]);
+			}
+
+			return characters;
+		};
+
+		/**
+		 * Get the target state of the transition of a given state on a given character.
+		 *
+		 * The sorted transitions of the state are binary searched for the alphabet index of the character, then the
+		 * groups of the state for the one of the transition.
+		 *
+		 * @param state
+		 * @param character
+		 * @returns {number|undefined}
+		 */
+		CompactDFA.prototype.getNextState = function (state, character) {
+
+			if (!objectUtils.hasOwnProperty(this.alphabetIndices, character)) {
+				return undefined;
+			}
+
+			var transitionId = findTransition(this, state, this.alphabetIndices[character]);
+
+			if (transitionId === -1) {
+				return undefined;
+			}
+
+			return this.groupTargets[findTransitionGroup(this, state, transitionId)];
+		};
+
+		/**
+		 * Get the transported transitions of a given state, i.e. the characters by the target state.
+		 *
+		 * @param state
+		 * @returns {Object}
+		 */
+		CompactDFA.prototype.getTransportedTransitions = function (state) {
+
+			if (this.transportedTransitions[state] !== undefined) {
+				return this.transportedTransitions[state];
+			}
+
+			var stateTransportedTransitions = {};
+
+			for (var groupId = this.stateGroupOffsets[state]; groupId < this.stateGroupOffsets[state + 1]; ++ groupId) {
+				var characters = [];
+
+				for (var transitionId = this.groupTransitionOffsets[groupId];
+					transitionId < this.groupTransitionOffsets[groupId + 1]; ++ transitionId) {
+					characters.push(this.alphabet[this.transitionCharacters[transitionId]]);
+				}
+
+				stateTransportedTransitions[this.groupTargets[groupId] + ''] = characters;
+			}
+
+			this.transportedTransitions[state] = stateTransportedTransitions;
+
+			return stateTransportedTransitions;
+		};
+
+		/**
+		 * Binary search the sorted transitions of a given state for the one of a given alphabet index.
+		 *
+		 * @param compactDFA
+		 * @param state
+		 * @param alphabetIndex
+		 * @returns {number} The transition, or -1 if there is none.
+		 */
+		function findTransition (compactDFA, state, alphabetIndex) {
+
+			var low = compactDFA.groupTransitionOffsets[compactDFA.stateGroupOffsets[state]];
+
+			var high = compactDFA.groupTransitionOffsets[compactDFA.stateGroupOffsets[state + 1]] - 1;
+
+			while (low <= high) {
+				var middle = (low + high) >> 1;
+
+				var middleCharacter = compactDFA.transitionCharacters[compactDFA.sortedTransitions[middle]];
+
+				if (middleCharacter === alphabetIndex) {
+					return compactDFA.sortedTransitions[middle];
+				}
+
+				if (middleCharacter < alphabetIndex) {
+					low = middle + 1;
+				} else {
+					high = middle - 1;
+				}
+			}
+
+			return -1;
+		}
+
+		/**
+		 * Binary search the groups of a given state for the one holding a given transition.
+		 *
+		 * @param compactDFA
+		 * @param state
+		 * @param transitionId
+		 * @returns {number} The last group starting at or before the transition, which skips the empty ones.
+		 */
+		function findTransitionGroup (compactDFA, state, transitionId) {
+
+			var low = compactDFA.stateGroupOffsets[state];
+
+			var high = compactDFA.stateGroupOffsets[state + 1] - 1;
+
+			while (low < high) {
+				var middle = (low + high + 1) >> 1;
+
+				if (compactDFA.groupTransitionOffsets[middle] <= transitionId) {
+					low = middle;
+				} else {
+					high = middle - 1;
+				}
+			}
+
+			return low;
+		}
+
+		/**
+		 * Validate the alphabet and the header of a compact DFA.
+		 *
+		 * @param compactDFA
+		 * @param data
+		 */
+		function validateHeader (compactDFA, data) {
+
+			if (!(compactDFA.alphabet instanceof Array)) {
+				throw new DFAFormatError('Alphabet must be an array');
+			}
+
+			if (!(data instanceof Int32Array) || (data.length < CompactDFA.HEADER_SIZE)) {
+				throw new DFAFormatError('Data must be an Int32Array starting with a header of ' + CompactDFA.HEADER_SIZE +
+					' entries');
+			}
+
+			if ((data[0] < 1) || (data[0] > CompactDFA.COMPACT_VERSION)) {
+				throw new DFAFormatError('Unsupported compact layout version ' + data[0] +
+					', the latest supported one is ' + CompactDFA.COMPACT_VERSION);
+			}
+
+			if ((data[1] < 1) || (data[3] < 0) || (data[4] < 0) || (data[5] < 0)) {
+				throw new DFAFormatError('Header counts must be non-negative and describe at least one state');
+			}
+
+			var expectedLength = CompactDFA.HEADER_SIZE + data[3] + (data[1] + 1) + data[4] + (data[4] + 1) +
+				2 * data[5];
+
+			if (data.length !== expectedLength) {
+				throw new DFAFormatError('Data length ' + data.length + ' does not match the header, expected ' +
+					expectedLength);
+			}
+
+			if ((data[2] < 0) || (data[2] >= data[1])) {
+				throw new DFAFormatError('Initial state is out of range: ' + data[2] + ' is not in [0, ' + data[1] + ')');
+			}
+		}
+
+		/**
+		 * Require the offsets of a section to be ascending and to cover a given amount of entries.
+		 *
+		 * @param offsets
+		 * @param entriesCount
+		 * @param description
+		 */
+		function validateOffsets (offsets, entriesCount, description) {
+
+			if ((offsets[0] !== 0) || (offsets[offsets.length - 1] !== entriesCount)) {
+				throw new DFAFormatError(description + ' must range from 0 to ' + entriesCount);
+			}
+
+			for (var offsetId = 1; offsetId < offsets.length; ++ offsetId) {
+				if (offsets[offsetId] < offsets[offsetId - 1]) {
+					throw new DFAFormatError(description + ' must be ascending, got ' + offsets[offsetId] + ' at index ' +
+						offsetId);
+				}
+			}
+		}
+
+		/**
+		 * Validate the sections of a compact DFA.
+		 *
+		 * @param compactDFA
+		 */
+		function validateSections (compactDFA) {
+
+			for (var finalStateId = 0; finalStateId < compactDFA.finalStates.length; ++ finalStateId) {
+				if ((compactDFA.finalStates[finalStateId] < 0) || (compactDFA.finalStates[finalStateId] >= compactDFA.statesCount)) {
+					throw new DFAFormatError('Final state at index ' + finalStateId + ' is out of range: ' +
+						compactDFA.finalStates[finalStateId] + ' is not in [0, ' + compactDFA.statesCount + ')');
+				}
+			}
+
+			validateOffsets(compactDFA.stateGroupOffsets, compactDFA.groupTargets.length, 'Group offsets');
+
+			validateOffsets(compactDFA.groupTransitionOffsets, compactDFA.transitionCharacters.length,
+				'Transition offsets');
+
+			for (var groupId = 0; groupId < compactDFA.groupTargets.length; ++ groupId) {
+				if ((compactDFA.groupTargets[groupId] < 0) || (compactDFA.groupTargets[groupId] >= compactDFA.statesCount)) {
+					throw new DFAFormatError('Target of group ' + groupId + ' is out of range: ' +
+						compactDFA.groupTargets[groupId] + ' is not in [0, ' + compactDFA.statesCount + ')');
+				}
+			}
+
+			for (var transitionId = 0; transitionId < compactDFA.transitionCharacters.length; ++ transitionId) {
+				if ((compactDFA.transitionCharacters[transitionId] < 0) ||
+					(compactDFA.transitionCharacters[transitionId] >= compactDFA.alphabet.length)) {
+					throw new DFAFormatError('Transition ' + transitionId + ' refers to alphabet index ' +
+						compactDFA.transitionCharacters[transitionId] + ' out of range [0, ' + compactDFA.alphabet.length + ')');
+				}
+			}
+
+			for (var state = 0; state < compactDFA.statesCount; ++ state) {
+				validateStateTransitions(compactDFA, state);
+			}
+		}
+
+		/**
+		 * Require the sorted transitions of a given state to be transitions of the state with strictly ascending
+		 * alphabet indices, which also rejects the duplicate characters of a state.
+		 *
+		 * @param compactDFA
+		 * @param state
+		 */
+		function validateStateTransitions (compactDFA, state) {
+
+			var transitionsStart = compactDFA.groupTransitionOffsets[compactDFA.stateGroupOffsets[state]];
+			var transitionsEnd = compactDFA.groupTransitionOffsets[compactDFA.stateGroupOffsets[state + 1]];
+
+			for (var sortedId = transitionsStart; sortedId < transitionsEnd; ++ sortedId) {
+				var transitionId = compactDFA.sortedTransitions[sortedId];
+
+				if ((transitionId < transitionsStart) || (transitionId >= transitionsEnd)) {
+					throw new DFAFormatError('Sorted transition ' + sortedId + ' is out of the range of state ' +
+						state + ': ' + transitionId + ' is not in [' + transitionsStart + ', ' + transitionsEnd + ')');
+				}
+
+				if ((sortedId > transitionsStart) && (compactDFA.transitionCharacters[transitionId] <=
+					compactDFA.transitionCharacters[compactDFA.sortedTransitions[sortedId - 1]])) {
+					throw new DFAFormatError('Sorted transitions of state ' + state + ' must have strictly ascending ' +
+						'alphabet indices, got ' + compactDFA.transitionCharacters[transitionId] + ' at ' + sortedId);
+				}
+			}
+		}
+
+		return CompactDFA;
+	}
+);
@@ -0,0 +1,33 @@
+/**
+ * Describes a malformed precompiled DFA.
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		/**
+		 * Describes an error raised while validating a precompiled DFA.
+		 *
+		 * @param message
+		 * @constructor
+		 */
+		function DFAFormatError (message) {
+
+			// Define the error name
+			this.name = 'DFAFormatError';
+
+			// Define the message
+			this.message = message;
+
+			// Define the stack trace
+			this.stack = (new Error(message)).stack;
+		}
+
+		DFAFormatError.prototype = Object.create(Error.prototype);
+
+		DFAFormatError.prototype.constructor = DFAFormatError;
+
+		return DFAFormatError;
+	}
+);
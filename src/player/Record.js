@@ -11,7 +11,7 @@ define(
 	function() {
 		'use strict';
 
-		function Record (previousRecord, targetState, characters, accepted) {
+		function Record (previousRecord, targetState, characters, accepted, provenance) {
 
 			// Define previous record pointer
 			this.previousRecord = previousRecord;
@@ -25,6 +25,9 @@ define(
 			// Define accepted indicator
 			this.accepted = accepted || false;
 
+			// Define the provenance of the target state
+			this.provenance = provenance || null;
+
 			// Define accepted characters counter
 			this.missingCount = 0;
 
@@ -160,6 +163,11 @@ define(
 			return this.targetState;
 		};
 
+		// Get the AST paths the target state originates from, or null if the DFA does not track them
+		Record.prototype.getProvenance = function () {
+			return this.provenance;
+		};
+
 		Record.prototype.getMissingCount = function () {
 			return this.missingCount;
 		};
@@ -9,37 +9,248 @@
 define(
 	[
 		'./Record',
+		'./CompactDFA',
+		'./serialization',
+		'./util/objectUtils',
 		'./util/arrayUtils'
 	],
 	function(
-		Record
+		Record,
+		CompactDFA,
+		serialization,
+		objectUtils
 	) {
 		'use strict';
 
 		/**
 		 * Describes a traverser to execute a DFA suggesting input expansion if required.
 		 *
+		 * Characters starting with Traverser.PREDICATE_PREFIX denote conjunctions of named predicates, e.g. '@text&!blank'.
+		 * An input item takes such a transition if it satisfies all of its literals and does not equal an exact
+		 * character of the same state. The predicate functions are given by predicate name. The exact characters
+		 * starting with the prefix are escaped by doubling it, so the input item '@id' takes the transition '@@id'.
+		 *
+		 * The records list the exact characters unescaped, and the predicate characters as the conjunctions of the
+		 * predicate names an input item has to satisfy, e.g. '@text' for the transition '@text&!blank'.
+		 *
+		 * Either a simple DFA or a compact DFA made by the compiler compact encoding can be executed. The compact one
+		 * is read directly from its typed arrays, including the precomputed transported transitions.
+		 *
+		 * If the simple DFA tracks the provenance of its states, every record gets the provenance of its target state.
+		 *
+		 * The DFA is validated first, so a malformed one is rejected with a DFAFormatError.
+		 *
 		 * @param biverseDFA
+		 * @param [predicates]
 		 * @constructor
 		 */
-		function Traverser (biverseDFA) {
+		function Traverser (biverseDFA, predicates) {
+
+			if (CompactDFA.isCompactDFA(biverseDFA)) {
+
+				// Define the compact DFA, which validates itself
+				this.compactDFA = (biverseDFA instanceof CompactDFA) ? biverseDFA : new CompactDFA(biverseDFA);
+
+				// Define an initial state
+				this.initialState = this.compactDFA.getInitialState();
+
+				// Define the states count
+				this.statesCount = this.compactDFA.getStatesCount();
+
+				// The conventional and transported transitions are read from the compact DFA
+				this.transitions = null;
+
+				this.transportedTransitions = null;
+
+				// Define the predicate transitions table, filled on demand
+				this.predicateTransitions = [];
 
-			// Define an initial state
-			this.initialState = biverseDFA.initialState;
+				// Define the final states
+				this.finalStates = this.compactDFA.getFinalStates();
 
-			// Define the conventional transitions table
-			this.transitions = biverseDFA.transitions;
+				// The compact DFAs do not track the provenance
+				this.provenance = null;
 
-			// Define the transported transitions table
-			this.transportedTransitions = transportTransitions(biverseDFA.transitions);
+			} else {
 
-			// Define the final states
-			this.finalStates = biverseDFA.finalStates;
+				// Reject malformed DFAs early
+				serialization.validateSimpleDFA(biverseDFA);
+
+				this.compactDFA = null;
+
+				// Define an initial state
+				this.initialState = biverseDFA.initialState;
+
+				// Define the states count
+				this.statesCount = biverseDFA.transitions.length;
+
+				// Define the conventional transitions table
+				this.transitions = biverseDFA.transitions;
+
+				// Define the transported transitions table
+				this.transportedTransitions = transportTransitions(biverseDFA.transitions);
+
+				// Define the predicate transitions table
+				this.predicateTransitions = extractPredicateTransitions(biverseDFA.transitions);
+
+				// Define the final states
+				this.finalStates = biverseDFA.finalStates;
+
+				// Define the provenance of each state, if tracked
+				this.provenance = biverseDFA.provenance || null;
+			}
+
+			// Define the predicate functions
+			this.predicates = predicates || {};
 
 			// Define the final records
 			this.finalRecords = [];
 		}
 
+		/**
+		 * Constant prefix of the characters which denote predicates rather than exact strings.
+		 *
+		 * @type {string}
+		 */
+		Traverser.PREDICATE_PREFIX = '@';
+
+		/**
+		 * Check whether a character denotes a predicate.
+		 *
+		 * @param character
+		 * @returns {boolean}
+		 */
+		function isPredicateCharacter (character) {
+			return (typeof character === 'string') && (character.charAt(0) === Traverser.PREDICATE_PREFIX) &&
+				(character.charAt(1) !== Traverser.PREDICATE_PREFIX);
+		}
+
+		/**
+		 * Get the transition character of an input item, doubling the predicate prefix it may start with.
+		 *
+		 * @param inputItem
+		 * @returns {*}
+		 */
+		function escapeInputItem (inputItem) {
+			return ((typeof inputItem === 'string') && (inputItem.charAt(0) === Traverser.PREDICATE_PREFIX)) ?
+				Traverser.PREDICATE_PREFIX + inputItem : inputItem;
+		}
+
+		/**
+		 * Get the characters of a record for the characters of the transitions it stands for.
+		 *
+		 * The exact characters are unescaped and the negated literals are left out of the predicate characters.
+		 *
+		 * @param transitionCharacters
+		 * @returns {Array.<String>}
+		 */
+		function getRecordCharacters (transitionCharacters) {
+
+			var recordCharacters = [];
+
+			for (var characterId = 0; characterId < transitionCharacters.length; ++ characterId) {
+				var character = transitionCharacters[characterId];
+
+				if (isPredicateCharacter(character)) {
+					character = Traverser.PREDICATE_PREFIX + character.substr(Traverser.PREDICATE_PREFIX.length)
+						.split('&').filter(function (literal) {
+							return literal.charAt(0) !== '!';
+						}).join('&');
+				} else if ((typeof character === 'string') && (character.charAt(0) === Traverser.PREDICATE_PREFIX)) {
+					character = character.substr(Traverser.PREDICATE_PREFIX.length);
+				}
+
+				// Several minterms may stand for the same predicates
+				if (recordCharacters.indexOf(character) === -1) {
+					recordCharacters.push(character);
+				}
+			}
+
+			return recordCharacters;
+		}
+
+		/**
+		 * Create a table of parsed predicate transitions out of a given transition table.
+		 *
+		 * @param transitions
+		 * @returns {Array}
+		 */
+		function extractPredicateTransitions (transitions) {
+
+			var predicateTransitions = [];
+
+			for (var stateNumber = 0; stateNumber < transitions.length; stateNumber ++) {
+				predicateTransitions[stateNumber] = parsePredicateTransitions(Object.keys(transitions[stateNumber]));
+			}
+
+			return predicateTransitions;
+		}
+
+		/**
+		 * Parse the predicate transitions out of the characters of a state.
+		 *
+		 * @param stateCharacters
+		 * @returns {Array}
+		 */
+		function parsePredicateTransitions (stateCharacters) {
+
+			var statePredicateTransitions = [];
+
+			for (var stateCharacterId = 0; stateCharacterId < stateCharacters.length; stateCharacterId ++) {
+				var stateCharacter = stateCharacters[stateCharacterId];
+
+				if (!isPredicateCharacter(stateCharacter)) {
+					continue;
+				}
+
+				// Split the conjunction into literals
+				var literals = stateCharacter.substr(Traverser.PREDICATE_PREFIX.length).split('&');
+
+				var parsedLiterals = [];
+
+				for (var literalId = 0; literalId < literals.length; ++ literalId) {
+					var negated = (literals[literalId].charAt(0) === '!');
+
+					parsedLiterals.push({
+						'name': negated ? literals[literalId].substr(1) : literals[literalId],
+						'negated': negated
+					});
+				}
+
+				statePredicateTransitions.push({
+					'character': stateCharacter,
+					'literals': parsedLiterals
+				});
+			}
+
+			return statePredicateTransitions;
+		}
+
+		/**
+		 * Check whether an input item satisfies all the literals of a predicate transition.
+		 *
+		 * @param traverser
+		 * @param literals
+		 * @param inputItem
+		 * @returns {boolean}
+		 */
+		function satisfiesLiterals (traverser, literals, inputItem) {
+
+			for (var literalId = 0; literalId < literals.length; ++ literalId) {
+				var predicate = traverser.predicates[literals[literalId].name];
+
+				if (typeof predicate !== 'function') {
+					throw new Error('Missing definition of predicate \'' + literals[literalId].name + '\'');
+				}
+
+				if (!!predicate(inputItem) === literals[literalId].negated) {
+					return false;
+				}
+			}
+
+			return true;
+		}
+
 		/**
 		 * Create transported transition table out of a given transition table.
 		 *
@@ -144,6 +355,17 @@ define(
 			return (-1 < traverser.finalStates.indexOf(state));
 		}
 
+		/**
+		 * Get the provenance of a given state, or null if the DFA does not track it.
+		 *
+		 * @param traverser
+		 * @param state
+		 * @returns {Array.<String>|null}
+		 */
+		function getStateProvenance (traverser, state) {
+			return traverser.provenance ? traverser.provenance[state] : null;
+		}
+
 		/**
 		 * Creates an initial record.
 		 *
@@ -163,7 +385,8 @@ define(
 				null,
 				traverser.initialState,
 				[''],
-				true
+				true,
+				getStateProvenance(traverser, traverser.initialState)
 			);
 		}
 
@@ -173,16 +396,18 @@ define(
 		 * @param previousRecord
 		 * @param character
 		 * @param targetState
+		 * @param provenance
 		 * @returns {Record}
 		 */
-		function createAcceptRecord (previousRecord, character, targetState) {
+		function createAcceptRecord (previousRecord, character, targetState, provenance) {
 
 			// Return the new accept record
 			return new Record (
 				previousRecord,
 				targetState,
 				[character],
-				true
+				true,
+				provenance
 			);
 		}
 
@@ -192,16 +417,18 @@ define(
 		 * @param previousRecord
 		 * @param characters
 		 * @param targetState
+		 * @param provenance
 		 * @returns {Record}
 		 */
-		function createMissingRecord (previousRecord, characters, targetState) {
+		function createMissingRecord (previousRecord, characters, targetState, provenance) {
 
 			// Return the new accepted record
 			return new Record (
 				previousRecord,
 				targetState,
-				characters,
-				false
+				getRecordCharacters(characters),
+				false,
+				provenance
 			);
 
 		}
@@ -213,9 +440,10 @@ define(
 		 * @param characters
 		 * @param excludedCharacter
 		 * @param targetState
+		 * @param provenance
 		 * @returns {Record}
 		 */
-		function createPartiallyMissingRecord (previousRecord, characters, excludedCharacter, targetState) {
+		function createPartiallyMissingRecord (previousRecord, characters, excludedCharacter, targetState, provenance) {
 
 			// Save the next state index in the current transported transition
 			var excludedCharacterIndex = characters.indexOf(excludedCharacter);
@@ -230,7 +458,8 @@ define(
 			return createMissingRecord(
 				previousRecord,
 				partialCharacters,
-				targetState
+				targetState,
+				provenance
 			);
 
 		}
@@ -243,20 +472,103 @@ define(
 		 * @returns {*}
 		 */
 		function getStateTransportedTransitions (traverser, currentState) {
+
+			if (traverser.compactDFA !== null) {
+				return traverser.compactDFA.getTransportedTransitions(currentState);
+			}
+
 			return traverser.transportedTransitions[currentState];
 		}
 
 		/**
-		 * Get the next state for a given state and input.
+		 * Get the parsed predicate transitions for a state.
+		 *
+		 * @param traverser
+		 * @param currentState
+		 * @returns {Array}
+		 */
+		function getStatePredicateTransitions (traverser, currentState) {
+
+			// The predicate transitions of a compact DFA are parsed on demand
+			if (traverser.predicateTransitions[currentState] === undefined) {
+				traverser.predicateTransitions[currentState] =
+					parsePredicateTransitions(traverser.compactDFA.getStateCharacters(currentState));
+			}
+
+			return traverser.predicateTransitions[currentState];
+		}
+
+		/**
+		 * Get the target state of the exact transition of a state on a given character.
+		 *
+		 * @param traverser
+		 * @param currentState
+		 * @param character
+		 * @returns {number|undefined}
+		 */
+		function getExactNextState (traverser, currentState, character) {
+
+			if (traverser.compactDFA !== null) {
+				return traverser.compactDFA.getNextState(currentState, character);
+			}
+
+			if (!objectUtils.hasOwnProperty(traverser.transitions[currentState], character)) {
+				return undefined;
+			}
+
+			return traverser.transitions[currentState][character];
+		}
+
+		/**
+		 * Get the character of the transition taken by a given input from a given state.
 		 *
 		 * @param traverser
 		 * @param currentState
 		 * @param inputItem
+		 * @returns {string|undefined}
+		 */
+		function getMatchingCharacter (traverser, currentState, inputItem) {
+
+			// The end of input does not match anything
+			if (inputItem === null) {
+				return undefined;
+			}
+
+			var exactCharacter = escapeInputItem(inputItem);
+
+			// Exact characters take priority over the predicates
+			if (getExactNextState(traverser, currentState, exactCharacter) !== undefined) {
+				return exactCharacter;
+			}
+
+			var statePredicateTransitions = getStatePredicateTransitions(traverser, currentState);
+
+			for (var predicateTransitionId = 0; predicateTransitionId < statePredicateTransitions.length; ++ predicateTransitionId) {
+				var predicateTransition = statePredicateTransitions[predicateTransitionId];
+
+				if (satisfiesLiterals(traverser, predicateTransition.literals, inputItem)) {
+					return predicateTransition.character;
+				}
+			}
+
+			return undefined;
+		}
+
+		/**
+		 * Get the next state for a given state and transition character.
+		 *
+		 * @param traverser
+		 * @param currentState
+		 * @param character
 		 * @returns {*}
 		 */
-		function getNextState (traverser, currentState, inputItem) {
+		function getNextState (traverser, currentState, character) {
 
-			return traverser.transitions[currentState][inputItem];
+			if (character === undefined) {
+				return undefined;
+			}
+
+			return getExactNextState(traverser, currentState, character);
 		}
 
 		/**
@@ -306,11 +618,27 @@ define(
 		 */
 		function insertNewTailRecord (tailRecords, newTailRecord) {
 
+			// Leave out the extensions of the tail records of the same state, which have nothing more to offer
+			for (var tailRecordId = 0; tailRecordId < tailRecords.length; ++ tailRecordId) {
+				if ((tailRecords[tailRecordId].getTargetState() === newTailRecord.getTargetState()) &&
+					newTailRecord.isExtensionOf(tailRecords[tailRecordId])) {
+					return;
+				}
+			}
+
 			var insertionIndex = findInsertionIndex(tailRecords, newTailRecord.getMissingCount());
 
 			tailRecords.splice(insertionIndex, 0, newTailRecord);
 		}
 
+		/**
+		 * Add a new missing record to the records of a generation, unless it loops or extends a record of its state.
+		 *
+		 * @param records
+		 * @param recordsIndex
+		 * @param newRecord
+		 * @returns {boolean} Whether the record is added.
+		 */
 		function insertNewRecord (records, recordsIndex, newRecord) {
 
 			var isAlternative = true;
@@ -331,7 +659,29 @@ define(
 			if ((isAlternative) && (!newRecord.hasLoops())) {
 				records.push(newRecord);
 				recordsIndexLine.push(newRecord);
+
+				return true;
+			}
+
+			return false;
+		}
+
+		/**
+		 * Check whether a record is an extension of any of given records.
+		 *
+		 * @param record
+		 * @param baseRecords
+		 * @returns {boolean}
+		 */
+		function isExtensionOfAny (record, baseRecords) {
+
+			for (var baseRecordId = 0; baseRecordId < baseRecords.length; ++ baseRecordId) {
+				if (record.isExtensionOf(baseRecords[baseRecordId])) {
+					return true;
+				}
 			}
+
+			return false;
 		}
 
 		/**
@@ -350,10 +700,15 @@ define(
 			// Create the array for this generation's records
 			var records = tailRecords.slice();
 
+			// Save the tail record id of every record, and the final records saved for every tail record
+			var recordTailIds = [];
+
+			var tailFinalRecords = [];
+
 			// Create the records index
 			var recordsIndex = [];
 
-			for (var currentRecordsIndexLine = 0; currentRecordsIndexLine < traverser.transitions.length; ++ currentRecordsIndexLine) {
+			for (var currentRecordsIndexLine = 0; currentRecordsIndexLine < traverser.statesCount; ++ currentRecordsIndexLine) {
 				recordsIndex[currentRecordsIndexLine] = [];
 			}
 
@@ -362,6 +717,10 @@ define(
 				var currentTailRecord = tailRecords[currentTailRecordId];
 
 				recordsIndex[currentTailRecord.getTargetState()].push(currentTailRecord);
+
+				recordTailIds.push(currentTailRecordId);
+
+				tailFinalRecords.push([]);
 			}
 
 			// Create the counter to iterate the missing tails array
@@ -373,28 +732,33 @@ define(
 
 				// If a record is accepted and the input item is null, then the record is final if it ends up in a final state
 				if ((inputItem === null) && isStateFinal(traverser, currentRecord.getTargetState())) {
-					saveFinalRecord(traverser, currentRecord);
+
+					// Only save the first of the final records extending each other, as they are found with the fewest
+					// missing records first
+					if (!isExtensionOfAny(currentRecord, tailFinalRecords[recordTailIds[currentRecordId]])) {
+						saveFinalRecord(traverser, currentRecord);
+
+						tailFinalRecords[recordTailIds[currentRecordId]].push(currentRecord);
+					}
 
 				} else {
 
 					// Save the current state number
 					var currentState = currentRecord.getTargetState();
 
-					// Get the next state for the record
-					var nextState = getNextState(traverser, currentState, inputItem);
+					// Get the character of the transition matching the input item
+					var matchingCharacter = getMatchingCharacter(traverser, currentState, inputItem);
 
-					// Save transported transitions for current state
-					var currentStateTransportedTransitions = getStateTransportedTransitions(traverser, currentState);
-
-					// Save the next state as a string index
-					var nextStateAsString = nextState + '';
+					// Get the next state for the record
+					var nextState = getNextState(traverser, currentState, matchingCharacter);
 
 					// If the next state exists
 					if (nextState !== undefined) {
 						// Add a new accept record for the accepted transition
 
 						// Create a new accept record
-						var newAcceptRecord = createAcceptRecord(currentRecord, inputItem, nextState);
+						var newAcceptRecord = createAcceptRecord(currentRecord, inputItem, nextState,
+							getStateProvenance(traverser, nextState));
 
 						// Add the new accept record to the tail derivatives
 						insertNewTailRecord(nextTailRecords, newAcceptRecord);
@@ -402,36 +766,41 @@ define(
 						// Add a new missing record for a missing characters from accepted transported transition
 
 						// Save the transported transition to which current input item belongs
-						var transportedTransitions = currentStateTransportedTransitions[nextStateAsString];
+						var transportedTransitions =
+							getStateTransportedTransitions(traverser, currentState)[nextState + ''];
 
 						// If there are other possibilities to get to a required state except for the saved one
 						if (transportedTransitions.length > 1) {
 
 							// Create accepted record for transported transition except for the accepted transition
 							var newPartiallyMissingRecord = createPartiallyMissingRecord(currentRecord,
-								transportedTransitions, inputItem, nextState);
+								transportedTransitions, matchingCharacter, nextState, getStateProvenance(traverser, nextState));
 
 							// Add the new partially accepted record to the missing records array, only check for loops
-							insertNewRecord(records, recordsIndex, newPartiallyMissingRecord);
+							if (insertNewRecord(records, recordsIndex, newPartiallyMissingRecord)) {
+								recordTailIds.push(recordTailIds[currentRecordId]);
+							}
 						}
-					}
 
-					// Add the new missing records for all the other missing transitions
+					} else {
 
-					// Save transported transition keys
-					var transportedTransitionsKeys = Object.keys(currentStateTransportedTransitions);
+						// Add the new missing records for all the missing transitions, only to the records which can
+						// not take the input item, so that the completions suggest no more occurrences than required
 
-					// Save transported transitions amount
-					var transportedTransitionsCount = transportedTransitionsKeys.length;
+						// Save transported transitions for current state
+						var currentStateTransportedTransitions = getStateTransportedTransitions(traverser, currentState);
 
-					// Iterate over transported transitions
-					for (var transportedTransitionId = 0; transportedTransitionId < transportedTransitionsCount; ++transportedTransitionId) {
+						// Save transported transition keys
+						var transportedTransitionsKeys = Object.keys(currentStateTransportedTransitions);
 
-						// Save current transported transition key
-						var currentTransportedTransitionKey = transportedTransitionsKeys[transportedTransitionId];
+						// Save transported transitions amount
+						var transportedTransitionsCount = transportedTransitionsKeys.length;
 
-						// If we are not dealing with a previously processed transported transition
-						if (currentTransportedTransitionKey !== nextStateAsString) {
+						// Iterate over transported transitions
+						for (var transportedTransitionId = 0; transportedTransitionId < transportedTransitionsCount; ++transportedTransitionId) {
+
+							// Save current transported transition key
+							var currentTransportedTransitionKey = transportedTransitionsKeys[transportedTransitionId];
 
 							// Save reference to the current transported transition
 							var currentTransportedTransition = currentStateTransportedTransitions[currentTransportedTransitionKey];
@@ -440,10 +809,13 @@ define(
 							var currentTransportedTransitionState = parseInt(currentTransportedTransitionKey);
 
 							// Create accepted record for transported transition
-							var nextMissingRecord = createMissingRecord(currentRecord, currentTransportedTransition, currentTransportedTransitionState);
+							var nextMissingRecord = createMissingRecord(currentRecord, currentTransportedTransition,
+								currentTransportedTransitionState, getStateProvenance(traverser, currentTransportedTransitionState));
 
 							// Add the new partially accepted record to the missing records array, only check for loops
-							insertNewRecord(records, recordsIndex, nextMissingRecord);
+							if (insertNewRecord(records, recordsIndex, nextMissingRecord)) {
+								recordTailIds.push(recordTailIds[currentRecordId]);
+							}
 						}
 					}
 				}
@@ -462,6 +834,10 @@ define(
 		/**
 		 * Execute the traverser to get all the possible unique minimal input completions without loop repetitions.
 		 *
+		 * The completions are kept minimal while searching: the missing records are only added to the records which
+		 * can not take the input item, and a record only adding missing records to an earlier one of the same state,
+		 * or to an earlier final one, is dropped. E.g. a{2,5}b gets exactly two missing a before the input b.
+		 *
 		 * @param input
 		 * @returns {Array}
 		 */
@@ -8,15 +8,29 @@
  */
 define(
 	[
-		'./Traverser'
+		'./Traverser',
+		'./CompactDFA',
+		'./DFAFormatError',
+		'./serialization'
 	],
 	function(
-		Traverser
+		Traverser,
+		CompactDFA,
+		DFAFormatError,
+		serialization
 	) {
 		'use strict';
 
 		return {
-			Traverser: Traverser
+			Traverser: Traverser,
+
+			CompactDFA: CompactDFA,
+
+			DFAFormatError: DFAFormatError,
+
+			deserialize: serialization.deserialize,
+
+			validateSimpleDFA: serialization.validateSimpleDFA
 		};
 	}
 );
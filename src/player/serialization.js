@@ -0,0 +1,313 @@
+/**
+ * Validation and deserialization of the precompiled DFAs made by the compiler serialization.
+ *
+ * @module whynotPremadePlayer
+ */
+define(
+	[
+		'./DFAFormatError',
+		'./util/checksum',
+		'./util/objectUtils'
+	],
+	function(
+		DFAFormatError,
+		checksum,
+		objectUtils
+	) {
+		'use strict';
+
+		/**
+		 * Constant naming the precompiled DFA format.
+		 *
+		 * @type {string}
+		 */
+		var FORMAT_NAME = 'whynot-premade-dfa';
+
+		/**
+		 * Constant describing the latest supported version of the precompiled DFA format.
+		 *
+		 * @type {number}
+		 */
+		var FORMAT_VERSION = 1;
+
+		/**
+		 * Check whether a value is a non-negative integer.
+		 *
+		 * @param value
+		 * @returns {boolean}
+		 */
+		function isIndex (value) {
+			return (typeof value === 'number') && (value >= 0) && (value % 1 === 0);
+		}
+
+		/**
+		 * Require a state number to be in range of the states count.
+		 *
+		 * @param state
+		 * @param statesCount
+		 * @param description
+		 */
+		function validateState (state, statesCount, description) {
+			if (!isIndex(state) || (state >= statesCount)) {
+				throw new DFAFormatError(description + ' is out of range: ' + JSON.stringify(state) + ' is not in [0, ' +
+					statesCount + ')');
+			}
+		}
+
+		/**
+		 * Validate the initial and final states of a DFA.
+		 *
+		 * @param dfa
+		 * @param statesCount
+		 */
+		function validateEnds (dfa, statesCount) {
+
+			if (dfa.initialState === undefined) {
+				throw new DFAFormatError('Initial state is missing');
+			}
+
+			validateState(dfa.initialState, statesCount, 'Initial state');
+
+			if (!(dfa.finalStates instanceof Array)) {
+				throw new DFAFormatError('Final states must be an array');
+			}
+
+			for (var finalStateId = 0; finalStateId < dfa.finalStates.length; ++ finalStateId) {
+				validateState(dfa.finalStates[finalStateId], statesCount, 'Final state at index ' + finalStateId);
+			}
+		}
+
+		/**
+		 * Validate the optional provenance of a DFA, i.e. an array of AST path strings for every state.
+		 *
+		 * @param dfa
+		 * @param statesCount
+		 */
+		function validateProvenance (dfa, statesCount) {
+
+			if (dfa.provenance === undefined) {
+				return;
+			}
+
+			if (!(dfa.provenance instanceof Array) || (dfa.provenance.length !== statesCount)) {
+				throw new DFAFormatError('Provenance must be an array with an entry per state');
+			}
+
+			for (var state = 0; state < statesCount; ++ state) {
+				var stateProvenance = dfa.provenance[state];
+
+				if (!(stateProvenance instanceof Array) || !stateProvenance.every(function (label) {
+					return typeof label === 'string';
+				})) {
+					throw new DFAFormatError('Provenance of state ' + state + ' must be an array of strings');
+				}
+			}
+		}
+
+		/**
+		 * Validate a simple DFA, throwing a DFAFormatError describing the first problem found.
+		 *
+		 * @param simpleDFA
+		 */
+		function validateSimpleDFA (simpleDFA) {
+
+			if ((simpleDFA === null) || (typeof simpleDFA !== 'object')) {
+				throw new DFAFormatError('DFA must be an object');
+			}
+
+			if (!(simpleDFA.transitions instanceof Array) || (simpleDFA.transitions.length === 0)) {
+				throw new DFAFormatError('Transitions must be a non-empty array with an entry per state');
+			}
+
+			var statesCount = simpleDFA.transitions.length;
+
+			for (var state = 0; state < statesCount; ++ state) {
+				var stateTransitions = simpleDFA.transitions[state];
+
+				if ((stateTransitions === null) || (typeof stateTransitions !== 'object')) {
+					throw new DFAFormatError('Transitions of state ' + state + ' must be an object');
+				}
+
+				var stateCharacters = Object.keys(stateTransitions);
+
+				for (var characterId = 0; characterId < stateCharacters.length; ++ characterId) {
+					validateState(stateTransitions[stateCharacters[characterId]], statesCount,
+						'Target of transition ' + JSON.stringify(stateCharacters[characterId]) + ' from state ' + state);
+				}
+			}
+
+			validateEnds(simpleDFA, statesCount);
+
+			validateProvenance(simpleDFA, statesCount);
+		}
+
+		/**
+		 * Validate a serialized DFA object, throwing a DFAFormatError describing the first problem found.
+		 *
+		 * @param serializedDFA
+		 */
+		function validateSerializedDFA (serializedDFA) {
+
+			if ((serializedDFA === null) || (typeof serializedDFA !== 'object')) {
+				throw new DFAFormatError('Serialized DFA must be an object');
+			}
+
+			if (serializedDFA.format !== FORMAT_NAME) {
+				throw new DFAFormatError('Unknown format ' + JSON.stringify(serializedDFA.format) + ', expected ' +
+					JSON.stringify(FORMAT_NAME));
+			}
+
+			if (!isIndex(serializedDFA.version) || (serializedDFA.version < 1) || (serializedDFA.version > FORMAT_VERSION)) {
+				throw new DFAFormatError('Unsupported format version ' + JSON.stringify(serializedDFA.version) +
+					', the latest supported one is ' + FORMAT_VERSION);
+			}
+
+			if (!(serializedDFA.alphabet instanceof Array)) {
+				throw new DFAFormatError('Alphabet must be an array');
+			}
+
+			var seen = Object.create(null);
+
+			for (var alphabetIndex = 0; alphabetIndex < serializedDFA.alphabet.length; ++ alphabetIndex) {
+				var character = serializedDFA.alphabet[alphabetIndex];
+
+				if ((typeof character !== 'string') || objectUtils.hasOwnProperty(seen, character)) {
+					throw new DFAFormatError('Alphabet entry at index ' + alphabetIndex + ' must be a unique string');
+				}
+
+				seen[character] = true;
+			}
+
+			if (!(serializedDFA.transitions instanceof Array) || (serializedDFA.transitions.length === 0)) {
+				throw new DFAFormatError('Transitions must be a non-empty array with an entry per state');
+			}
+
+			var statesCount = serializedDFA.transitions.length;
+
+			for (var state = 0; state < statesCount; ++ state) {
+				var stateTransitions = serializedDFA.transitions[state];
+
+				if (!(stateTransitions instanceof Array)) {
+					throw new DFAFormatError('Transitions of state ' + state + ' must be an array');
+				}
+
+				var usedIndices = {};
+
+				for (var transitionId = 0; transitionId < stateTransitions.length; ++ transitionId) {
+					var transition = stateTransitions[transitionId];
+
+					var description = 'Transition ' + transitionId + ' of state ' + state;
+
+					if (!(transition instanceof Array) || (transition.length !== 2)) {
+						throw new DFAFormatError(description + ' must be an [alphabet index, target state] pair');
+					}
+
+					if (!isIndex(transition[0]) || (transition[0] >= serializedDFA.alphabet.length)) {
+						throw new DFAFormatError(description + ' refers to alphabet index ' + JSON.stringify(transition[0]) +
+							' out of range [0, ' + serializedDFA.alphabet.length + ')');
+					}
+
+					if (usedIndices[transition[0]]) {
+						throw new DFAFormatError(description + ' repeats the character ' +
+							JSON.stringify(serializedDFA.alphabet[transition[0]]));
+					}
+
+					usedIndices[transition[0]] = true;
+
+					validateState(transition[1], statesCount, 'Target of ' + description.toLowerCase());
+				}
+			}
+
+			validateEnds(serializedDFA, statesCount);
+
+			validateProvenance(serializedDFA, statesCount);
+
+			if ((serializedDFA.checksum !== undefined) &&
+				(serializedDFA.checksum !== checksum.fnv1a(getChecksumPayload(serializedDFA)))) {
+				throw new DFAFormatError('Checksum mismatch, the DFA is corrupted');
+			}
+		}
+
+		/**
+		 * Get the string covered by the checksum of a serialized DFA.
+		 *
+		 * @param serializedDFA
+		 * @returns {string}
+		 */
+		function getChecksumPayload (serializedDFA) {
+
+			var payload = [
+				serializedDFA.format,
+				serializedDFA.version,
+				serializedDFA.alphabet,
+				serializedDFA.initialState,
+				serializedDFA.finalStates,
+				serializedDFA.transitions
+			];
+
+			// The optional provenance is covered only when present
+			if (serializedDFA.provenance !== undefined) {
+				payload.push(serializedDFA.provenance);
+			}
+
+			return JSON.stringify(payload);
+		}
+
+		return {
+			FORMAT_NAME: FORMAT_NAME,
+
+			FORMAT_VERSION: FORMAT_VERSION,
+
+			validateSimpleDFA: validateSimpleDFA,
+
+			validateSerializedDFA: validateSerializedDFA,
+
+			/**
+			 * Deserialize a precompiled DFA into the simple DFA shape consumed by the Traverser.
+			 *
+			 * @param json A JSON string or an already parsed object.
+			 * @returns {{initialState: number, transitions: Array, finalStates: Array.<Number>}}
+			 */
+			deserialize: function (json) {
+
+				var serializedDFA = json;
+
+				if (typeof json === 'string') {
+					try {
+						serializedDFA = JSON.parse(json);
+					} catch (error) {
+						throw new DFAFormatError('Serialized DFA is not valid JSON: ' + error.message);
+					}
+				}
+
+				validateSerializedDFA(serializedDFA);
+
+				var transitions = [];
+
+				for (var state = 0; state < serializedDFA.transitions.length; ++ state) {
+					transitions[state] = Object.create(null);
+
+					for (var transitionId = 0; transitionId < serializedDFA.transitions[state].length; ++ transitionId) {
+						var transition = serializedDFA.transitions[state][transitionId];
+
+						transitions[state][serializedDFA.alphabet[transition[0]]] = transition[1];
+					}
+				}
+
+				var simpleDFA = {
+					'initialState': serializedDFA.initialState,
+					'transitions': transitions,
+					'finalStates': serializedDFA.finalStates.slice()
+				};
+
+				if (serializedDFA.provenance !== undefined) {
+					simpleDFA.provenance = serializedDFA.provenance.map(function (stateProvenance) {
+						return stateProvenance.slice();
+					});
+				}
+
+				return simpleDFA;
+			}
+		};
+	}
+);
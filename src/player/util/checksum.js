@@ -0,0 +1,35 @@
+/**
+ * Checksum helpers shared by the serialization of precompiled DFAs.
+ *
+ * @module whynotPremadePlayer
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		return {
+
+			/**
+			 * Compute the 32-bit FNV-1a hash of a string as a prefixed hexadecimal string, e.g. 'fnv1a:811c9dc5'.
+			 *
+			 * @param string
+			 * @returns {string}
+			 */
+			fnv1a: function (string) {
+
+				// Start with the FNV offset basis
+				var hash = 0x811c9dc5;
+
+				for (var characterId = 0; characterId < string.length; ++ characterId) {
+					hash ^= string.charCodeAt(characterId);
+
+					// Multiply by the FNV prime keeping 32 bits
+					hash = (hash + (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24)) | 0;
+				}
+
+				return 'fnv1a:' + ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+			}
+		};
+	}
+);
@@ -0,0 +1,25 @@
+/**
+ * Object helpers for the lookups keyed by arbitrary strings, e.g. by characters.
+ *
+ * @module whynotPremadePlayer
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		return {
+
+			/**
+			 * Check whether an object has an own property, even if the object has a property named 'hasOwnProperty'.
+			 *
+			 * @param object
+			 * @param key
+			 * @returns {boolean}
+			 */
+			hasOwnProperty: function (object, key) {
+				return Object.prototype.hasOwnProperty.call(object, key);
+			}
+		};
+	}
+);
@@ -0,0 +1,209 @@
+/**
+ * Tests of the command-line precompiler, run in Node by the test-cli script rather than in the browser.
+ */
+'use strict';
+
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var chai = require('chai');
+
+/**
+ * Constant path of the command-line precompiler.
+ *
+ * @type {string}
+ */
+var BIN_PATH = path.join(__dirname, '..', '..', 'bin', 'whynot-premade.js');
+
+describe('whynot-premade', function() {
+	var directory;
+
+	/**
+	 * Get the path of a file in the temporary directory of a test.
+	 *
+	 * @param name
+	 * @returns {string}
+	 */
+	function getPath (name) {
+		return path.join(directory, name);
+	}
+
+	/**
+	 * Write a file to the temporary directory of a test.
+	 *
+	 * @param name
+	 * @param text
+	 * @returns {string} The path of the file.
+	 */
+	function writeFile (name, text) {
+		fs.writeFileSync(getPath(name), text);
+
+		return getPath(name);
+	}
+
+	/**
+	 * Run the precompiler with given arguments.
+	 *
+	 * @param args
+	 * @returns {{status: number, stdout: string, stderr: string}}
+	 */
+	function run (args) {
+		var result = childProcess.spawnSync(process.execPath, [BIN_PATH].concat(args), {
+			'encoding': 'utf8'
+		});
+
+		return {
+			'status': result.status,
+			'stdout': result.stdout,
+			'stderr': result.stderr
+		};
+	}
+
+	beforeEach(function () {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'whynot-premade-'));
+	});
+
+	afterEach(function () {
+		fs.readdirSync(directory).forEach(function (name) {
+			fs.unlinkSync(getPath(name));
+		});
+
+		fs.rmdirSync(directory);
+	});
+
+	describe('arguments', function() {
+		it('prints the usage on request', function () {
+			var result = run(['--help']);
+
+			chai.expect(result.status).to.equal(0);
+			chai.expect(result.stdout).to.match(/^Usage: whynot-premade compile <input> \[options\]\n/);
+			chai.expect(result.stderr).to.equal('');
+		});
+
+		it('exits with 2 and the usage for an invalid command line', function () {
+			var inputPath = writeFile('schema.txt', 'ab');
+
+			[
+				[[], 'Missing command'],
+				[['build', inputPath], 'Unknown command build'],
+				[['compile'], 'Command compile requires exactly one input file'],
+				[['compile', inputPath, '--verbose'], 'Unknown option --verbose'],
+				[['compile', inputPath, '-o'], 'Option -o requires a value'],
+				[['compile', inputPath, '--format', 'xml'], 'Unknown format xml']
+			].forEach(function (testCase) {
+				var result = run(testCase[0]);
+
+				chai.expect(result.status, testCase[1]).to.equal(2);
+				chai.expect(result.stdout).to.equal('');
+				chai.expect(result.stderr).to.equal('whynot-premade: ' + testCase[1] + '\n\n' +
+					run(['--help']).stdout);
+			});
+		});
+	});
+
+	describe('compile', function() {
+		it('writes the DFA to the standard output and the statistics to the standard error', function () {
+			var result = run(['compile', writeFile('schema.txt', 'ab|ac\n')]);
+
+			chai.expect(result.status).to.equal(0);
+			chai.expect(JSON.parse(result.stdout)).to.deep.equal({
+				'format': 'whynot-premade-dfa',
+				'version': 1,
+				'alphabet': ['a', 'b', 'c'],
+				'initialState': 0,
+				'finalStates': [2],
+				'transitions': [[[0, 1]], [[1, 2], [2, 2]], []],
+				'checksum': 'fnv1a:ecaa6a0e'
+			});
+			chai.expect(result.stderr).to.match(new RegExp('^Compiled .*schema\\.txt in [0-9.]+ ms: ' +
+				'3 states, 3 transitions, 0 states pruned, content hash fnv1a128:[0-9a-f]{32}\n$'));
+		});
+
+		it('writes the DFA to a file and the statistics to the standard output', function () {
+			var outputPath = getPath('schema.dfa.json');
+
+			var result = run(['compile', writeFile('schema.json', '["seq", ["test", "a"], ["test", "b"]]'),
+				'-o', outputPath, '--provenance', '--no-checksum']);
+
+			chai.expect(result.status).to.equal(0);
+			chai.expect(result.stdout).to.match(/^Compiled .*schema\.json in [0-9.]+ ms: 3 states, 2 transitions/);
+			chai.expect(result.stderr).to.equal('');
+
+			var serializedDFA = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+			chai.expect(serializedDFA.provenance).to.deep.equal([['/1'], ['/1', '/2'], ['/2']]);
+			chai.expect(serializedDFA).to.not.have.property('checksum');
+		});
+
+		it('exits with 1 for an invalid input', function () {
+			var result = run(['compile', writeFile('schema.txt', 'a)')]);
+
+			chai.expect(result.status).to.equal(1);
+			chai.expect(result.stdout).to.equal('');
+			chai.expect(result.stderr)
+				.to.match(/^whynot-premade: .*schema\.txt: Unexpected '\)' at line 1, column 2\n$/);
+
+			result = run(['compile', writeFile('bounds.txt', 'a{1,999999999}')]);
+
+			chai.expect(result.status).to.equal(1);
+			chai.expect(result.stdout).to.equal('');
+			chai.expect(result.stderr).to.match(new RegExp('^whynot-premade: .*bounds\\.txt: ' +
+				'Repetition bound 999999999 exceeds 1000 at line 1, column 5\n$'));
+
+			result = run(['compile', getPath('missing.txt')]);
+
+			chai.expect(result.status).to.equal(1);
+			chai.expect(result.stderr).to.match(/^whynot-premade: Can not read .*missing\.txt: /);
+		});
+
+		it('reuses and validates the compile cache', function () {
+			var inputPath = writeFile('schema.txt', '(ab)*(ab)*');
+
+			var cachePath = getPath('schema.cache.json');
+
+			chai.expect(run(['compile', inputPath, '--cache', cachePath]).status).to.equal(0);
+
+			var result = run(['compile', inputPath, '--cache', cachePath]);
+
+			chai.expect(result.status).to.equal(0);
+			chai.expect(result.stderr).to.match(/, [1-9][0-9]* cache hits, /);
+
+			var serializedCache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+
+			var hash = Object.keys(serializedCache.entries)[0];
+
+			serializedCache.entries[hash][0][1].finalStates = [42];
+
+			fs.writeFileSync(cachePath, JSON.stringify(serializedCache));
+
+			result = run(['compile', inputPath, '--cache', cachePath]);
+
+			chai.expect(result.status).to.equal(1);
+			chai.expect(result.stdout).to.equal('');
+			chai.expect(result.stderr).to.match(new RegExp('^whynot-premade: Can not read the cache .*: ' +
+				'Compile cache entry 0 of hash [\\w:]+ has invalid final states\n$'));
+		});
+
+		it('lints the content models whether their subtrees are cached or not', function () {
+			var inputPath = writeFile('schema.txt', '(a|a)b(a|a)b');
+
+			var cachePath = getPath('schema.cache.json');
+
+			chai.expect(run(['compile', inputPath, '--cache', cachePath]).status).to.equal(0);
+
+			[['--lint'], ['--lint', '--cache', cachePath]].forEach(function (options) {
+				var result = run(['compile', inputPath].concat(options));
+
+				chai.expect(result.status).to.equal(1);
+				chai.expect(result.stdout).to.equal('');
+				chai.expect(result.stderr).to.match(/^whynot-premade: .*schema\.txt: Ambiguous content model, /);
+			});
+
+			var result = run(['compile', writeFile('nondeterministic.txt', 'ab|ac'), '--lint']);
+
+			chai.expect(result.status).to.equal(0);
+			chai.expect(result.stderr).to.match(/^whynot-premade: warning: .*nondeterministic\.txt: Nondeterministic /);
+		});
+	});
+});
@@ -0,0 +1,192 @@
+define(
+	[
+		'whynot-premade-compiler',
+		'whynot-premade-player',
+		'util/testUtils'
+	],
+	function(
+		whynotPremadeCompiler,
+		whynotPremadePlayer,
+		testUtils
+	) {
+		'use strict';
+
+		var Automaton = whynotPremadeCompiler.Automaton;
+		var ASTCompiler = whynotPremadeCompiler.ASTCompiler;
+		var ASTCompilationError = whynotPremadeCompiler.ASTCompilationError;
+		var compileAST = whynotPremadeCompiler.compileAST;
+		var compileSimpleDFA = whynotPremadeCompiler.compileSimpleDFA;
+
+		var Traverser = whynotPremadePlayer.Traverser;
+
+		var createInput = testUtils.createInput;
+
+		describe('ASTCompiler', function() {
+			it('compiles the built-in node kinds', function () {
+				// (a|b)*c
+				var simpleDFA = compileSimpleDFA(compileAST, ['seq',
+					['repetition', ['choice', ['test', 'a'], ['test', 'b']]],
+					['test', 'c']
+				]);
+
+				chai.expect(simpleDFA).to.deep.equal({
+					'initialState': 0,
+					'transitions': [{'a': 0, 'b': 0, 'c': 1}, {}],
+					'finalStates': [1],
+					'provenance': [['/1', '/1/1', '/1/1/1', '/1/1/2', '/2'], ['/2']]
+				});
+			});
+
+			it('tracks the AST paths the DFA states originate from', function () {
+				// x(ab|cd)
+				var simpleDFA = compileSimpleDFA(compileAST, ['seq',
+					['test', 'x'],
+					['choice',
+						['seq', ['test', 'a'], ['test', 'b']],
+						['seq', ['test', 'c'], ['test', 'd']]
+					]
+				]);
+
+				// Inside the second choice after reading xc
+				var state = simpleDFA.transitions[simpleDFA.transitions[0]['x']]['c'];
+
+				chai.expect(simpleDFA.provenance[state]).to.deep.equal(['/2/2/1', '/2/2/2']);
+
+				chai.expect(simpleDFA.provenance[simpleDFA.initialState]).to.deep.equal(['/1']);
+			});
+
+			it('exposes the provenance on the records of the Traverser', function () {
+				// x(ab|cd)
+				var simpleDFA = compileSimpleDFA(compileAST, ['seq',
+					['test', 'x'],
+					['choice',
+						['seq', ['test', 'a'], ['test', 'b']],
+						['seq', ['test', 'c'], ['test', 'd']]
+					]
+				]);
+
+				var finalRecords = new Traverser(simpleDFA).execute(createInput(['x', 'c']));
+
+				chai.expect(finalRecords.length).to.equal(1);
+
+				// The missing d ends the second choice and the whole choice
+				chai.expect(finalRecords[0].getCharacters()).to.deep.equal(['d']);
+				chai.expect(finalRecords[0].getProvenance()).to.deep.equal(['/2', '/2/1/2', '/2/2/2']);
+
+				// The accepted c leads inside the second choice
+				chai.expect(finalRecords[0].getPreviousRecord().getProvenance()).to.deep.equal(['/2/2/1', '/2/2/2']);
+
+				// A DFA without provenance leaves it out
+				delete simpleDFA.provenance;
+
+				chai.expect(new Traverser(simpleDFA).execute(createInput(['x', 'c']))[0].getProvenance()).to.equal(null);
+			});
+
+			it('reports unknown node kinds with their AST path', function () {
+				var thrownError = null;
+
+				try {
+					compileAST(['seq', ['test', 'a'], ['choice', ['test', 'b'], ['unknown', 'c']]]);
+				} catch (error) {
+					thrownError = error;
+				}
+
+				chai.expect(thrownError).to.be.an.instanceof(ASTCompilationError);
+				chai.expect(thrownError).to.be.an.instanceof(Error);
+				chai.expect(thrownError.path).to.deep.equal([2, 2]);
+				chai.expect(thrownError.node).to.deep.equal(['unknown', 'c']);
+				chai.expect(thrownError.message).to.equal('Unknown AST node kind \'unknown\' at /2/2');
+			});
+
+			it('reports malformed nodes', function () {
+				chai.expect(function () {
+					compileAST(['seq', ['test', 'a'], 'b']);
+				}).to.throw('Malformed AST node at /2');
+
+				chai.expect(function () {
+					compileAST(['choice']);
+				}).to.throw('AST node \'choice\' requires at least 1 child node(s) at /');
+			});
+
+			it('compiles the repetition operator node kinds', function () {
+				// a?b+c{1,2}
+				var simpleDFA = compileSimpleDFA(compileAST, ['seq',
+					['optional', ['test', 'a']],
+					['plus', ['test', 'b']],
+					['range', ['test', 'c'], 1, 2]
+				]);
+
+				chai.expect(simpleDFA.transitions).to.deep.equal([{'a': 1, 'b': 2}, {'b': 2}, {'b': 2, 'c': 3}, {'c': 4}, {}]);
+				chai.expect(simpleDFA.finalStates).to.deep.equal([3, 4]);
+
+				chai.expect(function () {
+					compileAST(['seq', ['test', 'a'], ['range', ['test', 'b'], 2, 1]]);
+				}).to.throw('AST node \'range\' requires an integer max not less than min or null at /2');
+
+				chai.expect(function () {
+					compileAST(['range', ['test', 'a'], 1001, null]);
+				}).to.throw('AST node \'range\' requires bounds not greater than 1000 at /');
+			});
+
+			it('reports oversized interleaves with their AST path', function () {
+				chai.expect(function () {
+					compileAST(['seq', ['test', 'x'], ['interleave', ['test', 'a'], ['test', 'b'], ['test', 'c']]],
+						{'maxInterleaveStates': 5});
+				}).to.throw(ASTCompilationError, 'Interleave exceeds the limit of 5 states at /2');
+
+				// The other errors are passed on as they are
+				var thrownError = null;
+
+				try {
+					compileAST(['interleave', ['choice', ['predicate', 'text'], ['test', 'a']], ['test', 'b']]);
+				} catch (error) {
+					thrownError = error;
+				}
+
+				chai.expect(thrownError).to.not.be.an.instanceof(ASTCompilationError);
+				chai.expect(thrownError.message).to.equal('Missing definition of predicate \'text\'');
+			});
+
+			it('lets callers register handlers for custom node kinds', function () {
+				var compiler = new ASTCompiler();
+
+				// Two occurrences of the child in a row
+				compiler.registerHandler('twice', function (node, compileChild) {
+					var childNFA = compileChild(1);
+
+					return Automaton.concat(childNFA, childNFA);
+				});
+
+				var simpleDFA = Automaton.toSimpleDFA(compiler.compile(['twice', ['choice', ['test', 'a'], ['test', 'b']]]));
+
+				chai.expect(simpleDFA.transitions).to.deep.equal([{'a': 1, 'b': 1}, {'a': 2, 'b': 2}, {}]);
+				chai.expect(simpleDFA.finalStates).to.deep.equal([2]);
+
+				// The shared compiler is not affected
+				chai.expect(function () {
+					compileAST(['twice', ['test', 'a']]);
+				}).to.throw(ASTCompilationError);
+			});
+
+			it('scopes the custom node kinds to the compiler registering them', function () {
+				var compiler = whynotPremadeCompiler.createCompiler();
+
+				// Any of the listed characters
+				compiler.registerASTNodeHandler('anyOf', function (node) {
+					return Automaton.choice(node.slice(1).map(Automaton.char));
+				});
+
+				var simpleDFA = compileSimpleDFA(compiler.compileAST, ['seq', ['anyOf', 'a', 'b'], ['test', 'c']]);
+
+				chai.expect(simpleDFA.transitions).to.deep.equal([{'a': 1, 'b': 1}, {'c': 2}, {}]);
+
+				// Neither the shared entry points nor the other compilers are affected
+				[compileAST, whynotPremadeCompiler.createCompiler().compileAST].forEach(function (otherCompileAST) {
+					chai.expect(function () {
+						otherCompileAST(['anyOf', 'a']);
+					}).to.throw(ASTCompilationError, 'Unknown AST node kind \'anyOf\' at /');
+				});
+			});
+		});
+	}
+);
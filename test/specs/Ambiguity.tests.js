@@ -0,0 +1,83 @@
+define(
+	[
+		'whynot-premade-compiler'
+	],
+	function(
+		whynotPremadeCompiler
+	) {
+		'use strict';
+
+		var analyzeAmbiguity = whynotPremadeCompiler.analyzeAmbiguity;
+		var CompileCache = whynotPremadeCompiler.CompileCache;
+		var compileAST = whynotPremadeCompiler.compileAST;
+		var parseRegex = whynotPremadeCompiler.parseRegex;
+
+		describe('Ambiguity', function() {
+			function analyzeRegex (regex) {
+				return analyzeAmbiguity(compileAST(parseRegex(regex)));
+			}
+
+			it('accepts the deterministic content models', function () {
+				var analysis = analyzeRegex('<title><author>+(<chapter>|<appendix>)*');
+
+				chai.expect(analysis.deterministic).to.equal(true);
+				chai.expect(analysis.ambiguous).to.equal(false);
+				chai.expect(analysis.nondeterminism).to.equal(null);
+				chai.expect(analysis.ambiguity).to.equal(null);
+
+				// The optional occurrences of a bounded repetition are nested
+				chai.expect(analyzeRegex('a{0,3}').deterministic).to.equal(true);
+			});
+
+			it('reports nondeterminism along with the competing nodes', function () {
+				var analysis = analyzeRegex('ba*a');
+
+				chai.expect(analysis.deterministic).to.equal(false);
+				chai.expect(analysis.ambiguous).to.equal(false);
+				chai.expect(analysis.nondeterminism).to.deep.equal({
+					witness: ['b', 'a'],
+					position: 1,
+					nodes: [['/2/1'], ['/3']]
+				});
+			});
+
+			it('reports ambiguity along with a witness accepted twice', function () {
+				var analysis = analyzeRegex('(a|ab)(c|bc)');
+
+				chai.expect(analysis.deterministic).to.equal(false);
+				chai.expect(analysis.ambiguous).to.equal(true);
+				chai.expect(analysis.ambiguity).to.deep.equal({
+					witness: ['a', 'b', 'c'],
+					position: 0,
+					nodes: [['/1/1'], ['/1/2/1']]
+				});
+			});
+
+			it('lets predicates compete with any character', function () {
+				var analysis = analyzeAmbiguity(compileAST(['choice',
+					['seq', ['predicate', 'any'], ['test', 'b']],
+					['seq', ['test', 'a'], ['test', 'b']]
+				]));
+
+				chai.expect(analysis.ambiguous).to.equal(true);
+				chai.expect(analysis.ambiguity.nodes).to.deep.equal([['/1/1'], ['/2/1']]);
+			});
+
+			it('rejects the NFAs reusing cached DFAs', function () {
+				var ast = parseRegex('(a|a)b(a|a)b');
+
+				var cache = new CompileCache();
+
+				// The repeated subtrees are compiled once, then reused from their minimal DFA
+				var nfa = compileAST(ast, {'cache': cache});
+
+				chai.expect(cache.getStats().hits).to.be.above(0);
+				chai.expect(function () {
+					analyzeAmbiguity(nfa);
+				}).to.throw(Error, 'Can not analyze the ambiguity of an NFA derived from a DFA');
+
+				chai.expect(analyzeAmbiguity(compileAST(ast)).ambiguous).to.equal(true);
+			});
+		});
+	}
+);
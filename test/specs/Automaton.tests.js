@@ -0,0 +1,628 @@
+define(
+	[
+		'whynot-premade-compiler'
+	],
+	function(
+		whynotPremadeCompiler
+	) {
+		'use strict';
+
+		var Automaton = whynotPremadeCompiler.Automaton;
+		var StateLimitError = whynotPremadeCompiler.StateLimitError;
+
+		/**
+		 * Check whether a simple DFA accepts a given sequence of characters.
+		 *
+		 * @param simpleDFA
+		 * @param characters
+		 * @returns {boolean}
+		 */
+		function accepts (simpleDFA, characters) {
+			var state = simpleDFA.initialState;
+
+			for (var characterId = 0; characterId < characters.length; ++ characterId) {
+				state = simpleDFA.transitions[state][characters[characterId]];
+
+				if (state === undefined) {
+					return false;
+				}
+			}
+
+			return (-1 < simpleDFA.finalStates.indexOf(state));
+		}
+
+		/**
+		 * Build an NFA for (a|(bc))d(e|f)*.
+		 *
+		 * @returns {Automaton}
+		 */
+		function createSampleNFA () {
+			return Automaton.concat(
+				Automaton.concat(
+					Automaton.choice([
+						Automaton.char('a'),
+						Automaton.concat(Automaton.char('b'), Automaton.char('c'))
+					]),
+					Automaton.char('d')
+				),
+				Automaton.repetition(Automaton.choice([Automaton.char('e'), Automaton.char('f')]))
+			);
+		}
+
+		describe('Automaton', function() {
+			describe('transitions storage', function() {
+				it('indexes transitions by their origin state', function () {
+					var nfa = new Automaton();
+
+					nfa.addTransition(0, 1, 'a');
+					nfa.addTransition(1, 2, '');
+					nfa.addTransition(0, 2, 'b');
+
+					chai.expect(nfa.getTransitionsCount()).to.equal(3);
+					chai.expect(nfa.getStateTransitions(0).length).to.equal(2);
+					chai.expect(nfa.getStateTransitions(1)[0].stateTo).to.equal(2);
+					chai.expect(nfa.getStateTransitions(2)).to.deep.equal([]);
+				});
+
+				it('determinizes NFAs with thousands of states', function () {
+					this.timeout(10000);
+
+					var choices = [];
+
+					// Build a choice over a thousand three-character sequences
+					for (var choiceId = 0; choiceId < 1000; ++ choiceId) {
+						choices.push(Automaton.concat(
+							Automaton.concat(Automaton.char('a' + (choiceId % 37)), Automaton.char('b' + (choiceId % 11))),
+							Automaton.char('c' + (choiceId % 7))
+						));
+					}
+
+					var nfa = Automaton.repetition(Automaton.choice(choices));
+
+					chai.expect(nfa.getStatesCount()).to.be.above(6000);
+
+					var simpleDFA = Automaton.toSimpleDFA(nfa);
+
+					chai.expect(accepts(simpleDFA, ['a0', 'b0', 'c0', 'a36', 'b3', 'c1'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a0', 'b1'])).to.equal(false);
+				});
+			});
+
+			describe('repetition operators', function() {
+				it('makes an automaton optional', function () {
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.optional(Automaton.char('a')));
+
+					chai.expect(accepts(simpleDFA, [])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a', 'a'])).to.equal(false);
+				});
+
+				it('repeats an automaton one or more times', function () {
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.plus(Automaton.char('a')));
+
+					chai.expect(accepts(simpleDFA, [])).to.equal(false);
+					chai.expect(accepts(simpleDFA, ['a'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a', 'a', 'a'])).to.equal(true);
+				});
+
+				it('repeats an automaton a bounded amount of times', function () {
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.bounded(Automaton.char('a'), 2, 4));
+
+					chai.expect(simpleDFA.transitions.length).to.equal(5);
+					chai.expect(accepts(simpleDFA, ['a'])).to.equal(false);
+					chai.expect(accepts(simpleDFA, ['a', 'a'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a', 'a', 'a', 'a'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a', 'a', 'a', 'a', 'a'])).to.equal(false);
+				});
+
+				it('repeats an automaton at least a given amount of times', function () {
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.bounded(Automaton.char('a'), 2, Infinity));
+
+					chai.expect(accepts(simpleDFA, ['a'])).to.equal(false);
+					chai.expect(accepts(simpleDFA, ['a', 'a', 'a', 'a', 'a'])).to.equal(true);
+				});
+
+				it('accepts only the empty string for zero repetitions', function () {
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.bounded(Automaton.char('a'), 0, 0));
+
+					chai.expect(simpleDFA).to.deep.equal({
+						'initialState': 0,
+						'transitions': [{}],
+						'finalStates': [0]
+					});
+				});
+
+				it('rejects invalid bounds', function () {
+					chai.expect(function () {
+						Automaton.bounded(Automaton.char('a'), 3, 2);
+					}).to.throw('Maximal amount of repetitions must be an integer not less than 3, got 2');
+
+					chai.expect(function () {
+						Automaton.bounded(Automaton.char('a'), -1, 2);
+					}).to.throw('Minimal amount of repetitions must be a non-negative integer, got -1');
+				});
+			});
+
+			describe('predicates', function() {
+				it('splits overlapping predicates into minterms', function () {
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.concat(
+						Automaton.choice([Automaton.predicate('p'), Automaton.concat(Automaton.predicate('q'), Automaton.char('a'))]),
+						Automaton.char('b')
+					));
+
+					chai.expect(Object.keys(simpleDFA.transitions[0]).sort()).to.deep.equal(['@p&!q', '@p&q', '@q&!p']);
+					chai.expect(Object.keys(simpleDFA.transitions[simpleDFA.transitions[0]['@p&q']]).sort()).to.deep.equal(['a', 'b']);
+					chai.expect(Object.keys(simpleDFA.transitions[simpleDFA.transitions[0]['@p&!q']])).to.deep.equal(['b']);
+					chai.expect(Object.keys(simpleDFA.transitions[simpleDFA.transitions[0]['@q&!p']])).to.deep.equal(['a']);
+				});
+
+				it('lets exact characters follow the predicates they satisfy', function () {
+					var nfa = Automaton.choice([
+						Automaton.concat(Automaton.predicate('vowel'), Automaton.char('x')),
+						Automaton.concat(Automaton.char('a'), Automaton.char('y'))
+					]);
+
+					var simpleDFA = Automaton.toSimpleDFA(nfa, {
+						'predicates': {
+							'vowel': function (item) {
+								return 'aeiou'.indexOf(item) !== -1;
+							}
+						}
+					});
+
+					chai.expect(Object.keys(simpleDFA.transitions[simpleDFA.transitions[0]['a']]).sort()).to.deep.equal(['x', 'y']);
+					chai.expect(Object.keys(simpleDFA.transitions[simpleDFA.transitions[0]['@vowel']])).to.deep.equal(['x']);
+				});
+
+				it('requires the predicate definitions to evaluate exact characters', function () {
+					var nfa = Automaton.choice([Automaton.predicate('vowel'), Automaton.char('a')]);
+
+					chai.expect(function () {
+						Automaton.toSimpleDFA(nfa);
+					}).to.throw('Missing definition of predicate \'vowel\'');
+				});
+
+				it('escapes the exact characters starting with the predicate prefix', function () {
+					chai.expect(Automaton.escapeCharacter('@id')).to.equal('@@id');
+					chai.expect(Automaton.escapeCharacter('id')).to.equal('id');
+					chai.expect(Automaton.unescapeCharacter('@@id')).to.equal('@id');
+					chai.expect(Automaton.isPredicate('@@id')).to.equal(false);
+					chai.expect(Automaton.isPredicate('@id')).to.equal(true);
+
+					chai.expect(function () {
+						Automaton.predicate('@id');
+					}).to.throw('Invalid predicate name: \'@id\'');
+				});
+
+				it('keeps the characters starting with the predicate prefix literal', function () {
+					// Like before the predicates, a character starting with '@' only matches itself
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.concat(Automaton.char('@x'), Automaton.char('@@')));
+
+					chai.expect(simpleDFA.transitions).to.deep.equal([{'@@x': 1}, {'@@@': 2}, {}]);
+					chai.expect(Automaton.predicate('x').transitions[0].character).to.equal('@x');
+
+					// The predicates are not required to determinize it along with other characters
+					chai.expect(Automaton.toSimpleDFA(Automaton.choice([Automaton.char('@x'), Automaton.char('a')]))
+						.transitions[0]).to.deep.equal({'@@x': 1, 'a': 1});
+				});
+
+				it('can not be minimized with the Brzozowski method', function () {
+					chai.expect(function () {
+						Automaton.minimize(Automaton.predicate('p'), Automaton.MINIMIZATION_BRZOZOWSKI);
+					}).to.throw('Brzozowski minimization does not support predicate characters');
+				});
+			});
+
+			describe('intersection', function() {
+				it('accepts the strings accepted by both automata', function () {
+					// a*b* and (ab|aab|ba|b)
+					var nfa = Automaton.intersect(
+						Automaton.concat(Automaton.repetition(Automaton.char('a')), Automaton.repetition(Automaton.char('b'))),
+						Automaton.choice([
+							Automaton.concat(Automaton.char('a'), Automaton.char('b')),
+							Automaton.concat(Automaton.concat(Automaton.char('a'), Automaton.char('a')), Automaton.char('b')),
+							Automaton.concat(Automaton.char('b'), Automaton.char('a')),
+							Automaton.char('b')
+						])
+					);
+
+					var simpleDFA = Automaton.toSimpleDFA(nfa);
+
+					chai.expect(accepts(simpleDFA, ['a', 'b'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a', 'a', 'b'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['b'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['b', 'a'])).to.equal(false);
+					chai.expect(accepts(simpleDFA, [])).to.equal(false);
+					chai.expect(simpleDFA.transitions.length).to.equal(4);
+				});
+
+				it('produces an empty language for disjoint automata', function () {
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.intersect(Automaton.char('a'), Automaton.char('b')));
+
+					chai.expect(simpleDFA).to.deep.equal({
+						'initialState': 0,
+						'transitions': [{}],
+						'finalStates': []
+					});
+				});
+
+				it('combines predicates into conjunctions', function () {
+					var predicates = {
+						'p': function (item) {
+							return item === 'a';
+						},
+						'q': function (item) {
+							return item === 'b';
+						}
+					};
+
+					var nfa = Automaton.intersect(
+						Automaton.choice([Automaton.predicate('p'), Automaton.char('a'), Automaton.char('b')]),
+						Automaton.choice([Automaton.predicate('q'), Automaton.predicate('p')]),
+						predicates
+					);
+
+					var simpleDFA = Automaton.toSimpleDFA(nfa, {'predicates': predicates});
+
+					chai.expect(Object.keys(simpleDFA.transitions[0]).sort()).to.deep.equal(['@p&!q', '@p&q', 'a', 'b']);
+				});
+			});
+
+			describe('interleave', function() {
+				it('accepts the members in any order', function () {
+					// a, b+ and c in any order
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.interleave([
+						Automaton.char('a'),
+						Automaton.plus(Automaton.char('b')),
+						Automaton.char('c')
+					]));
+
+					['abc', 'cba', 'bcab', 'bbacb'].forEach(function (sample) {
+						chai.expect(accepts(simpleDFA, sample)).to.equal(true);
+					});
+
+					['ab', 'aabc', 'ac', ''].forEach(function (sample) {
+						chai.expect(accepts(simpleDFA, sample)).to.equal(false);
+					});
+				});
+
+				it('guards the amount of product states', function () {
+					var members = 'abcdefghijklmn'.split('').map(function (character) {
+						return Automaton.optional(Automaton.char(character));
+					});
+
+					chai.expect(function () {
+						Automaton.interleave(members);
+					}).to.throw(StateLimitError, 'Interleave exceeds the limit of 10000 states');
+
+					chai.expect(Automaton.interleave(members.slice(0, 4), {}, 18).getStatesCount()).to.equal(18);
+
+					chai.expect(function () {
+						Automaton.interleave(members.slice(0, 4), {}, 17);
+					}).to.throw('Interleave exceeds the limit of 17 states');
+				});
+			});
+
+			describe('complement and difference', function() {
+				it('complements an automaton relative to an alphabet', function () {
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.complement(
+						Automaton.concat(Automaton.char('a'), Automaton.char('b')), ['a', 'b']
+					));
+
+					chai.expect(accepts(simpleDFA, [])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['a', 'b'])).to.equal(false);
+					chai.expect(accepts(simpleDFA, ['a', 'b', 'b'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['b', 'a', 'a'])).to.equal(true);
+					chai.expect(accepts(simpleDFA, ['c'])).to.equal(false);
+				});
+
+				it('strips the dead states of a difference', function () {
+					// (ab|ac) without ab
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.difference(
+						Automaton.concat(Automaton.char('a'), Automaton.choice([Automaton.char('b'), Automaton.char('c')])),
+						Automaton.concat(Automaton.char('a'), Automaton.char('b'))
+					));
+
+					chai.expect(simpleDFA).to.deep.equal({
+						'initialState': 0,
+						'transitions': [{'a': 1}, {'c': 2}, {}],
+						'finalStates': [2]
+					});
+				});
+
+				it('does not support predicates', function () {
+					chai.expect(function () {
+						Automaton.difference(Automaton.predicate('p'), Automaton.char('a'));
+					}).to.throw('Complement does not support predicate characters');
+				});
+			});
+
+			describe('equivalence and inclusion', function() {
+				it('proves refactored automata equivalent', function () {
+					// (a|b)*a refactored as (b*a)+
+					var originalNFA = Automaton.concat(
+						Automaton.repetition(Automaton.choice([Automaton.char('a'), Automaton.char('b')])),
+						Automaton.char('a')
+					);
+
+					var refactoredNFA = Automaton.plus(Automaton.concat(Automaton.repetition(Automaton.char('b')), Automaton.char('a')));
+
+					chai.expect(Automaton.equivalent(originalNFA, refactoredNFA)).to.deep.equal({
+						'result': true,
+						'counterexample': null,
+						'acceptedBy': null
+					});
+
+					// Simple DFAs can be compared as well
+					chai.expect(Automaton.equivalent(Automaton.toSimpleDFA(originalNFA), refactoredNFA).result).to.equal(true);
+				});
+
+				it('returns the shortest counterexample for different automata', function () {
+					var leftNFA = Automaton.repetition(Automaton.char('a'));
+
+					var rightNFA = Automaton.bounded(Automaton.char('a'), 0, 2);
+
+					chai.expect(Automaton.equivalent(leftNFA, rightNFA)).to.deep.equal({
+						'result': false,
+						'counterexample': ['a', 'a', 'a'],
+						'acceptedBy': 'left'
+					});
+
+					chai.expect(Automaton.equivalent(Automaton.char('b'), Automaton.toSimpleDFA(rightNFA))).to.deep.equal({
+						'result': false,
+						'counterexample': [],
+						'acceptedBy': 'right'
+					});
+				});
+
+				it('checks language inclusion', function () {
+					var leftNFA = Automaton.repetition(Automaton.char('a'));
+
+					var rightNFA = Automaton.bounded(Automaton.char('a'), 0, 2);
+
+					chai.expect(Automaton.includes(leftNFA, rightNFA).result).to.equal(true);
+
+					chai.expect(Automaton.includes(rightNFA, Automaton.concat(leftNFA, Automaton.char('b')))).to.deep.equal({
+						'result': false,
+						'counterexample': ['b'],
+						'acceptedBy': 'right'
+					});
+				});
+			});
+
+			describe('minimization', function() {
+				it('merges equivalent states with partition refinement', function () {
+					// (a|b)*a
+					var nfa = Automaton.concat(
+						Automaton.repetition(Automaton.choice([Automaton.char('a'), Automaton.char('b')])),
+						Automaton.char('a')
+					);
+
+					var minimalDFA = Automaton.minimize(nfa, Automaton.MINIMIZATION_HOPCROFT);
+
+					chai.expect(minimalDFA.getStatesCount()).to.equal(2);
+					chai.expect(minimalDFA.getInitialStates()).to.deep.equal([Automaton.DFA_INITIAL_STATE]);
+					chai.expect(minimalDFA.getFinalStates()).to.deep.equal([1]);
+					chai.expect(minimalDFA.getTransitionsCount()).to.equal(4);
+				});
+
+				it('drops the dead states of a determinized automaton', function () {
+					var dfa = new Automaton();
+
+					dfa.setStatesCount(3);
+					dfa.setInitialStates([0]);
+					dfa.setFinalStates([1]);
+					dfa.addTransition(0, 1, 'a');
+					dfa.addTransition(0, 2, 'b');
+					dfa.addTransition(2, 2, 'b');
+
+					var minimalDFA = Automaton.minimizeDFA(dfa);
+
+					chai.expect(minimalDFA.getStatesCount()).to.equal(2);
+					chai.expect(minimalDFA.transitions).to.deep.equal([
+						{'stateFrom': 0, 'stateTo': 1, 'character': 'a'}
+					]);
+				});
+
+				it('keeps a single state for an empty language', function () {
+					var dfa = new Automaton();
+
+					dfa.setStatesCount(2);
+					dfa.setInitialStates([0]);
+					dfa.addTransition(0, 1, 'a');
+
+					var minimalDFA = Automaton.minimizeDFA(dfa);
+
+					chai.expect(minimalDFA.getStatesCount()).to.equal(1);
+					chai.expect(minimalDFA.getTransitionsCount()).to.equal(0);
+					chai.expect(minimalDFA.getFinalStates()).to.deep.equal([]);
+				});
+
+				it('recognizes the same language as the Brzozowski method', function () {
+					var hopcroftDFA = Automaton.toSimpleDFA(createSampleNFA(), {
+						'minimization': Automaton.MINIMIZATION_HOPCROFT
+					});
+
+					var brzozowskiDFA = Automaton.toSimpleDFA(createSampleNFA(), {
+						'minimization': Automaton.MINIMIZATION_BRZOZOWSKI
+					});
+
+					chai.expect(hopcroftDFA.transitions.length).to.equal(brzozowskiDFA.transitions.length);
+
+					var samples = ['ad', 'bcd', 'ade', 'bcdfef', 'a', 'bd', 'adx', 'bcde'];
+
+					for (var sampleId = 0; sampleId < samples.length; ++ sampleId) {
+						chai.expect(accepts(hopcroftDFA, samples[sampleId]))
+							.to.equal(accepts(brzozowskiDFA, samples[sampleId]));
+					}
+				});
+
+				it('rejects unknown minimization methods', function () {
+					chai.expect(function () {
+						Automaton.minimize(createSampleNFA(), 'unknown');
+					}).to.throw('Unknown minimization method: unknown');
+				});
+			});
+
+			describe('trim', function() {
+				it('removes the unreachable and the dead states', function () {
+					var automaton = new Automaton();
+
+					automaton.setStatesCount(5);
+					automaton.setInitialStates([0]);
+					automaton.setFinalStates([2]);
+					automaton.addTransition(0, 1, 'a');
+					automaton.addTransition(1, 2, 'b');
+					automaton.addTransition(0, 3, 'c');
+					automaton.addTransition(4, 2, 'd');
+					automaton.setStateProvenance(2, ['/2']);
+
+					var trimResult = Automaton.trim(automaton);
+
+					chai.expect(trimResult.prunedStatesCount).to.equal(2);
+					chai.expect(trimResult.unreachableStatesCount).to.equal(1);
+					chai.expect(trimResult.deadStatesCount).to.equal(1);
+
+					chai.expect(trimResult.automaton.getStatesCount()).to.equal(3);
+					chai.expect(trimResult.automaton.getFinalStates()).to.deep.equal([2]);
+					chai.expect(trimResult.automaton.getStateProvenance(2)).to.deep.equal(['/2']);
+					chai.expect(trimResult.automaton.transitions).to.deep.equal([
+						{'stateFrom': 0, 'stateTo': 1, 'character': 'a'},
+						{'stateFrom': 1, 'stateTo': 2, 'character': 'b'}
+					]);
+				});
+
+				it('keeps the initial states of an empty language', function () {
+					var automaton = new Automaton();
+
+					automaton.setStatesCount(2);
+					automaton.setInitialStates([0]);
+					automaton.addTransition(0, 1, 'a');
+
+					var trimResult = Automaton.trim(automaton);
+
+					chai.expect(trimResult.prunedStatesCount).to.equal(1);
+					chai.expect(trimResult.automaton.getStatesCount()).to.equal(1);
+					chai.expect(trimResult.automaton.getInitialStates()).to.deep.equal([0]);
+					chai.expect(trimResult.automaton.getTransitionsCount()).to.equal(0);
+				});
+
+				it('reports the pruned states of a simple DFA', function () {
+					var report = {};
+
+					Automaton.toSimpleDFA(createSampleNFA(), {'report': report});
+
+					chai.expect(report.prunedStatesCount).to.equal(0);
+
+					var automaton = new Automaton();
+
+					automaton.setStatesCount(5);
+					automaton.setInitialStates([0]);
+					automaton.setFinalStates([1]);
+					automaton.addTransition(0, 1, 'a');
+					automaton.addTransition(0, 2, 'b');
+					automaton.addTransition(2, 3, 'c');
+
+					// The unreachable state 4 is counted before the determinization, which only builds reachable states
+					automaton.addTransition(4, 1, 'd');
+
+					var simpleDFA = Automaton.toSimpleDFA(automaton, {'report': report});
+
+					chai.expect(report).to.deep.equal({
+						'prunedStatesCount': 3,
+						'unreachableStatesCount': 1,
+						'deadStatesCount': 2
+					});
+					chai.expect(simpleDFA.transitions).to.deep.equal([{'a': 1}, {}]);
+				});
+			});
+
+			describe('canonical form', function() {
+				it('numbers the states in the breadth-first order of the sorted characters', function () {
+					var canonicalDFA = Automaton.canonicalize({
+						'initialState': 2,
+						'transitions': [{}, {'b': 0}, {'b': 0, 'a': 1}, {'a': 3}],
+						'finalStates': [0, 2],
+						'provenance': [['/0'], ['/1'], ['/2'], ['/3']]
+					});
+
+					chai.expect(canonicalDFA).to.deep.equal({
+						'initialState': 0,
+						'transitions': [{'a': 1, 'b': 2}, {'b': 2}, {}],
+						'finalStates': [0, 2],
+						'provenance': [['/2'], ['/1'], ['/0']]
+					});
+				});
+
+				it('makes the simple DFAs of equal languages equal', function () {
+					var leftDFA = Automaton.toSimpleDFA(createSampleNFA());
+
+					var rightDFA = Automaton.toSimpleDFA(Automaton.concat(
+						Automaton.choice([
+							Automaton.concat(Automaton.char('b'), Automaton.concat(Automaton.char('c'),
+								Automaton.char('d'))),
+							Automaton.concat(Automaton.char('a'), Automaton.char('d'))
+						]),
+						Automaton.repetition(Automaton.choice([Automaton.char('f'), Automaton.char('e')]))
+					), {'minimization': Automaton.MINIMIZATION_BRZOZOWSKI});
+
+					delete leftDFA.provenance;
+					delete rightDFA.provenance;
+
+					chai.expect(rightDFA).to.deep.equal(leftDFA);
+				});
+			});
+
+			describe('provenance', function() {
+				/**
+				 * Create a single-transition automaton whose states originate from a given label.
+				 *
+				 * @param character
+				 * @param label
+				 * @returns {Automaton}
+				 */
+				function createLabelledChar (character, label) {
+					var automaton = Automaton.char(character);
+
+					automaton.fillProvenance(label);
+
+					return automaton;
+				}
+
+				it('keeps the provenance of the combined automata', function () {
+					var nfa = Automaton.concat(createLabelledChar('a', 'left'), createLabelledChar('b', 'right'));
+
+					chai.expect(nfa.getStateProvenance(0)).to.deep.equal(['left']);
+					chai.expect(nfa.getStateProvenance(3)).to.deep.equal(['right']);
+
+					// The new states of a combinator have no provenance of their own
+					var optionalNFA = Automaton.optional(nfa);
+
+					chai.expect(optionalNFA.getStateProvenance(0)).to.deep.equal([]);
+					chai.expect(optionalNFA.getStateProvenance(1)).to.deep.equal(['left']);
+				});
+
+				it('merges the provenance of determinized and minimized states', function () {
+					// The states reading a from either side are equivalent
+					var simpleDFA = Automaton.toSimpleDFA(Automaton.choice([
+						createLabelledChar('a', 'left'),
+						createLabelledChar('a', 'right')
+					]));
+
+					chai.expect(simpleDFA.provenance).to.deep.equal([['left', 'right'], ['left', 'right']]);
+
+					var brzozowskiDFA = Automaton.toSimpleDFA(Automaton.intersect(
+						createLabelledChar('a', 'left'),
+						createLabelledChar('a', 'right')
+					), {'minimization': Automaton.MINIMIZATION_BRZOZOWSKI});
+
+					chai.expect(brzozowskiDFA.provenance).to.deep.equal([['left', 'right'], ['left', 'right']]);
+
+					// Automata without provenance keep the simple DFA shape unchanged
+					chai.expect(Automaton.toSimpleDFA(Automaton.char('a'))).to.not.have.property('provenance');
+				});
+			});
+		});
+	}
+);
@@ -0,0 +1,213 @@
+define(
+	[
+		'whynot-premade-compiler',
+		'whynot-premade-player',
+		'util/testUtils'
+	],
+	function(
+		whynotPremadeCompiler,
+		whynotPremadePlayer,
+		testUtils
+	) {
+		'use strict';
+
+		var compileAST = whynotPremadeCompiler.compileAST;
+		var compileSimpleDFA = whynotPremadeCompiler.compileSimpleDFA;
+		var toCompactDFA = whynotPremadeCompiler.toCompactDFA;
+
+		var Traverser = whynotPremadePlayer.Traverser;
+		var CompactDFA = whynotPremadePlayer.CompactDFA;
+		var DFAFormatError = whynotPremadePlayer.DFAFormatError;
+
+		var createInput = testUtils.createInput;
+
+		describe('CompactDFA', function() {
+			// (a|b)*c
+			var simpleDFA = compileSimpleDFA(compileAST, ['seq',
+				['repetition', ['choice', ['test', 'a'], ['test', 'b']]],
+				['test', 'c']
+			]);
+
+			/**
+			 * Describe the steps of every final record as [accepted, characters] pairs.
+			 *
+			 * @param finalRecords
+			 * @returns {Array}
+			 */
+			function getSteps (finalRecords) {
+				return finalRecords.map(function (record) {
+					var steps = [];
+
+					while (!record.isHead()) {
+						steps.unshift([record.getAccepted(), record.getCharacters()]);
+
+						record = record.getPreviousRecord();
+					}
+
+					return steps;
+				});
+			}
+
+			// Encode the sample DFA, apply a change to its data and read it back
+			var readChanged = testUtils.createChangedReader(function () {
+				return toCompactDFA(simpleDFA);
+			}, function (compactDFA) {
+				return new CompactDFA(compactDFA);
+			});
+
+			it('encodes the transitions grouped by the target state', function () {
+				var compactDFA = toCompactDFA(simpleDFA);
+
+				chai.expect(compactDFA.alphabet).to.deep.equal(['a', 'b', 'c']);
+				chai.expect(Array.prototype.slice.call(compactDFA.data)).to.deep.equal([
+					// Header
+					1, 2, 0, 1, 2, 3,
+					// Final states
+					1,
+					// Group offsets by state
+					0, 2, 2,
+					// Group targets
+					0, 1,
+					// Transition offsets by group
+					0, 2, 3,
+					// Transition characters
+					0, 1, 2,
+					// Sorted transitions by state
+					0, 1, 2
+				]);
+
+				var readDFA = new CompactDFA(compactDFA);
+
+				chai.expect(readDFA.getNextState(0, 'b')).to.equal(0);
+				chai.expect(readDFA.getNextState(0, 'c')).to.equal(1);
+				chai.expect(readDFA.getNextState(1, 'c')).to.equal(undefined);
+				chai.expect(readDFA.getNextState(0, 'd')).to.equal(undefined);
+				chai.expect(readDFA.getTransportedTransitions(0)).to.deep.equal({'0': ['a', 'b'], '1': ['c']});
+			});
+
+			it('finds the transitions of characters spread over several groups', function () {
+				var spreadDFA = compileSimpleDFA(compileAST, ['choice',
+					['seq', ['choice', ['test', 'a'], ['test', 'c'], ['test', 'e']], ['test', 'x']],
+					['seq', ['choice', ['test', 'b'], ['test', 'd'], ['test', 'f']], ['test', 'y']]
+				]);
+
+				var compactDFA = toCompactDFA(spreadDFA);
+
+				chai.expect(compactDFA.alphabet).to.deep.equal(['a', 'b', 'c', 'd', 'e', 'f', 'x', 'y']);
+
+				var readDFA = new CompactDFA(compactDFA);
+
+				['a', 'b', 'c', 'd', 'e', 'f', 'x', 'y', 'z'].forEach(function (character) {
+					spreadDFA.transitions.forEach(function (stateTransitions, state) {
+						chai.expect(readDFA.getNextState(state, character)).to.equal(stateTransitions[character]);
+					});
+				});
+			});
+
+			it('is executed by the Traverser like the simple DFA', function () {
+				var compactDFA = toCompactDFA(simpleDFA);
+
+				['', 'c', 'ab', 'bac', 'cc'].forEach(function (input) {
+					chai.expect(getSteps(new Traverser(compactDFA).execute(createInput(input.split('')))))
+						.to.deep.equal(getSteps(new Traverser(simpleDFA).execute(createInput(input.split('')))));
+				});
+
+				// The data buffer can be shipped on its own
+				chai.expect(getSteps(new Traverser({
+					'alphabet': compactDFA.alphabet,
+					'data': compactDFA.data.buffer
+				}).execute(createInput(['a', 'c'])))).to.deep.equal([[[true, ['a']], [true, ['c']]]]);
+			});
+
+			it('is executed by the Traverser with predicates', function () {
+				var predicates = {
+					'digit': function (inputItem) {
+						return /^[0-9]$/.test(inputItem);
+					}
+				};
+
+				// digit, then x or a non-x
+				var predicateDFA = compileSimpleDFA(compileAST, ['seq',
+					['predicate', 'digit'],
+					['choice', ['test', 'x'], ['test', 'y']]
+				], {'predicates': predicates});
+
+				var compactDFA = toCompactDFA(predicateDFA);
+
+				[['7', 'x'], ['x'], ['7']].forEach(function (input) {
+					chai.expect(getSteps(new Traverser(compactDFA, predicates).execute(createInput(input))))
+						.to.deep.equal(getSteps(new Traverser(predicateDFA, predicates).execute(createInput(input))));
+				});
+			});
+
+			it('rejects malformed compact DFAs', function () {
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.data[0] = 2;
+				})).to.throw(DFAFormatError, 'Unsupported compact layout version 2, the latest supported one is 1');
+
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.data[5] = 4;
+				})).to.throw(DFAFormatError, 'Data length 21 does not match the header, expected 23');
+
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.data[10] = 2;
+				})).to.throw(DFAFormatError, 'Target of group 0 is out of range: 2 is not in [0, 2)');
+
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.data[17] = 3;
+				})).to.throw(DFAFormatError, 'Transition 2 refers to alphabet index 3 out of range [0, 3)');
+
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.data[8] = 3;
+				})).to.throw(DFAFormatError, 'Group offsets must be ascending, got 2 at index 2');
+
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.alphabet[2] = 'a';
+				})).to.throw(DFAFormatError, 'Alphabet character at index 2 duplicates the one at index 0');
+
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.data[16] = 0;
+				})).to.throw(DFAFormatError, 'Sorted transitions of state 0 must have strictly ascending alphabet ' +
+					'indices, got 0 at 1');
+
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.data[19] = 0;
+				})).to.throw(DFAFormatError, 'Sorted transitions of state 0 must have strictly ascending alphabet ' +
+					'indices, got 0 at 1');
+
+				chai.expect(readChanged(function (compactDFA) {
+					compactDFA.data[20] = 3;
+				})).to.throw(DFAFormatError, 'Sorted transition 2 is out of the range of state 0: 3 is not in [0, 3)');
+			});
+
+			it('is smaller than the simple DFA without provenance', function () {
+				var names = [];
+
+				for (var nameId = 0; nameId < 40; ++ nameId) {
+					names.push(['test', 'element-' + nameId]);
+				}
+
+				// A schema-like content model: (element-0|...|element-39)+, element-0{0,5}
+				var largeDFA = compileSimpleDFA(compileAST, ['seq',
+					['plus', ['choice'].concat(names)],
+					['range', names[0], 0, 5]
+				]);
+
+				var compactDFA = toCompactDFA(largeDFA);
+
+				var simpleSize = JSON.stringify({
+					'initialState': largeDFA.initialState,
+					'transitions': largeDFA.transitions,
+					'finalStates': largeDFA.finalStates
+				}).length;
+
+				var compactSize = compactDFA.data.byteLength + JSON.stringify(compactDFA.alphabet).length;
+
+				console.log('Simple DFA JSON: ' + simpleSize + ' bytes, compact DFA: ' + compactSize + ' bytes (' +
+					compactDFA.data.byteLength + ' bytes of data)');
+
+				chai.expect(compactSize).to.be.below(simpleSize);
+			});
+		});
+	}
+);
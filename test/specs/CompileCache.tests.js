@@ -0,0 +1,142 @@
+define(
+	[
+		'whynot-premade-compiler',
+		'util/testUtils'
+	],
+	function(
+		whynotPremadeCompiler,
+		testUtils
+	) {
+		'use strict';
+
+		var Automaton = whynotPremadeCompiler.Automaton;
+		var ASTCompiler = whynotPremadeCompiler.ASTCompiler;
+		var CompileCache = whynotPremadeCompiler.CompileCache;
+		var compileAST = whynotPremadeCompiler.compileAST;
+
+		describe('CompileCache', function() {
+			var fragment = ['seq', ['test', 'x'], ['repetition', ['choice', ['test', 'y'], ['test', 'z']]]];
+
+			var ast = ['seq', fragment, ['choice', fragment, ['plus', fragment]], ['optional', fragment]];
+
+			it('compiles the repeated subtrees once', function () {
+				var cache = new CompileCache();
+
+				var cachedNFA = compileAST(ast, {cache: cache});
+
+				chai.expect(Automaton.equivalent(cachedNFA, compileAST(ast)).result).to.equal(true);
+
+				// The fragment is reused three times, its repeated descendants are compiled along with it
+				chai.expect(cache.getStats()).to.deep.equal({entries: 3, hits: 3, misses: 3});
+			});
+
+			it('keeps the provenance of the cloned subtrees', function () {
+				var cachedDFA = Automaton.toSimpleDFA(compileAST(ast, {cache: new CompileCache()}));
+
+				chai.expect(cachedDFA.provenance).to.deep.equal(Automaton.toSimpleDFA(compileAST(ast)).provenance);
+			});
+
+			it('reuses the subtrees of a deserialized cache', function () {
+				var cache = new CompileCache();
+
+				compileAST(ast, {cache: cache});
+
+				var deserializedCache = CompileCache.deserialize(cache.serialize());
+
+				var otherAST = ['choice', fragment, ['test', 'w']];
+
+				var cachedNFA = compileAST(otherAST, {cache: deserializedCache});
+
+				chai.expect(Automaton.equivalent(cachedNFA, compileAST(otherAST)).result).to.equal(true);
+				chai.expect(deserializedCache.getStats()).to.deep.equal({entries: 3, hits: 1, misses: 0});
+
+				chai.expect(function () {
+					CompileCache.deserialize('{"format": "other"}');
+				}).to.throw(Error, 'Unsupported compile cache');
+			});
+
+			it('rejects the corrupted entries of a deserialized cache', function () {
+				var cache = new CompileCache();
+
+				compileAST(ast, {cache: cache});
+
+				// Deserialize the cache after a change of its entries
+				var deserializeChanged = testUtils.createChangedReader(function () {
+					return JSON.parse(cache.serialize());
+				}, function (serializedCache) {
+					return CompileCache.deserialize(JSON.stringify(serializedCache));
+				});
+
+				/**
+				 * Get the DFA of the first entry of a serialized cache.
+				 *
+				 * @param serializedCache
+				 * @returns {Object}
+				 */
+				function getFirstDFA (serializedCache) {
+					return serializedCache.entries[Object.keys(serializedCache.entries)[0]][0][1];
+				}
+
+				chai.expect(deserializeChanged(function (serializedCache) {
+					getFirstDFA(serializedCache).transitions[0] = {'a': 7};
+				})).to.throw(Error, 'has invalid transitions of state 0');
+
+				chai.expect(deserializeChanged(function (serializedCache) {
+					delete getFirstDFA(serializedCache).initialState;
+				})).to.throw(Error, 'has an invalid initial state');
+
+				chai.expect(deserializeChanged(function (serializedCache) {
+					getFirstDFA(serializedCache).finalStates = ['1'];
+				})).to.throw(Error, 'has invalid final states');
+
+				chai.expect(deserializeChanged(function (serializedCache) {
+					serializedCache.entries = {'0': [['["test","a"]']]};
+				})).to.throw(Error, 'Compile cache entry 0 of hash 0 must be a [key, simpleDFA] pair');
+			});
+
+			it('keys the entries by the compiler version, the node handlers and the options', function () {
+				var cache = new CompileCache();
+
+				compileAST(ast, {cache: cache});
+
+				var entries = JSON.parse(cache.serialize()).entries;
+
+				var key = entries[Object.keys(entries)[0]][0][0];
+
+				chai.expect(key.indexOf('v' + ASTCompiler.CACHE_VERSION + ':fnv1a128:')).to.equal(0);
+
+				// Other options make other keys
+				compileAST(ast, {cache: cache, maxInterleaveStates: 5});
+
+				chai.expect(cache.getStats()).to.deep.equal({entries: 6, hits: 6, misses: 6});
+
+				// Other handlers make other keys, even for the node kinds they do not change
+				var compiler = whynotPremadeCompiler.createCompiler();
+
+				compiler.registerASTNodeHandler('test', function (node) {
+					return Automaton.char(node[1].toUpperCase());
+				});
+
+				var upperCaseNFA = compiler.compileAST(ast, {cache: cache});
+
+				chai.expect(cache.getStats()).to.deep.equal({entries: 9, hits: 9, misses: 9});
+				chai.expect(Automaton.toSimpleDFA(upperCaseNFA).transitions[0]).to.deep.equal({'X': 1});
+
+				// The same handlers and options reuse the entries, i.e. the fragment at each of its 4 occurrences
+				compileAST(ast, {cache: cache});
+
+				chai.expect(cache.getStats()).to.deep.equal({entries: 9, hits: 13, misses: 9});
+			});
+
+			it('does not cache the subtrees involving predicates', function () {
+				var cache = new CompileCache();
+
+				var predicateFragment = ['seq', ['predicate', 'vowel'], ['test', 'b']];
+
+				compileAST(['seq', predicateFragment, predicateFragment], {cache: cache});
+
+				chai.expect(cache.getStats()).to.deep.equal({entries: 0, hits: 0, misses: 2});
+			});
+		});
+	}
+);
@@ -0,0 +1,140 @@
+define(
+	[
+		'whynot-premade-compiler',
+		'whynot-premade-player',
+		'util/testUtils'
+	],
+	function(
+		whynotPremadeCompiler,
+		whynotPremadePlayer,
+		testUtils
+	) {
+		'use strict';
+
+		var parseDTD = whynotPremadeCompiler.parseDTD;
+		var compileDTD = whynotPremadeCompiler.compileDTD;
+		var ParseError = whynotPremadeCompiler.ParseError;
+
+		var Traverser = whynotPremadePlayer.Traverser;
+
+		var createInput = testUtils.createInput;
+
+		describe('DTD', function() {
+			var dtdText = [
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<!-- A tiny book DTD -->',
+				'<!ELEMENT book (title, author+, (chapter | appendix)*)>',
+				'<!ATTLIST book id ID #REQUIRED note CDATA "a > b">',
+				'<!ELEMENT title (#PCDATA)>',
+				'<!ELEMENT author (#PCDATA | em)*>',
+				'<!ELEMENT chapter (title, para?)+ >',
+				'<!ELEMENT para ANY>',
+				'<!ELEMENT br EMPTY>',
+				'<!ENTITY publisher "Whynot">'
+			].join('\n');
+
+			it('parses the element declarations to ASTs', function () {
+				var asts = parseDTD(dtdText);
+
+				chai.expect(Object.keys(asts)).to.deep.equal(['book', 'title', 'author', 'chapter', 'para', 'br']);
+
+				chai.expect(asts.book).to.deep.equal(['seq',
+					['test', 'title'],
+					['plus', ['test', 'author']],
+					['repetition', ['choice', ['test', 'chapter'], ['test', 'appendix']]]
+				]);
+				chai.expect(asts.title).to.deep.equal(['repetition', ['test', '#PCDATA']]);
+				chai.expect(asts.author).to.deep.equal(['repetition', ['choice', ['test', '#PCDATA'], ['test', 'em']]]);
+				chai.expect(asts.br).to.deep.equal(['empty']);
+
+				// ANY allows text and any declared element
+				chai.expect(asts.para).to.deep.equal(['repetition', ['choice',
+					['test', '#PCDATA'],
+					['test', 'book'],
+					['test', 'title'],
+					['test', 'author'],
+					['test', 'chapter'],
+					['test', 'para'],
+					['test', 'br']
+				]]);
+			});
+
+			it('compiles a simple DFA per element', function () {
+				var simpleDFAs = compileDTD(dtdText);
+
+				chai.expect(simpleDFAs.br.transitions).to.deep.equal([{}]);
+				chai.expect(simpleDFAs.br.finalStates).to.deep.equal([0]);
+
+				chai.expect(simpleDFAs.chapter.transitions).to.deep.equal([{'title': 1}, {'para': 2, 'title': 1}, {'title': 1}]);
+
+				// A book without an author gets one suggested
+				var finalRecords = new Traverser(simpleDFAs.book).execute(createInput(['title', 'chapter']));
+
+				chai.expect(finalRecords.length).to.equal(1);
+				chai.expect(finalRecords[0].getPreviousRecord().getCharacters()).to.deep.equal(['author']);
+				chai.expect(finalRecords[0].getPreviousRecord().getAccepted()).to.equal(false);
+			});
+
+			it('compiles elements named like object properties', function () {
+				var simpleDFAs = compileDTD([
+					'<!ELEMENT constructor (toString, hasOwnProperty*)>',
+					'<!ELEMENT toString EMPTY>',
+					'<!ELEMENT hasOwnProperty EMPTY>',
+					'<!ELEMENT __proto__ (constructor)>'
+				].join('\n'));
+
+				chai.expect(Object.keys(simpleDFAs)).to.deep.equal(['constructor', 'toString', 'hasOwnProperty', '__proto__']);
+				chai.expect(simpleDFAs.constructor.transitions).to.deep.equal([{'toString': 1}, {'hasOwnProperty': 1}]);
+				chai.expect(simpleDFAs.__proto__.transitions).to.deep.equal([{'constructor': 1}, {}]);
+
+				var finalRecords = new Traverser(simpleDFAs.constructor).execute(
+					createInput(['toString', 'hasOwnProperty']));
+
+				chai.expect(finalRecords.length).to.equal(1);
+				chai.expect(finalRecords[0].getAccepted()).to.equal(true);
+			});
+
+			it('compiles and traverses a __proto__ child', function () {
+				var simpleDFA = compileDTD('<!ELEMENT a (__proto__, b)>').a;
+
+				// An object literal can not hold a __proto__ key, so compare the JSON instead
+				chai.expect(JSON.stringify(simpleDFA.transitions)).to.equal('[{"__proto__":1},{"b":2},{}]');
+				chai.expect(simpleDFA.finalStates).to.deep.equal([2]);
+
+				var finalRecords = new Traverser(simpleDFA).execute(createInput(['__proto__', 'b']));
+
+				chai.expect(finalRecords.length).to.equal(1);
+				chai.expect(finalRecords[0].getAccepted()).to.equal(true);
+				chai.expect(finalRecords[0].getPreviousRecord().getCharacters()).to.deep.equal(['__proto__']);
+			});
+
+			it('reports syntax errors with their position', function () {
+				var thrownError = null;
+
+				try {
+					parseDTD('<!ELEMENT a (b)>\n<!ELEMENT c (d | e, f)>');
+				} catch (error) {
+					thrownError = error;
+				}
+
+				chai.expect(thrownError).to.be.an.instanceof(ParseError);
+				chai.expect(thrownError.offset).to.equal(35);
+				chai.expect(thrownError.line).to.equal(2);
+				chai.expect(thrownError.column).to.equal(19);
+				chai.expect(thrownError.message).to.equal('Expected \'|\' or \')\' at line 2, column 19');
+
+				chai.expect(function () {
+					parseDTD('<!ELEMENT a (b)>\n<!ELEMENT a (c)>');
+				}).to.throw(ParseError, 'Duplicate declaration of element \'a\' at line 2, column 11');
+
+				chai.expect(function () {
+					parseDTD('<!ELEMENT a (#PCDATA | b)>');
+				}).to.throw(ParseError, 'Expected \'*\' at line 1, column 26');
+
+				chai.expect(function () {
+					parseDTD('<!ELEMENT a %content;>');
+				}).to.throw(ParseError, 'Parameter entity references are not supported at line 1, column 13');
+			});
+		});
+	}
+);
@@ -0,0 +1,74 @@
+define(
+	[
+		'whynot-premade-compiler'
+	],
+	function(
+		whynotPremadeCompiler
+	) {
+		'use strict';
+
+		var Automaton = whynotPremadeCompiler.Automaton;
+		var compileRegex = whynotPremadeCompiler.compileRegex;
+		var decompileToAST = whynotPremadeCompiler.decompileToAST;
+		var decompileToRegex = whynotPremadeCompiler.decompileToRegex;
+		var astToRegex = whynotPremadeCompiler.astToRegex;
+
+		describe('Decompiler', function() {
+			/**
+			 * Check whether a regular expression accepts the same strings as a simple DFA.
+			 *
+			 * @param simpleDFA
+			 * @param regex
+			 * @returns {boolean}
+			 */
+			function isEquivalent (simpleDFA, regex) {
+				return Automaton.equivalent(Automaton.fromSimpleDFA(simpleDFA),
+					Automaton.fromSimpleDFA(compileRegex(regex))).result;
+			}
+
+			it('decompiles simple DFAs to readable regular expressions', function () {
+				chai.expect(decompileToRegex(compileRegex('a(b|c)*d'))).to.equal('a[bc]*d');
+				chai.expect(decompileToRegex(compileRegex('(a|b)(a|b)*'))).to.equal('[ab]+');
+				chai.expect(decompileToRegex(compileRegex('abc|abd'))).to.equal('ab[cd]');
+				chai.expect(decompileToRegex(compileRegex('()|a'))).to.equal('a?');
+				chai.expect(decompileToRegex(compileRegex('<foo>\\|*'))).to.equal('<foo>\\|*');
+				chai.expect(decompileToRegex(compileRegex('\\@<@id>'))).to.equal('\\@<@id>');
+			});
+
+			it('keeps the language of the decompiled DFAs', function () {
+				['(ab)*', 'a{2,4}', '(a|ab)(c|bcd)', '(aa)*|b*c', 'a[\\-^]?'].forEach(function (regex) {
+					var simpleDFA = compileRegex(regex);
+
+					chai.expect(isEquivalent(simpleDFA, decompileToRegex(simpleDFA)), regex).to.equal(true);
+				});
+			});
+
+			it('decompiles automata to ASTs', function () {
+				var automaton = Automaton.difference(Automaton.fromSimpleDFA(compileRegex('a*')),
+					Automaton.fromSimpleDFA(compileRegex('()')));
+
+				chai.expect(decompileToAST(automaton)).to.deep.equal(['plus', ['test', 'a']]);
+
+				chai.expect(decompileToAST(compileRegex('()'))).to.deep.equal(['empty']);
+				chai.expect(decompileToRegex(compileRegex('()'))).to.equal('');
+			});
+
+			it('returns null for the automata accepting no string', function () {
+				var automaton = Automaton.intersect(Automaton.fromSimpleDFA(compileRegex('a')),
+					Automaton.fromSimpleDFA(compileRegex('b')));
+
+				chai.expect(decompileToAST(automaton)).to.equal(null);
+				chai.expect(decompileToRegex(automaton)).to.equal(null);
+			});
+
+			it('writes ASTs as regular expressions', function () {
+				chai.expect(astToRegex(['seq', ['range', ['test', 'a'], 2, null], ['choice', ['test', 'b'],
+					['seq', ['test', 'c'], ['test', 'd']]]])).to.equal('a{2,}(b|cd)');
+
+				chai.expect(function () {
+					astToRegex(['predicate', 'text']);
+				}).to.throw('AST node \'predicate\' can not be written in a regular expression');
+			});
+		});
+	}
+);
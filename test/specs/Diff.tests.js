@@ -0,0 +1,70 @@
+define(
+	[
+		'whynot-premade-compiler'
+	],
+	function(
+		whynotPremadeCompiler
+	) {
+		'use strict';
+
+		var compileRegex = whynotPremadeCompiler.compileRegex;
+		var diffSimpleDFAs = whynotPremadeCompiler.diffSimpleDFAs;
+
+		describe('Diff', function() {
+			it('reports the strings which became invalid or valid', function () {
+				var diff = diffSimpleDFAs(compileRegex('a(b|c)d?'), compileRegex('a[bce]+'));
+
+				chai.expect(diff.equivalent).to.equal(false);
+
+				chai.expect(diff.removed.empty).to.equal(false);
+				chai.expect(diff.removed.finite).to.equal(true);
+				chai.expect(diff.removed.count).to.equal(2);
+				chai.expect(diff.removed.shortestLength).to.equal(3);
+				chai.expect(diff.removed.examples).to.deep.equal([
+					{characters: ['a', 'b', 'd'], position: 2, character: 'd', expected: ['b', 'c', 'e']},
+					{characters: ['a', 'c', 'd'], position: 2, character: 'd', expected: ['b', 'c', 'e']}
+				]);
+
+				chai.expect(diff.added.finite).to.equal(false);
+				chai.expect(diff.added.count).to.equal(null);
+				chai.expect(diff.added.shortestLength).to.equal(2);
+				chai.expect(diff.added.examples.length).to.equal(3);
+				chai.expect(diff.added.examples[0]).to.deep.equal(
+					{characters: ['a', 'e'], position: 1, character: 'e', expected: ['b', 'c']});
+			});
+
+			it('reports the strings rejected for ending too early', function () {
+				var diff = diffSimpleDFAs(compileRegex('ab'), compileRegex('abc'), 1);
+
+				chai.expect(diff.removed.examples).to.deep.equal([
+					{characters: ['a', 'b'], position: 2, character: null, expected: ['c']}
+				]);
+				chai.expect(diff.added.examples).to.deep.equal([
+					{characters: ['a', 'b', 'c'], position: 2, character: 'c', expected: []}
+				]);
+			});
+
+			it('reports no difference for equivalent DFAs', function () {
+				var diff = diffSimpleDFAs(compileRegex('ab|ba'), compileRegex('(ba)|(ab)'));
+
+				chai.expect(diff.equivalent).to.equal(true);
+				chai.expect(diff.removed.empty).to.equal(true);
+				chai.expect(diff.removed.count).to.equal(0);
+				chai.expect(diff.removed.shortestLength).to.equal(null);
+				chai.expect(diff.added.examples).to.deep.equal([]);
+			});
+
+			it('counts no more strings than floating point numbers hold exactly', function () {
+				// 26^12 strings exceed 2^53 - 1
+				var diff = diffSimpleDFAs(compileRegex('[a-z]{12}'), compileRegex('a{12}'), 1);
+
+				chai.expect(diff.removed.finite).to.equal(true);
+				chai.expect(diff.removed.count).to.equal(null);
+				chai.expect(diff.added.count).to.equal(0);
+
+				chai.expect(diffSimpleDFAs(compileRegex('[a-z]{11}'), compileRegex('a{11}'), 1).removed.count)
+					.to.equal(Math.pow(26, 11) - 1);
+			});
+		});
+	}
+);
@@ -0,0 +1,91 @@
+define(
+	[
+		'whynot-premade-compiler',
+		'whynot-premade-player',
+		'util/testUtils'
+	],
+	function(
+		whynotPremadeCompiler,
+		whynotPremadePlayer,
+		testUtils
+	) {
+		'use strict';
+
+		var Automaton = whynotPremadeCompiler.Automaton;
+		var compileAST = whynotPremadeCompiler.compileAST;
+		var compileSimpleDFA = whynotPremadeCompiler.compileSimpleDFA;
+		var toDot = whynotPremadeCompiler.toDot;
+
+		var Traverser = whynotPremadePlayer.Traverser;
+
+		var createInput = testUtils.createInput;
+
+		describe('DOT export', function() {
+			it('exports an NFA with its epsilon edges', function () {
+				// a?
+				var dot = toDot(Automaton.optional(Automaton.char('a')), {'name': 'optional'});
+
+				chai.expect(dot).to.contain('digraph "optional" {');
+				chai.expect(dot).to.match(/"start0" -> \d+;/);
+				chai.expect(dot).to.contain('[label="\u03b5", style=dashed]');
+				chai.expect(dot).to.contain('[label="a"]');
+				chai.expect(dot).to.contain('shape=doublecircle');
+			});
+
+			it('keeps the epsilon and the character edges between the same states apart', function () {
+				var nfa = new Automaton();
+
+				nfa.setStatesCount(2);
+				nfa.setInitialStates([0]);
+				nfa.setFinalStates([1]);
+				nfa.addTransition(0, 1, 'a');
+				nfa.addTransition(0, 1, '');
+				nfa.addTransition(0, 1, 'b');
+				nfa.addTransition(0, 1, '');
+
+				var dot = toDot(nfa);
+
+				chai.expect(dot).to.contain('\t0 -> 1 [label="a, b"];');
+				chai.expect(dot).to.contain('\t0 -> 1 [label="\u03b5", style=dashed];');
+			});
+
+			it('exports a simple DFA merging the edges between the same states', function () {
+				// (a|b)*c
+				var simpleDFA = compileSimpleDFA(compileAST, ['seq',
+					['repetition', ['choice', ['test', 'a'], ['test', 'b']]],
+					['test', 'c']
+				]);
+
+				chai.expect(toDot(simpleDFA)).to.equal([
+					'digraph "automaton" {',
+					'\trankdir=LR;',
+					'\tnode [shape=circle];',
+					'\t0;',
+					'\t1 [shape=doublecircle];',
+					'\t"start0" [shape=point, style=invis];',
+					'\t"start0" -> 0;',
+					'\t0 -> 0 [label="a, b"];',
+					'\t0 -> 1 [label="c"];',
+					'}',
+					''
+				].join('\n'));
+			});
+
+			it('highlights the path of a record chain', function () {
+				// abc
+				var simpleDFA = compileSimpleDFA(compileAST, ['seq', ['test', 'a'], ['test', 'b'], ['test', 'c']]);
+
+				var finalRecords = new Traverser(simpleDFA).execute(createInput(['a', 'c']));
+
+				chai.expect(finalRecords.length).to.equal(1);
+
+				var dot = toDot(simpleDFA, {'record': finalRecords[0]});
+
+				chai.expect(dot).to.contain('\t0 -> 1 [label="a (#1)", color=blue, penwidth=2];');
+				chai.expect(dot).to.contain('\t1 -> 2 [label="b (#2)", color=red, penwidth=2];');
+				chai.expect(dot).to.contain('\t2 -> 3 [label="c (#3)", color=blue, penwidth=2];');
+				chai.expect(dot).to.contain('\t3 [shape=doublecircle, color=blue, penwidth=2];');
+			});
+		});
+	}
+);
@@ -2,97 +2,32 @@ define(
 	[
 		'regexParser',
 		'whynot-premade-compiler',
-		'whynot-premade-player'
+		'whynot-premade-player',
+		'util/testUtils'
 	],
 	function(
 		regexParser,
 		whynotPremadeCompiler,
-		whynotPremadePlayer
+		whynotPremadePlayer,
+		testUtils
 		) {
 		'use strict';
 
-		var Automaton = whynotPremadeCompiler.Automaton;
+		var compileAST = whynotPremadeCompiler.compileAST;
 		var compileSimpleDFA = whynotPremadeCompiler.compileSimpleDFA;
 
 		var Traverser = whynotPremadePlayer.Traverser;
 
+		// Mimicking Whynot, the Whynot Premade System expects to receive input char-by-char.
+		// The createInput helper creates this iterator based on a string or array
+		var createInput = testUtils.createInput;
+
 		// Showcase examples of Whynot Premade System
 		describe('Examples', function() {
 
-			// Mimicking Whynot, the Whynot Premade System expects to receive input char-by-char.
-			// Here's a simple helper which creates this iterator based on a string or array:
-			function createInput (array) {
-				var i = 0;
-				return function() {
-					return array[i++] || null;
-				};
-			}
-
-			/**
-			 * Convert a given Abstract Syntax Tree made by the embedded regex parser to a NFA.
-			 *
-			 * @param ast
-			 * @returns {Automaton}
-			 */
-			function compile (ast) {
-
-				var nfa = new Automaton();
-
-				var currentNodeID, currentNodeNFA;
-
-				switch (ast[0]) {
-					case 'test':
-
-						// Generate a simple test NFA
-						nfa = Automaton.char(ast[1]);
-
-						break;
-
-					case 'seq':
-
-						// Concat first two elements
-						nfa = Automaton.concat(compile(ast[1]), compile(ast[2]));
-
-						for (currentNodeID = 3; currentNodeID < ast.length; ++ currentNodeID) {
-							currentNodeNFA = compile(ast[currentNodeID]);
-
-							nfa = Automaton.concat(nfa, currentNodeNFA);
-						}
-
-						break;
-
-					case 'choice':
-
-						var choices = [];
-
-						for (currentNodeID = 1; currentNodeID < ast.length; ++ currentNodeID) {
-							currentNodeNFA = compile(ast[currentNodeID]);
-
-							choices.push(currentNodeNFA);
-						}
-
-						nfa = Automaton.choice(choices);
-
-						break;
-
-					case 'repetition':
-
-						var argumentNFA = compile(ast[1]);
-
-						nfa = Automaton.repetition(argumentNFA);
-
-						break;
-
-					default:
-						break;
-				}
-
-				return nfa;
-			}
-
 			function compileRegexTraverser (regex) {
 				var ast = regexParser.parse(regex);
-				var simpleDFA = compileSimpleDFA(compile, ast);
+				var simpleDFA = compileSimpleDFA(compileAST, ast);
 				return new Traverser(simpleDFA);
 			}
 
@@ -396,6 +331,165 @@ define(
 				//});
 
 			});
+
+			// Testing with the bounded repetition operators, which the regex parser does not support yet
+			describe('bounded repetitions', function() {
+				function compileASTTraverser (ast) {
+					return new Traverser(compileSimpleDFA(compileAST, ast));
+				}
+
+				it('suggests exactly the missing minimum occurrences', function () {
+					// a{2,5}b
+					var traverser = compileASTTraverser(['seq', ['range', ['test', 'a'], 2, 5], ['test', 'b']]);
+
+					chai.expect(processResults(traverser.execute(createInput('b')))).to.deep.equal([
+						[['a'], ['a'], ['b']]
+					]);
+
+					chai.expect(processResults(traverser.execute(createInput('ab')))).to.deep.equal([
+						[['a'], ['a'], ['b']]
+					]);
+
+					chai.expect(processResults(traverser.execute(createInput('aaab')))).to.deep.equal([
+						[['a'], ['a'], ['a'], ['b']]
+					]);
+
+					chai.expect(processResults(traverser.execute(createInput('aaaaaab')))).to.deep.equal([]);
+				});
+
+				it('suggests nothing for the skipped optional occurrences', function () {
+					// a?b+
+					var traverser = compileASTTraverser(['seq', ['optional', ['test', 'a']], ['plus', ['test', 'b']]]);
+
+					chai.expect(processResults(traverser.execute(createInput('b')))).to.deep.equal([
+						[['b']]
+					]);
+
+					chai.expect(processResults(traverser.execute(createInput('a')))).to.deep.equal([
+						[['a'], ['b']]
+					]);
+				});
+			});
+
+			// Testing with intersections of a schema and a profile
+			describe('intersections', function() {
+				it('suggests completions satisfying both constraints', function () {
+					// Schema: title, para*, (figure | table)?
+					// Profile: any items, but at least two paras and no tables
+					var traverser = new Traverser(compileSimpleDFA(compileAST, ['intersection',
+						['seq',
+							['test', 'title'],
+							['repetition', ['test', 'para']],
+							['optional', ['choice', ['test', 'figure'], ['test', 'table']]]
+						],
+						['seq',
+							['range', ['seq',
+								['repetition', ['choice', ['test', 'title'], ['test', 'figure']]],
+								['test', 'para']
+							], 2, null],
+							['repetition', ['choice', ['test', 'title'], ['test', 'para'], ['test', 'figure']]]
+						]
+					]));
+
+					chai.expect(processResults(traverser.execute(createInput(['title', 'figure'])))).to.deep.equal([
+						[['title'], ['para'], ['para'], ['figure']]
+					]);
+
+					chai.expect(processResults(traverser.execute(createInput(['title', 'para', 'table'])))).to.deep.equal([]);
+				});
+			});
+
+			// Testing with differences, which exclude some sequences
+			describe('differences', function() {
+				it('never suggests completions through the excluded sequences', function () {
+					// Any of (a|b)*c except for a lone c and for sequences starting with b
+					var traverser = new Traverser(compileSimpleDFA(compileAST, ['difference',
+						['seq', ['repetition', ['choice', ['test', 'a'], ['test', 'b']]], ['test', 'c']],
+						['test', 'c'],
+						['seq', ['test', 'b'], ['repetition', ['choice', ['test', 'a'], ['test', 'b'], ['test', 'c']]]]
+					]));
+
+					chai.expect(processResults(traverser.execute(createInput('c')))).to.deep.equal([
+						[['a'], ['c']]
+					]);
+
+					chai.expect(processResults(traverser.execute(createInput('bc')))).to.deep.equal([
+						[['a'], ['b'], ['c']]
+					]);
+				});
+			});
+
+			describe('interleaves', function() {
+				it('suggests the missing members of an unordered group in any order', function () {
+					// x followed by a, an optional b and c in any order
+					var traverser = new Traverser(compileSimpleDFA(compileAST, ['seq',
+						['test', 'x'],
+						['interleave', ['test', 'a'], ['optional', ['test', 'b']], ['test', 'c']]
+					]));
+
+					// The input c is taken where it comes, so the missing a is only suggested after it
+					chai.expect(processResults(traverser.execute(createInput('xc')))).to.deep.equal([
+						[['x'], ['c'], ['a']]
+					]);
+
+					chai.expect(processResults(traverser.execute(createInput('xcba')))).to.deep.equal([
+						[['x'], ['c'], ['b'], ['a']]
+					]);
+
+					chai.expect(processResults(traverser.execute(createInput('xaa')))).to.deep.equal([]);
+				});
+			});
+
+			// Testing with predicates, which match whole classes of input items
+			describe('predicates', function() {
+				var predicates = {
+					'note': function (item) {
+						return item.indexOf('note:') === 0;
+					},
+					'text': function (item) {
+						return item.charAt(0) === '#';
+					}
+				};
+
+				// title, (any note | (ref, #text))*, #text
+				var traverser = new Traverser(compileSimpleDFA(compileAST, ['seq',
+					['test', 'title'],
+					['repetition', ['choice', ['predicate', 'note'], ['seq', ['test', 'ref'], ['predicate', 'text']]]],
+					['predicate', 'text']
+				], {'predicates': predicates}), predicates);
+
+				it('matches input items against predicates', function () {
+					chai.expect(processResults(traverser.execute(createInput(['title', 'note:a', 'ref', '#1', '#2'])))).to.deep.equal([
+						[['title'], ['note:a'], ['ref'], ['#1'], ['#2']]
+					]);
+				});
+
+				it('reports predicate names in missing records', function () {
+					chai.expect(processResults(traverser.execute(createInput(['note:a', 'note:b'])))).to.deep.equal([
+						[['title'], ['note:a'], ['note:b'], ['@note&text']],
+						[['title'], ['note:a'], ['note:b'], ['@text']]
+					]);
+				});
+
+				it('matches exact characters starting like a predicate character exactly', function () {
+					var exactTraverser = new Traverser(compileSimpleDFA(compileAST, ['seq',
+						['test', '@id'],
+						['choice', ['predicate', 'text'], ['test', '@']]
+					], {'predicates': predicates}), predicates);
+
+					chai.expect(processResults(exactTraverser.execute(createInput(['@id', '@'])))).to.deep.equal([
+						[['@id'], ['@']]
+					]);
+
+					chai.expect(processResults(exactTraverser.execute(createInput(['@id', '#1'])))).to.deep.equal([
+						[['@id'], ['#1']]
+					]);
+
+					chai.expect(processResults(exactTraverser.execute(createInput([])))).to.deep.equal([
+						[['@id'], ['@', '@text']]
+					]);
+				});
+			});
 		});
 	}
 );
@@ -0,0 +1,140 @@
+define(
+	[
+		'whynot-premade-compiler'
+	],
+	function(
+		whynotPremadeCompiler
+	) {
+		'use strict';
+
+		var Automaton = whynotPremadeCompiler.Automaton;
+		var compileAST = whynotPremadeCompiler.compileAST;
+		var compileRegex = whynotPremadeCompiler.compileRegex;
+		var countAcceptedStrings = whynotPremadeCompiler.countAcceptedStrings;
+		var generateRandomString = whynotPremadeCompiler.generateRandomString;
+		var enumerateStrings = whynotPremadeCompiler.enumerateStrings;
+		var generateCoverageStrings = whynotPremadeCompiler.generateCoverageStrings;
+
+		describe('Generation', function() {
+			/**
+			 * Create a deterministic sequence of pseudo-random numbers in [0, 1).
+			 *
+			 * @param seed
+			 * @returns {Function}
+			 */
+			function createRandom (seed) {
+				return function () {
+					seed = (seed * 1103515245 + 12345) % 2147483648;
+					return seed / 2147483648;
+				};
+			}
+
+			// (a|b)*c, the strings of length n + 1 being 2^n
+			var simpleDFA = compileRegex('[ab]*c');
+
+			it('counts the accepted strings of a given length', function () {
+				chai.expect(countAcceptedStrings(simpleDFA, 0)).to.equal(0);
+				chai.expect(countAcceptedStrings(simpleDFA, 1)).to.equal(1);
+				chai.expect(countAcceptedStrings(simpleDFA, 4)).to.equal(8);
+				chai.expect(countAcceptedStrings(simpleDFA, 53)).to.equal(4503599627370496);
+			});
+
+			it('refuses to count more strings than it can count exactly', function () {
+				chai.expect(function () {
+					countAcceptedStrings(simpleDFA, 1100);
+				}).to.throw(Error, 'Can not count the accepted strings of length 1100 exactly, there are more than ' +
+					'9007199254740991');
+
+				chai.expect(function () {
+					generateRandomString(simpleDFA, 1100);
+				}).to.throw(Error, 'Can not count the accepted strings of length 1100 exactly');
+
+				// The dead ends of long strings are still told apart
+				chai.expect(enumerateStrings(simpleDFA, 1100, 2)).to.deep.equal([['c'], ['a', 'c']]);
+			});
+
+			it('generates random accepted strings of a given length', function () {
+				var random = createRandom(42);
+
+				var seenStrings = {};
+
+				for (var sampleId = 0; sampleId < 200; ++ sampleId) {
+					var string = generateRandomString(simpleDFA, 3, random);
+
+					chai.expect(string.length).to.equal(3);
+					chai.expect(string[2]).to.equal('c');
+
+					seenStrings[string.join('')] = true;
+				}
+
+				// All four strings come up
+				chai.expect(Object.keys(seenStrings).sort()).to.deep.equal(['aac', 'abc', 'bac', 'bbc']);
+
+				chai.expect(generateRandomString(simpleDFA, 0)).to.equal(null);
+			});
+
+			it('enumerates the accepted strings in the length-lexicographic order', function () {
+				chai.expect(enumerateStrings(simpleDFA, 3)).to.deep.equal([
+					['c'],
+					['a', 'c'],
+					['b', 'c'],
+					['a', 'a', 'c'],
+					['a', 'b', 'c'],
+					['b', 'a', 'c'],
+					['b', 'b', 'c']
+				]);
+
+				chai.expect(enumerateStrings(simpleDFA, 10, 2)).to.deep.equal([['c'], ['a', 'c']]);
+			});
+
+			it('covers every transition and final state', function () {
+				var coverageDFA = compileRegex('(ab|cd)e?');
+
+				var coverage = generateCoverageStrings(coverageDFA);
+
+				chai.expect(coverage.accepted).to.deep.equal([['a', 'b'], ['c', 'd'], ['a', 'b', 'e']]);
+
+				// Every near miss is rejected and differs from an accepted string by a single character
+				chai.expect(coverage.rejected).to.deep.equal([
+					['b', 'b'],
+					['a', 'a'],
+					['a', 'd'],
+					['c', 'a'],
+					['b', 'b', 'e'],
+					['a', 'a', 'e'],
+					['a', 'b', 'a']
+				]);
+			});
+
+			it('covers the languages of no string and of the empty string only', function () {
+				var emptyDFA = Automaton.toSimpleDFA(Automaton.intersect(Automaton.fromSimpleDFA(compileRegex('a')),
+					Automaton.fromSimpleDFA(compileRegex('b'))));
+
+				chai.expect(generateCoverageStrings(emptyDFA)).to.deep.equal({'accepted': [], 'rejected': []});
+
+				chai.expect(generateCoverageStrings(compileRegex('()')))
+					.to.deep.equal({'accepted': [[]], 'rejected': []});
+			});
+
+			it('covers the characters named like object properties and the predicates', function () {
+				chai.expect(generateCoverageStrings(compileRegex('<constructor><toString>?'))).to.deep.equal({
+					'accepted': [['constructor'], ['constructor', 'toString']],
+					'rejected': [['toString'], ['toString', 'toString'], ['constructor', 'constructor']]
+				});
+
+				var predicateDFA = Automaton.toSimpleDFA(compileAST(['seq', ['predicate', 'text'], ['test', 'b']]));
+
+				chai.expect(generateCoverageStrings(predicateDFA)).to.deep.equal({
+					'accepted': [['@text', 'b']],
+					'rejected': [['b', 'b'], ['@text', '@text']]
+				});
+			});
+
+			it('rejects invalid lengths', function () {
+				chai.expect(function () {
+					enumerateStrings(simpleDFA, -1);
+				}).to.throw(Error, 'Maximal length must be a non-negative integer, got -1');
+			});
+		});
+	}
+);
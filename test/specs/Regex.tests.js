@@ -0,0 +1,132 @@
+define(
+	[
+		'whynot-premade-compiler',
+		'whynot-premade-player',
+		'util/testUtils'
+	],
+	function(
+		whynotPremadeCompiler,
+		whynotPremadePlayer,
+		testUtils
+	) {
+		'use strict';
+
+		var parseRegex = whynotPremadeCompiler.parseRegex;
+		var compileRegex = whynotPremadeCompiler.compileRegex;
+		var ParseError = whynotPremadeCompiler.ParseError;
+
+		var Traverser = whynotPremadePlayer.Traverser;
+
+		var createInput = testUtils.createInput;
+
+		describe('Regex', function() {
+			it('parses tokens, groups and quantifiers', function () {
+				chai.expect(parseRegex('<title><author>+(<chapter>|<appendix>)*<index>?')).to.deep.equal(['seq',
+					['test', 'title'],
+					['plus', ['test', 'author']],
+					['repetition', ['choice', ['test', 'chapter'], ['test', 'appendix']]],
+					['optional', ['test', 'index']]
+				]);
+
+				chai.expect(parseRegex('a{2,5}b{3}c{1,}')).to.deep.equal(['seq',
+					['range', ['test', 'a'], 2, 5],
+					['range', ['test', 'b'], 3, 3],
+					['range', ['test', 'c'], 1, null]
+				]);
+
+				chai.expect(parseRegex('a|')).to.deep.equal(['choice', ['test', 'a'], ['empty']]);
+				chai.expect(parseRegex('')).to.deep.equal(['empty']);
+			});
+
+			it('parses character classes and escapes', function () {
+				chai.expect(parseRegex('[a-c<x>\\-]')).to.deep.equal(['choice',
+					['test', 'a'],
+					['test', 'b'],
+					['test', 'c'],
+					['test', 'x'],
+					['test', '-']
+				]);
+
+				chai.expect(parseRegex('[aa]')).to.deep.equal(['test', 'a']);
+
+				chai.expect(parseRegex('\\(\\<\\u0041\\n\\@')).to.deep.equal(['seq',
+					['test', '('],
+					['test', '<'],
+					['test', 'A'],
+					['test', '\n'],
+					['test', '@']
+				]);
+
+				// The ranges may list thousands of characters
+				chai.expect(parseRegex('[\\u0000-\\uffff]').length).to.equal(1 + 0x10000);
+			});
+
+			it('compiles regular expressions to simple DFAs', function () {
+				var simpleDFA = compileRegex('<a>[bc]?');
+
+				chai.expect(simpleDFA.transitions).to.deep.equal([{'a': 1}, {'b': 2, 'c': 2}, {}]);
+				chai.expect(simpleDFA.finalStates).to.deep.equal([1, 2]);
+
+				chai.expect(compileRegex('<constructor>|x').transitions).to.deep.equal([{'constructor': 1, 'x': 1}, {}]);
+
+				var finalRecords = new Traverser(compileRegex('<title><author>+')).execute(createInput(['title']));
+
+				chai.expect(finalRecords.length).to.equal(1);
+				chai.expect(finalRecords[0].getCharacters()).to.deep.equal(['author']);
+				chai.expect(finalRecords[0].getAccepted()).to.equal(false);
+			});
+
+			it('reports syntax errors with their position', function () {
+				var thrownError = null;
+
+				try {
+					parseRegex('ab\n(c|d');
+				} catch (error) {
+					thrownError = error;
+				}
+
+				chai.expect(thrownError).to.be.an.instanceof(ParseError);
+				chai.expect(thrownError.offset).to.equal(7);
+				chai.expect(thrownError.line).to.equal(2);
+				chai.expect(thrownError.column).to.equal(5);
+				chai.expect(thrownError.message).to.equal('Expected \')\' at line 2, column 5');
+
+				chai.expect(function () {
+					parseRegex('*a');
+				}).to.throw(ParseError, 'Nothing to repeat at line 1, column 1');
+
+				chai.expect(function () {
+					parseRegex('a)');
+				}).to.throw(ParseError, 'Unexpected \')\' at line 1, column 2');
+
+				chai.expect(function () {
+					parseRegex('a{3,2}');
+				}).to.throw(ParseError, 'Invalid repetition bounds {3,2} at line 1, column 2');
+
+				chai.expect(function () {
+					parseRegex('a{2,1001}');
+				}).to.throw(ParseError, 'Repetition bound 1001 exceeds 1000 at line 1, column 5');
+
+				chai.expect(function () {
+					parseRegex('a{99999999999}');
+				}).to.throw(ParseError, 'Repetition bound 99999999999 exceeds 1000 at line 1, column 3');
+
+				chai.expect(function () {
+					parseRegex('[z-a]');
+				}).to.throw(ParseError, 'Invalid character range \'z-a\' at line 1, column 2');
+
+				chai.expect(function () {
+					parseRegex('<title');
+				}).to.throw(ParseError, 'Unterminated token at line 1, column 1');
+
+				chai.expect(function () {
+					parseRegex('a@b');
+				}).to.throw(ParseError, 'Unexpected \'@\' at line 1, column 2');
+
+				chai.expect(function () {
+					parseRegex('\\q');
+				}).to.throw(ParseError, 'Unknown escape \'\\q\' at line 1, column 1');
+			});
+		});
+	}
+);
@@ -0,0 +1,136 @@
+define(
+	[
+		'whynot-premade-compiler',
+		'whynot-premade-player',
+		'util/testUtils'
+	],
+	function(
+		whynotPremadeCompiler,
+		whynotPremadePlayer,
+		testUtils
+	) {
+		'use strict';
+
+		var compileAST = whynotPremadeCompiler.compileAST;
+		var compileSimpleDFA = whynotPremadeCompiler.compileSimpleDFA;
+		var compileRegex = whynotPremadeCompiler.compileRegex;
+		var serialize = whynotPremadeCompiler.serialize;
+		var getContentHash = whynotPremadeCompiler.getContentHash;
+
+		var Traverser = whynotPremadePlayer.Traverser;
+		var DFAFormatError = whynotPremadePlayer.DFAFormatError;
+		var deserialize = whynotPremadePlayer.deserialize;
+
+		describe('Serialization', function() {
+			// (a|b)*c
+			var simpleDFA = compileSimpleDFA(compileAST, ['seq',
+				['repetition', ['choice', ['test', 'b'], ['test', 'a']]],
+				['test', 'c']
+			]);
+
+			// Serialize the sample DFA, apply a change to the parsed result and deserialize it back
+			var deserializeChanged = testUtils.createChangedReader(function () {
+				return JSON.parse(serialize(simpleDFA, {'checksum': false}));
+			}, deserialize);
+
+			it('serializes a DFA with a version, an alphabet and a checksum', function () {
+				var serializedDFA = JSON.parse(serialize(simpleDFA));
+
+				chai.expect(serializedDFA.format).to.equal('whynot-premade-dfa');
+				chai.expect(serializedDFA.version).to.equal(1);
+				chai.expect(serializedDFA.alphabet).to.deep.equal(['a', 'b', 'c']);
+				chai.expect(serializedDFA.transitions).to.deep.equal([[[0, 0], [1, 0], [2, 1]], []]);
+				chai.expect(serializedDFA.checksum).to.match(/^fnv1a:[0-9a-f]{8}$/);
+			});
+
+			it('deserializes what it serialized', function () {
+				chai.expect(deserialize(serialize(simpleDFA, {'provenance': true}))).to.deep.equal(simpleDFA);
+				chai.expect(deserialize(serialize(simpleDFA, {'provenance': true, 'checksum': false})))
+					.to.deep.equal(simpleDFA);
+			});
+
+			it('serializes equal languages identically', function () {
+				var otherDFA = compileSimpleDFA(compileAST, ['choice',
+					['test', 'c'],
+					['seq', ['plus', ['choice', ['test', 'a'], ['test', 'b']]], ['test', 'c']]
+				]);
+
+				chai.expect(serialize(otherDFA)).to.equal(serialize(simpleDFA));
+				chai.expect(serialize(compileRegex('ab|ac'))).to.equal(serialize(compileRegex('a(b|c)')));
+
+				chai.expect(getContentHash(otherDFA)).to.equal(getContentHash(simpleDFA));
+				chai.expect(getContentHash(simpleDFA)).to.match(/^fnv1a128:[0-9a-f]{32}$/);
+			});
+
+			it('serializes the provenance on request', function () {
+				chai.expect(JSON.parse(serialize(simpleDFA))).to.not.have.property('provenance');
+				chai.expect(JSON.parse(serialize(simpleDFA, {'provenance': true})).provenance)
+					.to.deep.equal(simpleDFA.provenance);
+			});
+
+			it('hashes the content of different languages differently', function () {
+				chai.expect(getContentHash(compileSimpleDFA(compileAST, ['test', 'c'])))
+					.to.not.equal(getContentHash(simpleDFA));
+			});
+
+			it('rejects corrupted DFAs', function () {
+				var serializedDFA = JSON.parse(serialize(simpleDFA));
+
+				serializedDFA.finalStates = [0];
+
+				chai.expect(function () {
+					deserialize(serializedDFA);
+				}).to.throw(DFAFormatError, 'Checksum mismatch, the DFA is corrupted');
+
+				chai.expect(function () {
+					deserialize('{');
+				}).to.throw(DFAFormatError, 'Serialized DFA is not valid JSON');
+			});
+
+			it('rejects unknown formats and versions', function () {
+				chai.expect(deserializeChanged(function (serializedDFA) {
+					serializedDFA.version = 2;
+				})).to.throw(DFAFormatError, 'Unsupported format version 2, the latest supported one is 1');
+
+				chai.expect(deserializeChanged(function (serializedDFA) {
+					delete serializedDFA.format;
+				})).to.throw(DFAFormatError, 'Unknown format undefined, expected "whynot-premade-dfa"');
+			});
+
+			it('rejects bad states with descriptive errors', function () {
+				chai.expect(deserializeChanged(function (serializedDFA) {
+					serializedDFA.transitions[0][2][1] = 5;
+				})).to.throw(DFAFormatError, 'Target of transition 2 of state 0 is out of range: 5 is not in [0, 2)');
+
+				chai.expect(deserializeChanged(function (serializedDFA) {
+					serializedDFA.transitions[0][0][0] = 3;
+				})).to.throw(DFAFormatError, 'Transition 0 of state 0 refers to alphabet index 3 out of range [0, 3)');
+
+				chai.expect(deserializeChanged(function (serializedDFA) {
+					delete serializedDFA.initialState;
+				})).to.throw(DFAFormatError, 'Initial state is missing');
+
+				chai.expect(deserializeChanged(function (serializedDFA) {
+					serializedDFA.finalStates = [1, -1];
+				})).to.throw(DFAFormatError, 'Final state at index 1 is out of range: -1 is not in [0, 2)');
+			});
+
+			it('keeps the Traverser from running malformed DFAs', function () {
+				chai.expect(function () {
+					return new Traverser({
+						'initialState': 0,
+						'transitions': [{'a': 1}],
+						'finalStates': [0]
+					});
+				}).to.throw(DFAFormatError, 'Target of transition "a" from state 0 is out of range: 1 is not in [0, 1)');
+
+				chai.expect(function () {
+					return new Traverser({
+						'transitions': [{}],
+						'finalStates': []
+					});
+				}).to.throw(DFAFormatError, 'Initial state is missing');
+			});
+		});
+	}
+);
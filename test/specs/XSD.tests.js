@@ -0,0 +1,133 @@
+define(
+	[
+		'whynot-premade-compiler',
+		'whynot-premade-player',
+		'util/testUtils'
+	],
+	function(
+		whynotPremadeCompiler,
+		whynotPremadePlayer,
+		testUtils
+	) {
+		'use strict';
+
+		var xsdParticleToAST = whynotPremadeCompiler.xsdParticleToAST;
+		var compileXSDParticle = whynotPremadeCompiler.compileXSDParticle;
+		var SchemaError = whynotPremadeCompiler.SchemaError;
+
+		var Traverser = whynotPremadePlayer.Traverser;
+
+		var createInput = testUtils.createInput;
+
+		describe('XSD', function() {
+			function element (name, minOccurs, maxOccurs) {
+				var particle = {kind: 'element', name: name};
+
+				if (minOccurs !== undefined) {
+					particle.minOccurs = minOccurs;
+				}
+
+				if (maxOccurs !== undefined) {
+					particle.maxOccurs = maxOccurs;
+				}
+
+				return particle;
+			}
+
+			it('translates particles to ASTs', function () {
+				chai.expect(xsdParticleToAST({kind: 'sequence', particles: [
+					element('title'),
+					element('author', 1, 'unbounded'),
+					{kind: 'choice', minOccurs: 0, maxOccurs: 'unbounded', particles: [element('chapter'), element('appendix')]},
+					{kind: 'any', predicate: 'foreign', minOccurs: 0},
+					element('index', 2, 3)
+				]})).to.deep.equal(['seq',
+					['test', 'title'],
+					['plus', ['test', 'author']],
+					['repetition', ['choice', ['test', 'chapter'], ['test', 'appendix']]],
+					['optional', ['predicate', 'foreign']],
+					['range', ['test', 'index'], 2, 3]
+				]);
+
+				chai.expect(xsdParticleToAST({kind: 'all', particles: [element('a'), element('b', 0)]}))
+					.to.deep.equal(['interleave', ['test', 'a'], ['optional', ['test', 'b']]]);
+
+				chai.expect(xsdParticleToAST({kind: 'sequence', particles: []})).to.deep.equal(['empty']);
+			});
+
+			it('compiles particles to simple DFAs', function () {
+				var simpleDFA = compileXSDParticle({kind: 'sequence', particles: [element('a'), element('a')]});
+
+				chai.expect(simpleDFA.transitions).to.deep.equal([{'a': 1}, {'a': 2}, {}]);
+				chai.expect(simpleDFA.finalStates).to.deep.equal([2]);
+
+				simpleDFA = compileXSDParticle({kind: 'all', particles: [element('a'), element('b', 0)]});
+
+				chai.expect(simpleDFA.transitions).to.deep.equal([{'a': 1, 'b': 2}, {'b': 3}, {'a': 3}, {}]);
+				chai.expect(simpleDFA.finalStates).to.deep.equal([1, 3]);
+
+				// A missing element gets suggested after the given ones
+				var finalRecords = new Traverser(simpleDFA).execute(createInput(['b']));
+
+				chai.expect(finalRecords.length).to.equal(1);
+				chai.expect(finalRecords[0].getPreviousRecord().getCharacters()).to.deep.equal(['b']);
+				chai.expect(finalRecords[0].getCharacters()).to.deep.equal(['a']);
+				chai.expect(finalRecords[0].getAccepted()).to.equal(false);
+			});
+
+			it('reports Unique Particle Attribution violations', function () {
+				var thrownError = null;
+
+				try {
+					compileXSDParticle({kind: 'choice', particles: [
+						{kind: 'sequence', particles: [element('a'), element('b')]},
+						{kind: 'sequence', particles: [element('a'), element('c')]}
+					]});
+				} catch (error) {
+					thrownError = error;
+				}
+
+				chai.expect(thrownError).to.be.an.instanceof(SchemaError);
+				chai.expect(thrownError.path).to.deep.equal(['particles', 0, 'particles', 0]);
+				chai.expect(thrownError.conflictingPath).to.deep.equal(['particles', 1, 'particles', 0]);
+
+				chai.expect(function () {
+					compileXSDParticle({kind: 'sequence', particles: [element('a', 0, 'unbounded'), element('a')]});
+				}).to.throw(SchemaError, 'Unique Particle Attribution violation: element \'a\' competes with element ' +
+					'\'a\' of /particles/1 at /particles/0');
+
+				chai.expect(function () {
+					compileXSDParticle({kind: 'sequence', particles: [{kind: 'any', minOccurs: 0}, element('a')]});
+				}).to.throw(SchemaError, 'wildcard \'any\' competes with element \'a\'');
+
+				// The check can be skipped
+				var simpleDFA = compileXSDParticle({kind: 'sequence', particles: [element('a', 0), element('a')]},
+					{checkUPA: false});
+
+				chai.expect(simpleDFA.finalStates).to.deep.equal([1, 2]);
+			});
+
+			it('reports malformed particles', function () {
+				chai.expect(function () {
+					compileXSDParticle(element('a', 2, 1));
+				}).to.throw(SchemaError, 'maxOccurs must be \'unbounded\' or an integer not less than minOccurs at /');
+
+				chai.expect(function () {
+					compileXSDParticle({kind: 'sequence', particles: [{kind: 'group'}]});
+				}).to.throw(SchemaError, 'Unknown particle kind \'group\' at /particles/0');
+
+				chai.expect(function () {
+					compileXSDParticle({kind: 'choice', particles: []});
+				}).to.throw(SchemaError, 'Particle \'choice\' requires at least one particle at /');
+
+				chai.expect(function () {
+					compileXSDParticle({kind: 'all', particles: [element('a', 0, 'unbounded')]});
+				}).to.throw(SchemaError, 'Elements of particle \'all\' may occur at most once at /particles/0');
+
+				chai.expect(function () {
+					compileXSDParticle({kind: 'all', particles: [{kind: 'sequence', particles: []}]});
+				}).to.throw(SchemaError, 'Particle \'all\' may only contain elements at /particles/0');
+			});
+		});
+	}
+);
@@ -0,0 +1,47 @@
+/**
+ * Helpers shared by the specs.
+ */
+define(
+	[],
+	function() {
+		'use strict';
+
+		return {
+
+			/**
+			 * Create an input function giving the items of an array one by one, then null, as the Traverser expects.
+			 *
+			 * @param array
+			 * @returns {Function}
+			 */
+			createInput: function (array) {
+				var i = 0;
+				return function() {
+					return array[i++] || null;
+				};
+			},
+
+			/**
+			 * Create a reader of changed fixtures, e.g. to check that every kind of corruption is rejected.
+			 *
+			 * The returned function applies a change to a fresh fixture and returns a function reading it, to be
+			 * passed to chai.expect(...).to.throw.
+			 *
+			 * @param createFixture A function creating a fresh fixture to change.
+			 * @param read A function reading a changed fixture.
+			 * @returns {Function}
+			 */
+			createChangedReader: function (createFixture, read) {
+				return function (change) {
+					var fixture = createFixture();
+
+					change(fixture);
+
+					return function () {
+						return read(fixture);
+					};
+				};
+			}
+		};
+	}
+);